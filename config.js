@@ -13,12 +13,169 @@ export const portfolio = {
     'ROP', 'SHW'
   ],
 
+  // 💼 YOUR POSITIONS - Shares and cost basis per ticker
+  // Give either `shares` + `avgCost`, or a list of purchase `lots`
+  // (shares and average cost are then derived from the lots).
+  // Tickers without an entry are shown as watchlist-only.
+  holdings: {
+    // 'O': { shares: 25, avgCost: 54.10, account: 'roth', broker: 'wholeShare' },
+    // 'JNJ': {
+    //   lots: [
+    //     { date: '2023-03-15', shares: 4, price: 158.20 },
+    //     { date: '2024-09-02', shares: 3, price: 164.75 }
+    //   ]
+    // }
+  },
+
+  // 📜 DIVIDEND HISTORY - Payment records for growth, streak and cut metrics
+  // Cached in the browser (IndexedDB) for 24 hours.
+  //   localFile - { path } one CSV (Ticker,Ex-Date,Pay Date,Amount,Frequency[,Price]) or JSON file for all tickers
+  //   jsonRest  - { url: 'https://.../{ticker}', dataPath, fields } one request per ticker
+  // Dates like "05/03/2024" follow the file's other dates (month first if nothing settles it);
+  // add `dateFormat: 'DMY'` or 'MDY' to the source to be explicit.
+  dividendHistory: {
+    source: null
+    // source: { type: 'localFile', path: 'dividend-history.csv' }
+  },
+
+  // 🕰️ BACKTEST - Monthly price and dividend history for the calculator's historical backtest
+  //   localFile - { path } CSV (Ticker,Date,Close,Dividend) or JSON ([{ ticker, date, close, dividend }]
+  //               or { TICKER: [...] }); Date is 'YYYY-MM' or a full date, daily rows are
+  //               collapsed to the month's last close and the month's dividends per share;
+  //               `dateFormat: 'DMY'` or 'MDY' settles dates like "05/03/2024"
+  backtest: {
+    source: null
+    // source: { type: 'localFile', path: 'price-history.csv' }
+  },
+
+  // 🗓️ PAYMENT SCHEDULE - How the payment matrix is built
+  //   auto    - project from dividend history where available, sheet grid for the rest,
+  //             flagging differences between the two
+  //   derived - only project from dividend history
+  //   sheet   - only the hand-maintained Google Sheets grid
+  paymentSchedule: {
+    mode: 'auto',
+    horizonMonths: 12,   // How far ahead to project (12+)
+    dayTolerance: 5      // Days a projected date may differ from the sheet before it is flagged
+  },
+
+  // 🏦 CALENDAR - Exchange holidays for the year calendar and agenda
+  // Payments due on a weekend or holiday move to the next business day of the ticker's exchange.
+  calendar: {
+    defaultExchange: 'NYSE',           // 'NYSE' or 'TSX'
+    currencyExchanges: { CAD: 'TSX' }, // Exchange by trading currency
+    exchanges: {
+      // 'ENB': 'TSX'                  // Per-ticker override
+    },
+    extraHolidays: {                   // Unscheduled closures ('YYYY-MM-DD')
+      NYSE: ['2025-01-09'],
+      TSX: []
+    }
+  },
+
+  // 💱 TRADING CURRENCIES - Override the currency a ticker's price/dividend is quoted in
+  // Sources can also provide it (a 'Currency' column or a symbol like C$ in the price cell).
+  // Canadian names trade on both the TSX (CAD) and NYSE (USD) - match your price source.
+  currencies: {
+    // 'RY': 'CAD', 'BMO': 'CAD', 'BNS': 'CAD', 'TD': 'CAD', 'CNQ': 'CAD'
+  },
+
+  // 💱 FX RATES - Units of each currency per 1 `base` (1 USD = 1.37 CAD)
+  // Optionally load fresher rates from a file or endpoint with the same shape:
+  //   source: { type: 'localFile', path: 'fx-rates.json' }
+  //   source: { type: 'jsonRest', url: 'https://...', dataPath: '', baseKey: 'base', ratesKey: 'rates' }
+  // The static rates below are used when the source fails or has no rate for a currency.
+  fxRates: {
+    base: 'USD',
+    rates: {
+      CAD: 1.37,
+      EUR: 0.92,
+      GBP: 0.79
+    }
+  },
+
+  // 🧾 TAXES - Used for net dividend income
+  // Withholding applies to foreign payers (country != residence):
+  //   tickerWithholding > treaty > withholding (statutory)
+  // Account types:
+  //   taxable    - withholding + incomeTaxRate (withholding credited unless foreignTaxCredit: false)
+  //   taxFree    - withholding only
+  //   retirement - withholding only, except countries in treatyExempt
+  // Set `account: 'ira'` on a holding to use a different account than defaultAccount.
+  tax: {
+    residence: 'US',
+    withholding: { US: 0.30, CA: 0.25, GB: 0, CH: 0.35, AU: 0.30 },
+    treaty: { CA: 0.15 },
+    tickerWithholding: {
+      // 'AGNC': 0.30
+    },
+    // Payer country per ticker (otherwise guessed from the trading currency)
+    countries: { 'RY': 'CA', 'BMO': 'CA', 'BNS': 'CA', 'TD': 'CA', 'CNQ': 'CA' },
+    accounts: {
+      taxable: { type: 'taxable', incomeTaxRate: 0.15 },
+      roth: { type: 'taxFree' },
+      ira: { type: 'retirement', treatyExempt: ['CA'] }
+    },
+    defaultAccount: 'taxable'
+  },
+
+  // 🏦 BROKERS - Trading costs simulated by the DCA calculator
+  //   wholeShares       - only whole shares; cash that can't buy one waits for the next month
+  //   commissionFlat    - fee per order (base currency)
+  //   commissionPercent - fee as a share of the order (0.001 = 0.1%)
+  //   fxSpread          - lost converting to a foreign trading currency (0.005 = 0.5%)
+  //   drip              - dividends are reinvested in the paying stock, fractional and fee-free
+  // Set `broker: 'name'` on a holding to simulate it at a different broker than defaultBroker.
+  brokers: {
+    models: {
+      fractional: { name: 'Fractional, no fees', wholeShares: false, commissionFlat: 0, commissionPercent: 0, fxSpread: 0, drip: false }
+      // wholeShare: { name: 'Whole shares + commission', wholeShares: true, commissionFlat: 4.95, commissionPercent: 0, fxSpread: 0.0025, drip: true }
+    },
+    defaultBroker: 'fractional'
+  },
+
+  // 🎯 TARGET WEIGHTS - Used by the 'Target' weighting view
+  // Any scale works (percent or fractions), weights are normalized.
+  targetWeights: {
+    // 'O': 5,
+    // 'JNJ': 4
+  },
+
+  // 🔌 DATA SOURCES - Tried in order, the next one is used if a source fails
+  // Types:
+  //   googleSheets - { url } public Google Sheets CSV export
+  //   localFile    - { path, format: 'csv'|'json', dataPath } file served with the dashboard
+  //   jsonRest     - { url, headers, dataPath, fields, percentValues } any JSON endpoint
+  // `fields` maps stock properties to source columns/keys (nested keys like 'quote.price' work):
+  //   { ticker, name, price, dividend, dividendYield, sector, dividendGrowth }
+  // Set `percentValues: true` if yields come as 5.58 rather than 0.0558 (default for CSV).
+  // Number format: `locale: 'auto'` guesses "1,234.50" vs "1.234,50" (a lone "1,234" follows the
+  // rest of its column, or the row is rejected); set a locale such as 'de-DE' to be explicit,
+  // or per column with `columnLocales: { price: 'de-DE' }`.
+  // Currency symbols ($, C$, €, £) and '%' signs in cells are handled automatically.
+  dataSources: [
+    {
+      type: 'googleSheets',
+      url: 'https://docs.google.com/spreadsheets/d/1CbvYPrHJnY73xLZU-ZNsnU5QNY_cy9kCKL1Cy3smA1k/export?format=csv&gid=988489794'
+    },
+    {
+      type: 'localFile',
+      path: 'The Dividend Dashboard - Portfolio Details.csv'
+    }
+    // {
+    //   type: 'jsonRest',
+    //   url: 'https://example.com/api/quotes',
+    //   dataPath: 'data',
+    //   fields: { ticker: 'symbol', name: 'longName', price: 'quote.price', dividend: 'annualDividend', dividendYield: 'yield' }
+    // }
+  ],
+
   // ⚙️ DASHBOARD SETTINGS
   settings: {
     // Auto-refresh interval (milliseconds)
     refreshInterval: 300000, // 5 minutes
 
-    // Currency display
+    // Base currency - all values, income and charts are converted into it
     currency: 'USD',
 
     // Default theme ('dark' or 'light')
@@ -34,6 +191,12 @@ export const portfolio = {
     // Investment amount for projections
     projectionAmount: 10000,
 
+    // Default weighting for summary cards ('equal', 'value' or 'target')
+    weighting: 'equal',
+
+    // Number of largest positions used for the concentration metric
+    concentrationTopN: 5,
+
     // Show sector in table
     showSector: true,
 
@@ -50,3 +213,7 @@ export const portfolio = {
 //
 // Example: To add NVDA, just add 'NVDA' to the array
 // tickers: ['AAPL', 'NVDA', 'O', ...]
+//
+// To track what you own, add it to 'holdings' as well
+// (avgCost / lot prices in the stock's trading currency):
+// holdings: { 'NVDA': { shares: 10, avgCost: 120.50 } }
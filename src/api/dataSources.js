@@ -0,0 +1,371 @@
+// 🔌 Data Sources - Pluggable quote providers
+// Each provider fetches rows from somewhere and maps them to the stock shape used by main.js
+
+import { parseCSVRows, findHeaderRow, rowsToObjects } from '../csv.js';
+import { parseCurrency, parsePercent, resolveLocale, isAmbiguousNumber } from '../numbers.js';
+
+// Default column names (matches the Portfolio Details sheet)
+// CSV columns: Name,Ticker,Price,Dividend Payment,Dividend Yield,Sector
+const DEFAULT_FIELDS = {
+  ticker: 'Ticker',
+  name: 'Name',
+  price: 'Price',
+  dividend: 'Dividend Payment',
+  dividendYield: 'Dividend Yield',
+  sector: 'Sector',
+  dividendGrowth: 'Dividend Growth',
+  currency: 'Currency'
+};
+
+// First retry delay (doubles on each attempt)
+const RETRY_BASE_DELAY = 500;
+
+/**
+ * Parse CSV text to array of objects
+ * @param {string} csv - CSV text
+ * @returns {Object[]} Parsed data
+ */
+function parseCSV(csv) {
+  const rows = parseCSVRows(csv);
+
+  // Find the header row by looking for "Name" or "Ticker" column
+  const headerIndex = findHeaderRow(rows, values => values.includes('Name') || values.includes('Ticker'));
+
+  if (headerIndex === -1) {
+    throw new Error('Could not find CSV header row');
+  }
+
+  console.log(`✅ Found header row at line ${headerIndex + 1}`);
+  console.log('📋 CSV Headers:', rows[headerIndex]);
+
+  const data = rowsToObjects(rows, headerIndex);
+
+  console.log(`📊 Parsed ${data.length} total rows from CSV`);
+  return data;
+}
+
+/**
+ * Read a (possibly nested) value from an object, e.g. 'quote.price'
+ */
+export function getPath(obj, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async task, retrying with exponential backoff (500ms, 1s, 2s, ...)
+ * @param {Function} task - Async function to run
+ * @param {number} retries - Number of retries after the first attempt
+ * @param {string} label - Label for log messages
+ * @returns {Promise<*>} Result of the task
+ */
+export async function withRetry(task, retries = 3, label = 'request') {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries) throw error;
+
+      const delay = RETRY_BASE_DELAY * Math.pow(2, attempt);
+      console.warn(`⚠️ ${label} failed (${error.message}), retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Split an array into chunks of the given size
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Map raw source rows to the stock shape used by the dashboard
+ * Numbers are parsed per column locale ('auto' columns settle on the format of their
+ * unambiguous cells); rows with a ticker but unparseable or ambiguous values (a lone
+ * "1,234") are reported in `rejectedRows` instead of being silently dropped or guessed.
+ * @param {Object[]} rows - Raw rows (CSV objects or JSON records)
+ * @param {Object} options - { fields, percentValues, locale, columnLocales, currency }
+ * @returns {Object} { stocks, rejectedRows }
+ */
+export function mapRowsToStocks(rows, options = {}) {
+  const fields = { ...DEFAULT_FIELDS, ...(options.fields || {}) };
+  // Sheets store yields/growth as "5.58%", JSON APIs usually as 0.0558
+  const percentValues = options.percentValues !== false;
+  const locales = {};
+  ['price', 'dividend', 'dividendYield', 'dividendGrowth'].forEach(column => {
+    locales[column] = resolveLocale(
+      rows.map(row => getPath(row, fields[column])),
+      options.columnLocales?.[column] || options.locale || 'auto'
+    );
+  });
+  const localeFor = column => locales[column];
+
+  const stocks = [];
+  const rejectedRows = [];
+
+  rows.forEach((row, index) => {
+    const ticker = String(getPath(row, fields.ticker) || '').trim();
+
+    // Skip rows where Ticker is empty (sector summary rows at end)
+    if (!ticker) return;
+
+    const raw = {
+      price: getPath(row, fields.price),
+      dividend: getPath(row, fields.dividend),
+      dividendYield: getPath(row, fields.dividendYield),
+      dividendGrowth: getPath(row, fields.dividendGrowth)
+    };
+    const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+    const parsedPrice = parseCurrency(raw.price, localeFor('price'));
+    const price = parsedPrice.value;
+    // Blank dividend/yield means the stock doesn't pay (yet)
+    const dividend = isBlank(raw.dividend) ? 0 : parseCurrency(raw.dividend, localeFor('dividend')).value;
+    const dividendYield = isBlank(raw.dividendYield)
+      ? 0
+      : parsePercent(raw.dividendYield, localeFor('dividendYield'), percentValues);
+    const dividendGrowth = isBlank(raw.dividendGrowth)
+      ? null
+      : parsePercent(raw.dividendGrowth, localeFor('dividendGrowth'), percentValues);
+
+    const problem = (label, column) => (isAmbiguousNumber(raw[column], localeFor(column))
+      ? `${label} "${raw[column]}" could be read with either decimal separator - set columnLocales.${column}`
+      : `${label} "${raw[column] ?? ''}" is not a number`);
+
+    const problems = [];
+    if (isNaN(price)) problems.push(problem('price', 'price'));
+    else if (price <= 0) problems.push(`price ${price} must be positive`);
+    if (isNaN(dividend)) problems.push(problem('dividend', 'dividend'));
+    if (isNaN(dividendYield)) problems.push(problem('yield', 'dividendYield'));
+    if (Number.isNaN(dividendGrowth)) problems.push(problem('dividend growth', 'dividendGrowth'));
+
+    if (problems.length > 0) {
+      rejectedRows.push({ row: index + 1, ticker, problems });
+      return;
+    }
+
+    const sector = getPath(row, fields.sector) || 'Unknown';
+    // Trading currency: explicit column, then symbol in the price cell, then source default
+    const currency = String(getPath(row, fields.currency) || '').trim().toUpperCase() ||
+      parsedPrice.currency || options.currency || 'USD';
+
+    stocks.push({
+      ticker,
+      name: getPath(row, fields.name) || ticker,
+      price,
+      currency,
+      dividend,
+      dividendYield,
+      sector,
+      // Optional field - dividend growth rate
+      dividendGrowth,
+      industry: sector, // Use Sector as Industry since sources don't have Industry
+      marketCap: 0, // Not available
+      exDividendDate: null, // Not available
+      dividendDate: null,
+      change: 0, // Not available
+      changePercent: 0 // Not available
+    });
+  });
+
+  if (rejectedRows.length > 0) {
+    console.warn(`⚠️ ${rejectedRows.length} row(s) with unparseable values:`, rejectedRows);
+  }
+
+  return { stocks, rejectedRows };
+}
+
+/**
+ * Google Sheets CSV export provider
+ * @param {Object} options - { url, fields }
+ */
+export function createGoogleSheetsProvider(options) {
+  return {
+    name: options.name || 'Google Sheets',
+    async fetchStocks({ retries = 3 } = {}) {
+      console.log(`🔄 Fetching data from ${this.name} CSV...`);
+
+      // The sheet export is a single batch containing every row
+      const csvText = await withRetry(async () => {
+        const response = await fetch(options.url);
+
+        if (!response.ok) {
+          throw new Error(`Failed to fetch CSV: ${response.status}`);
+        }
+
+        return response.text();
+      }, retries, this.name);
+
+      return mapRowsToStocks(parseCSV(csvText), options);
+    }
+  };
+}
+
+/**
+ * Local file provider (CSV or JSON served next to index.html)
+ * @param {Object} options - { path, format: 'csv'|'json', dataPath, fields, percentValues }
+ */
+export function createLocalFileProvider(options) {
+  const format = options.format || (options.path.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+
+  return {
+    name: options.name || `Local file (${options.path})`,
+    async fetchStocks({ retries = 3 } = {}) {
+      console.log(`📂 Loading ${options.path}...`);
+
+      const text = await withRetry(async () => {
+        const response = await fetch(encodeURI(options.path));
+
+        if (!response.ok) {
+          throw new Error(`Failed to load ${options.path}: ${response.status}`);
+        }
+
+        return response.text();
+      }, retries, this.name);
+
+      if (format === 'json') {
+        const json = JSON.parse(text);
+        const rows = options.dataPath ? getPath(json, options.dataPath) : json;
+        return mapRowsToStocks(rows || [], { percentValues: false, ...options });
+      }
+
+      return mapRowsToStocks(parseCSV(text), options);
+    }
+  };
+}
+
+/**
+ * Generic JSON REST endpoint provider
+ * If the url contains `{tickers}`, tickers are requested in batches of `batchSize`
+ * (comma-separated), otherwise a single request returns every stock.
+ * @param {Object} options - { url, headers, dataPath, fields, percentValues }
+ */
+export function createJsonRestProvider(options) {
+  return {
+    name: options.name || `REST (${options.url})`,
+    async fetchStocks({ tickers = [], batchSize = 50, retries = 3 } = {}) {
+      const batched = options.url.includes('{tickers}') && tickers.length > 0;
+      const batches = batched ? chunk(tickers, batchSize) : [[]];
+      const rows = [];
+
+      for (let i = 0; i < batches.length; i++) {
+        const url = options.url.replace('{tickers}', encodeURIComponent(batches[i].join(',')));
+        console.log(`🌐 Fetching batch ${i + 1}/${batches.length} from ${this.name}...`);
+
+        const json = await withRetry(async () => {
+          const response = await fetch(url, { headers: options.headers || {} });
+
+          if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+          }
+
+          return response.json();
+        }, retries, `${this.name} batch ${i + 1}`);
+
+        const batchRows = options.dataPath ? getPath(json, options.dataPath) : json;
+
+        if (!Array.isArray(batchRows)) {
+          throw new Error(`Expected an array at '${options.dataPath || '(root)'}'`);
+        }
+
+        rows.push(...batchRows);
+      }
+
+      return mapRowsToStocks(rows, { percentValues: false, ...options });
+    }
+  };
+}
+
+// Provider registry - `type` in config.js dataSources
+const PROVIDERS = {
+  googleSheets: createGoogleSheetsProvider,
+  localFile: createLocalFileProvider,
+  jsonRest: createJsonRestProvider
+};
+
+/**
+ * Create a provider from a config entry
+ * @param {Object} source - { type, ...options }
+ * @returns {Object} Provider with name and fetchStocks() resolving to { stocks, rejectedRows }
+ */
+export function createProvider(source) {
+  const factory = PROVIDERS[source.type];
+
+  if (!factory) {
+    throw new Error(`Unknown data source type: ${source.type}`);
+  }
+
+  return factory(source);
+}
+
+/**
+ * Fetch stocks from the first provider in the chain that succeeds
+ * @param {Object[]} sources - Ordered data source configs
+ * @param {Object} options - { tickers, batchSize, retries } passed to each provider
+ * @returns {Promise<Object>} { stocks, rejectedRows, source, errors } - stocks, rows that failed to parse,
+ *   provider used and earlier failures
+ */
+export async function fetchFromSources(sources, options = {}) {
+  const errors = [];
+
+  for (const source of sources) {
+    let provider;
+
+    try {
+      provider = createProvider(source);
+      const { stocks, rejectedRows } = await provider.fetchStocks(options);
+
+      if (stocks.length === 0) {
+        throw new Error('No valid stocks returned');
+      }
+
+      console.log(`✅ Loaded ${stocks.length} stocks from ${provider.name}`);
+      return { stocks, rejectedRows, source: provider.name, errors };
+    } catch (error) {
+      const name = provider?.name || source.type;
+      console.warn(`⚠️ ${name} failed: ${error.message}`);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All data sources failed (${errors.join('; ')})`);
+}
+
+/**
+ * Reconcile fetched stocks against the configured ticker list
+ * @param {Object[]} stocks - Stocks returned by a provider
+ * @param {string[]} tickers - Configured tickers (portfolio.tickers); empty means "keep all"
+ * @returns {Object} { stocks, missingTickers, unexpectedTickers }
+ */
+export function reconcileTickers(stocks, tickers = []) {
+  if (!tickers || tickers.length === 0) {
+    return { stocks, missingTickers: [], unexpectedTickers: [] };
+  }
+
+  const bySymbol = new Map(stocks.map(stock => [stock.ticker.toUpperCase(), stock]));
+  const configured = new Set(tickers.map(t => t.toUpperCase()));
+
+  // Keep config.js order so the dashboard matches what the user wrote
+  const matched = tickers
+    .map(t => bySymbol.get(t.toUpperCase()))
+    .filter(Boolean);
+
+  return {
+    stocks: matched,
+    missingTickers: tickers.filter(t => !bySymbol.has(t.toUpperCase())),
+    unexpectedTickers: stocks.map(s => s.ticker).filter(t => !configured.has(t.toUpperCase()))
+  };
+}
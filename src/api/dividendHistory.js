@@ -0,0 +1,312 @@
+// 📜 Dividend History - Per-ticker payment records and derived metrics
+// Loads payment records from a CSV/JSON source and caches them in IndexedDB
+
+import { portfolio } from '../../config.js';
+import { parseCSVRows, findHeaderRow, rowsToObjects } from '../csv.js';
+import { parseNumber, resolveLocale } from '../numbers.js';
+import { parseDate, resolveDateFormat } from '../dates.js';
+import { getRecord, putRecord } from '../db.js';
+import { withRetry, getPath } from './dataSources.js';
+
+const STORE = 'dividendHistory';
+const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+// Default column names / JSON keys of a payment record
+const DEFAULT_FIELDS = {
+  ticker: 'Ticker',
+  exDate: 'Ex-Date',
+  payDate: 'Pay Date',
+  amount: 'Amount',
+  frequency: 'Frequency',
+  price: 'Price' // optional close on the ex-date, used for historical yields
+};
+
+// Payments per year for textual frequencies
+const FREQUENCIES = {
+  monthly: 12,
+  quarterly: 4,
+  'semi-annual': 2,
+  semiannual: 2,
+  annual: 1,
+  yearly: 1
+};
+
+/**
+ * Parse a frequency cell ('Quarterly', '4') into payments per year
+ */
+function parseFrequency(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseInt(value);
+  if (!isNaN(number)) return number;
+  return FREQUENCIES[String(value).trim().toLowerCase()] || null;
+}
+
+/**
+ * Normalize raw rows into payment records sorted by ex-date
+ * @param {Object[]} rows - Raw CSV objects or JSON records
+ * @param {Object} fields - Column mapping
+ * @param {string} ticker - Ticker to use when rows have no ticker column
+ * @param {string} dateFormat - Day/month order of numeric dates ('auto', 'DMY' or 'MDY')
+ * @returns {Object[]} Records { ticker, exDate, payDate, amount, frequency, price }
+ */
+export function normalizeRecords(rows, fields = {}, ticker = null, dateFormat = 'auto') {
+  const columns = { ...DEFAULT_FIELDS, ...fields };
+  // A lone "05/03/2024" is read like the file's other dates
+  const format = resolveDateFormat(rows.flatMap(row => [getPath(row, columns.exDate), getPath(row, columns.payDate)]), dateFormat);
+  // A lone "1,234" is read like the column's other values
+  const amountLocale = resolveLocale(rows.map(row => getPath(row, columns.amount)));
+  const priceLocale = resolveLocale(rows.map(row => getPath(row, columns.price)));
+
+  return rows
+    .map(row => ({
+      ticker: String(getPath(row, columns.ticker) || ticker || '').trim().toUpperCase(),
+      exDate: parseDate(getPath(row, columns.exDate), format),
+      payDate: parseDate(getPath(row, columns.payDate), format),
+      amount: parseNumber(getPath(row, columns.amount), amountLocale),
+      frequency: parseFrequency(getPath(row, columns.frequency)),
+      price: parseNumber(getPath(row, columns.price), priceLocale) || null
+    }))
+    .filter(record => record.ticker && (record.exDate || record.payDate) && !isNaN(record.amount))
+    .sort((a, b) => (a.exDate || a.payDate).localeCompare(b.exDate || b.payDate));
+}
+
+/**
+ * Fetch text or JSON from the history source with retries
+ */
+async function fetchSource(location, asJson) {
+  return withRetry(async () => {
+    const response = await fetch(location);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load dividend history: ${response.status}`);
+    }
+
+    return asJson ? response.json() : response.text();
+  }, 2, 'Dividend history');
+}
+
+/**
+ * Load records for the given tickers from the configured source
+ * - localFile: one CSV/JSON file containing every ticker
+ * - jsonRest: one request per ticker, `{ticker}` in the url is replaced
+ * @param {string[]} tickers - Tickers to load
+ * @param {Object} source - portfolio.dividendHistory.source
+ * @returns {Promise<Object>} Records grouped by ticker
+ */
+async function loadFromSource(tickers, source) {
+  const grouped = {};
+  tickers.forEach(ticker => { grouped[ticker] = []; });
+
+  if (source.type === 'localFile') {
+    const isJson = (source.format || source.path.split('.').pop()).toLowerCase() === 'json';
+    let rows;
+
+    if (isJson) {
+      const json = await fetchSource(encodeURI(source.path), true);
+      const data = source.dataPath ? getPath(json, source.dataPath) : json;
+      // Either an array of records or { TICKER: [records] }
+      rows = Array.isArray(data)
+        ? data
+        : Object.entries(data || {}).flatMap(([ticker, records]) => records.map(r => ({ ...r, ticker })));
+    } else {
+      const csvRows = parseCSVRows(await fetchSource(encodeURI(source.path), false));
+      const headerIndex = findHeaderRow(csvRows, values => values.includes(source.fields?.ticker || 'Ticker'));
+
+      if (headerIndex === -1) {
+        throw new Error('Could not find dividend history header row');
+      }
+
+      rows = rowsToObjects(csvRows, headerIndex);
+    }
+
+    // JSON records use camelCase keys by default
+    const fields = isJson
+      ? { ticker: 'ticker', exDate: 'exDate', payDate: 'payDate', amount: 'amount', frequency: 'frequency', price: 'price', ...source.fields }
+      : source.fields;
+
+    normalizeRecords(rows, fields, null, source.dateFormat).forEach(record => {
+      if (grouped[record.ticker]) grouped[record.ticker].push(record);
+    });
+  } else if (source.type === 'jsonRest') {
+    for (const ticker of tickers) {
+      const url = source.url.replace('{ticker}', encodeURIComponent(ticker));
+      const json = await fetchSource(url, true);
+      const rows = source.dataPath ? getPath(json, source.dataPath) : json;
+      grouped[ticker] = normalizeRecords(rows || [], source.fields, ticker, source.dateFormat);
+    }
+  } else {
+    throw new Error(`Unknown dividend history source type: ${source.type}`);
+  }
+
+  return grouped;
+}
+
+/**
+ * Get dividend histories for tickers (IndexedDB cache first)
+ * @param {string[]} tickers - Tickers to load
+ * @param {boolean} forceRefresh - Ignore the cache
+ * @returns {Promise<Object>} Records grouped by ticker (missing tickers have [])
+ */
+export async function loadDividendHistories(tickers, forceRefresh = false) {
+  const source = portfolio.dividendHistory?.source;
+  const histories = {};
+  let toFetch = tickers;
+
+  if (!forceRefresh) {
+    toFetch = [];
+    for (const ticker of tickers) {
+      try {
+        const cached = await getRecord(STORE, ticker);
+        if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+          histories[ticker] = cached.records;
+          continue;
+        }
+      } catch (error) {
+        console.warn('⚠️ Error reading dividend history cache:', error.message);
+      }
+      toFetch.push(ticker);
+    }
+  }
+
+  if (toFetch.length === 0) return histories;
+
+  if (!source) {
+    toFetch.forEach(ticker => { histories[ticker] = []; });
+    return histories;
+  }
+
+  console.log(`📜 Loading dividend history for ${toFetch.length} tickers...`);
+  const fetched = await loadFromSource(toFetch, source);
+
+  for (const [ticker, records] of Object.entries(fetched)) {
+    histories[ticker] = records;
+    try {
+      await putRecord(STORE, { ticker, records, timestamp: Date.now() });
+    } catch (error) {
+      console.warn('⚠️ Error caching dividend history:', error.message);
+    }
+  }
+
+  return histories;
+}
+
+/**
+ * Get the dividend history of a single ticker
+ * @param {string} ticker - Stock ticker
+ * @returns {Promise<Object[]>} Payment records
+ */
+export async function getDividendHistory(ticker) {
+  const histories = await loadDividendHistories([ticker]);
+  return histories[ticker] || [];
+}
+
+/**
+ * Estimate payments per year from the spacing of ex-dates
+ */
+function estimateFrequency(records) {
+  const explicit = records.map(r => r.frequency).filter(Boolean);
+  if (explicit.length > 0) return explicit[explicit.length - 1];
+  if (records.length < 2) return null;
+
+  const recent = records.slice(-5);
+  const first = new Date(recent[0].exDate || recent[0].payDate);
+  const last = new Date(recent[recent.length - 1].exDate || recent[recent.length - 1].payDate);
+  const avgGapDays = (last - first) / DAY / (recent.length - 1);
+
+  // Snap to the nearest common frequency
+  return [12, 4, 2, 1].reduce((best, f) =>
+    Math.abs(365 / f - avgGapDays) < Math.abs(365 / best - avgGapDays) ? f : best
+  );
+}
+
+/**
+ * Calculate derived dividend metrics from payment records
+ * @param {Object[]} records - Payment records (sorted by ex-date)
+ * @param {Date} asOf - Reference date (defaults to today)
+ * @returns {Object} { ttm, frequency, annualTotals, cagr: {1,3,5,10}, consecutiveIncreases, cuts, suspensions }
+ */
+export function calculateDividendMetrics(records, asOf = new Date()) {
+  const dateOf = r => new Date(r.exDate || r.payDate);
+  const yearAgo = new Date(asOf.getTime() - 365 * DAY);
+
+  // Trailing twelve months
+  const ttm = records
+    .filter(r => dateOf(r) > yearAgo && dateOf(r) <= asOf)
+    .reduce((sum, r) => sum + r.amount, 0);
+
+  // Totals per calendar year (ex-date year)
+  const annualTotals = {};
+  records.forEach(r => {
+    // Record dates are UTC midnights - the local year would move Jan 1 west of UTC
+    const year = dateOf(r).getUTCFullYear();
+    annualTotals[year] = (annualTotals[year] || 0) + r.amount;
+  });
+
+  // Growth is measured on complete years only
+  const lastFullYear = asOf.getFullYear() - 1;
+  const cagr = {};
+  [1, 3, 5, 10].forEach(n => {
+    const end = annualTotals[lastFullYear];
+    const start = annualTotals[lastFullYear - n];
+    cagr[n] = end > 0 && start > 0 ? Math.pow(end / start, 1 / n) - 1 : null;
+  });
+
+  // Consecutive years of increases, counting back from the last full year
+  let consecutiveIncreases = 0;
+  for (let year = lastFullYear; annualTotals[year - 1] > 0 && annualTotals[year] > annualTotals[year - 1]; year--) {
+    consecutiveIncreases++;
+  }
+
+  const frequency = estimateFrequency(records);
+
+  // Cuts: a regular payment lower than the previous one
+  // Suspensions: a gap of more than twice the usual payment interval
+  const cuts = [];
+  const suspensions = [];
+  const expectedGapDays = frequency ? 365 / frequency : null;
+
+  for (let i = 1; i < records.length; i++) {
+    const previous = records[i - 1];
+    const current = records[i];
+
+    if (current.amount < previous.amount * 0.99) {
+      cuts.push({
+        date: current.exDate || current.payDate,
+        from: previous.amount,
+        to: current.amount,
+        change: current.amount / previous.amount - 1
+      });
+    }
+
+    const gapDays = (dateOf(current) - dateOf(previous)) / DAY;
+    if (expectedGapDays && gapDays > expectedGapDays * 2) {
+      suspensions.push({
+        from: previous.exDate || previous.payDate,
+        to: current.exDate || current.payDate,
+        days: Math.round(gapDays)
+      });
+    }
+  }
+
+  // Still suspended if nothing was paid for more than two intervals
+  const last = records[records.length - 1];
+  if (last && expectedGapDays && (asOf - dateOf(last)) / DAY > expectedGapDays * 2) {
+    suspensions.push({
+      from: last.exDate || last.payDate,
+      to: null,
+      days: Math.round((asOf - dateOf(last)) / DAY)
+    });
+  }
+
+  return {
+    ttm,
+    frequency,
+    annualTotals,
+    cagr,
+    consecutiveIncreases,
+    cuts,
+    suspensions,
+    lastPayment: last || null
+  };
+}
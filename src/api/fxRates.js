@@ -0,0 +1,126 @@
+// 💱 FX Rates - Currency conversion into the dashboard's base currency
+// Rates come from config.js (static table) or a local file / JSON endpoint
+
+import { withRetry, getPath } from './dataSources.js';
+
+/**
+ * Load the FX rate table
+ * Rates are quoted against `base`: { base: 'USD', rates: { CAD: 1.37 } } means 1 USD = 1.37 CAD.
+ * If a `source` is configured it is tried first, falling back to the static rates.
+ * @param {Object} config - portfolio.fxRates ({ base, rates, source })
+ * @returns {Promise<Object>} { base, rates, source }
+ */
+export async function loadFxRates(config = {}) {
+  const fallback = {
+    base: config.base || 'USD',
+    rates: { ...(config.rates || {}) },
+    source: 'config.js'
+  };
+
+  if (config.source) {
+    const { type, path, url, dataPath, baseKey = 'base', ratesKey = 'rates' } = config.source;
+    const location = type === 'localFile' ? encodeURI(path) : url;
+
+    try {
+      const json = await withRetry(async () => {
+        const response = await fetch(location);
+
+        if (!response.ok) {
+          throw new Error(`Failed to load FX rates: ${response.status}`);
+        }
+
+        return response.json();
+      }, 2, 'FX rates');
+
+      const table = dataPath ? getPath(json, dataPath) : json;
+
+      if (!table || typeof table[ratesKey] !== 'object') {
+        throw new Error(`No '${ratesKey}' object in FX response`);
+      }
+
+      console.log(`💱 Loaded FX rates from ${path || url}`);
+      return {
+        base: table[baseKey] || fallback.base,
+        rates: { ...fallback.rates, ...table[ratesKey] },
+        source: path || url
+      };
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}, using FX rates from config.js`);
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * Get the rate to convert one unit of `from` into `to`
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {Object} fx - Rate table from loadFxRates
+ * @returns {number|null} Rate or null if either currency is unknown
+ */
+export function getFxRate(from, to, fx) {
+  if (from === to) return 1;
+
+  const rateOf = currency => (currency === fx.base ? 1 : fx.rates[currency]);
+  const fromRate = rateOf(from);
+  const toRate = rateOf(to);
+
+  if (!fromRate || !toRate) return null;
+
+  // from -> base -> to
+  return toRate / fromRate;
+}
+
+/**
+ * Convert an amount between currencies
+ * @returns {number} Converted amount (unchanged if the rate is unknown)
+ */
+export function convertAmount(amount, from, to, fx) {
+  const rate = getFxRate(from, to, fx);
+  return rate === null ? amount : amount * rate;
+}
+
+/**
+ * Convert stock prices and dividends into the base currency
+ * Native values are kept as nativePrice / nativeDividend / nativeCurrency,
+ * and fxRate (native -> base) is stored for converting cost basis later.
+ * @param {Object[]} stocks - Array of stock data
+ * @param {Object} fx - Rate table from loadFxRates
+ * @param {string} baseCurrency - Dashboard currency (settings.currency)
+ * @param {Object} currencyOverrides - Native currency per ticker (portfolio.currencies)
+ * @returns {Object} { stocks, missingCurrencies }
+ */
+export function convertStocksToBase(stocks, fx, baseCurrency, currencyOverrides = {}) {
+  const missingCurrencies = new Set();
+
+  const converted = stocks.map(stock => {
+    const nativeCurrency = currencyOverrides[stock.ticker] || stock.currency || baseCurrency;
+    let fxRate = getFxRate(nativeCurrency, baseCurrency, fx);
+    let currency = baseCurrency;
+
+    // Unknown rate - keep native values (and label them as such)
+    if (fxRate === null) {
+      missingCurrencies.add(nativeCurrency);
+      fxRate = 1;
+      currency = nativeCurrency;
+    }
+
+    return {
+      ...stock,
+      nativeCurrency,
+      nativePrice: stock.price,
+      nativeDividend: stock.dividend,
+      fxRate,
+      currency,
+      price: stock.price * fxRate,
+      dividend: (stock.dividend || 0) * fxRate
+    };
+  });
+
+  if (missingCurrencies.size > 0) {
+    console.warn(`⚠️ No FX rate for ${[...missingCurrencies].join(', ')} -> ${baseCurrency}, values left unconverted`);
+  }
+
+  return { stocks: converted, missingCurrencies: [...missingCurrencies] };
+}
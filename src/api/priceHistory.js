@@ -0,0 +1,137 @@
+// 🕰️ Price History - Monthly closes and dividends per share for backtests
+// Loads a local CSV/JSON dataset and collapses it to one row per ticker and month
+
+import { portfolio } from '../../config.js';
+import { parseCSVRows, findHeaderRow, rowsToObjects } from '../csv.js';
+import { parseNumber, resolveLocale } from '../numbers.js';
+import { parseDate, resolveDateFormat } from '../dates.js';
+import { withRetry, getPath } from './dataSources.js';
+
+// Default column names of a price row
+const DEFAULT_FIELDS = {
+  ticker: 'Ticker',
+  date: 'Date',
+  close: 'Close',
+  dividend: 'Dividend' // Dividends per share paid on that date / in that month
+};
+
+// JSON records use camelCase keys by default
+const JSON_FIELDS = {
+  ticker: 'ticker',
+  date: 'date',
+  close: 'close',
+  dividend: 'dividend'
+};
+
+/**
+ * Normalize raw rows into monthly series
+ * The month's last close wins; dividends within a month are added up.
+ * Dates are 'YYYY-MM' or anything parseDate reads (see dates.js).
+ * @param {Object[]} rows - Raw CSV objects or JSON records
+ * @param {Object} fields - Column mapping
+ * @param {string} dateFormat - Day/month order of numeric dates ('auto', 'DMY' or 'MDY')
+ * @returns {Object} { TICKER: [{ month: 'YYYY-MM', close, dividend }] } sorted by month
+ */
+export function normalizePriceRows(rows, fields = DEFAULT_FIELDS, dateFormat = 'auto') {
+  const columns = { ...DEFAULT_FIELDS, ...fields };
+  const byTicker = {};
+  // A lone "1,234" is read like the column's other values, a lone "05/03/2024" like its other dates
+  const closeLocale = resolveLocale(rows.map(row => getPath(row, columns.close)));
+  const dividendLocale = resolveLocale(rows.map(row => getPath(row, columns.dividend)));
+  const format = resolveDateFormat(rows.map(row => getPath(row, columns.date)), dateFormat);
+  let unreadableDates = 0;
+
+  rows.forEach(row => {
+    const ticker = String(getPath(row, columns.ticker) || '').trim().toUpperCase();
+    const cell = getPath(row, columns.date);
+    const date = /^\d{4}-\d{2}$/.test(String(cell ?? '').trim()) ? String(cell).trim() : parseDate(cell, format);
+    if (ticker && !date) unreadableDates++;
+    if (!ticker || !date) return;
+
+    const month = date.slice(0, 7);
+    const close = parseNumber(getPath(row, columns.close), closeLocale);
+    const dividend = parseNumber(getPath(row, columns.dividend), dividendLocale);
+    const months = byTicker[ticker] = byTicker[ticker] || {};
+    const entry = months[month] = months[month] || { month, close: null, closeDate: '', dividend: 0 };
+
+    if (!isNaN(close) && close > 0 && date >= entry.closeDate) {
+      entry.close = close;
+      entry.closeDate = date;
+    }
+    if (!isNaN(dividend)) {
+      entry.dividend += dividend;
+    }
+  });
+
+  if (unreadableDates > 0) {
+    console.warn(`⚠️ Skipped ${unreadableDates} price rows with unreadable dates`);
+  }
+
+  const series = {};
+  Object.entries(byTicker).forEach(([ticker, months]) => {
+    series[ticker] = Object.values(months)
+      .filter(entry => entry.close !== null)
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(({ month, close, dividend }) => ({ month, close, dividend }));
+  });
+
+  return series;
+}
+
+/**
+ * Parse a price history file
+ * @param {string} text - File content
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} options - { fields, dataPath, dateFormat }
+ * @returns {Object} Monthly series by ticker (see normalizePriceRows)
+ */
+export function parsePriceHistory(text, format = 'csv', options = {}) {
+  if (format === 'json') {
+    const json = JSON.parse(text);
+    const data = options.dataPath ? getPath(json, options.dataPath) : json;
+    // Either an array of records or { TICKER: [records] }
+    const rows = Array.isArray(data)
+      ? data
+      : Object.entries(data || {}).flatMap(([ticker, records]) => records.map(r => ({ ...r, ticker })));
+
+    return normalizePriceRows(rows, { ...JSON_FIELDS, ...options.fields }, options.dateFormat);
+  }
+
+  const csvRows = parseCSVRows(text);
+  const tickerColumn = options.fields?.ticker || DEFAULT_FIELDS.ticker;
+  const headerIndex = findHeaderRow(csvRows, values => values.includes(tickerColumn));
+
+  if (headerIndex === -1) {
+    throw new Error(`Could not find a header row with a ${tickerColumn} column`);
+  }
+
+  return normalizePriceRows(rowsToObjects(csvRows, headerIndex), options.fields, options.dateFormat);
+}
+
+/**
+ * Load the configured price history (portfolio.backtest.source)
+ * @returns {Promise<Object|null>} Monthly series by ticker, or null without a source
+ */
+export async function loadPriceHistory() {
+  const source = portfolio.backtest?.source;
+  if (!source) return null;
+
+  if (source.type !== 'localFile') {
+    throw new Error(`Unsupported price history source: ${source.type}`);
+  }
+
+  const format = (source.format || source.path.split('.').pop()).toLowerCase() === 'json' ? 'json' : 'csv';
+  const text = await withRetry(async () => {
+    const response = await fetch(encodeURI(source.path));
+
+    if (!response.ok) {
+      throw new Error(`Failed to load price history: ${response.status}`);
+    }
+
+    return response.text();
+  }, 2, 'Price history');
+
+  const series = parsePriceHistory(text, format, source);
+  console.log(`🕰️ Loaded price history for ${Object.keys(series).length} tickers`);
+  return series;
+}
@@ -1,14 +1,34 @@
 // 🌐 Google Sheets CSV Integration
 // Fetches data directly from public Google Sheets CSV export
 // No API keys, no CORS issues, 100% free!
+// Other providers (local CSV/JSON, REST) can be configured in config.js
+
+import { portfolio } from '../../config.js';
+import { calculateWeights } from '../holdings.js';
+import { fetchFromSources, reconcileTickers } from './dataSources.js';
+import { getDividendHistory } from './dividendHistory.js';
 
 // Google Sheets CSV export URL
 const CSV_URL = 'https://docs.google.com/spreadsheets/d/1CbvYPrHJnY73xLZU-ZNsnU5QNY_cy9kCKL1Cy3smA1k/export?format=csv&gid=988489794';
 
+// Used when config.js doesn't define dataSources
+const DEFAULT_SOURCES = [
+  { type: 'googleSheets', url: CSV_URL }
+];
+
 // Cache configuration
 const CACHE_KEY = 'stocks_csv_cache';
 const CACHE_DURATION = 4 * 60 * 60 * 1000; // 4 hours in milliseconds
 
+// Problems found during the last fetch (shown in the data issues panel)
+let dataIssues = {
+  source: null,
+  sourceErrors: [],
+  missingTickers: [],
+  unexpectedTickers: [],
+  rejectedRows: []
+};
+
 /**
  * Get cached data if valid
  * @returns {Object|null} Cached data or null if expired/missing
@@ -18,14 +38,14 @@ function getCachedData() {
     const cached = localStorage.getItem(CACHE_KEY);
     if (!cached) return null;
 
-    const { data, timestamp } = JSON.parse(cached);
+    const { data, meta = {}, timestamp } = JSON.parse(cached);
     const now = Date.now();
 
     // Check if cache is still valid (within 4 hours)
     if (now - timestamp < CACHE_DURATION) {
       const timeLeft = CACHE_DURATION - (now - timestamp);
       console.log(`✅ Using cached data. Next update in ${Math.round(timeLeft / (60 * 1000))} minutes`);
-      return { data, timestamp, timeLeft };
+      return { data, meta, timestamp, timeLeft };
     }
 
     console.log('⏰ Cache expired, fetching fresh data...');
@@ -39,11 +59,13 @@ function getCachedData() {
 /**
  * Save data to cache
  * @param {Object[]} data - Stock data to cache
+ * @param {Object} meta - Source name and source errors of this fetch
  */
-function setCachedData(data) {
+function setCachedData(data, meta = {}) {
   try {
     const cacheObj = {
       data,
+      meta,
       timestamp: Date.now()
     };
     localStorage.setItem(CACHE_KEY, JSON.stringify(cacheObj));
@@ -86,149 +108,74 @@ export function clearCache() {
 }
 
 /**
- * Parse a CSV line respecting quoted fields
- * @param {string} line - CSV line
- * @returns {string[]} Parsed values
+ * Get problems found during the last fetch
+ * @returns {Object} { source, sourceErrors, missingTickers, unexpectedTickers, rejectedRows }
  */
-function parseCSVLine(line) {
-  const values = [];
-  let currentValue = '';
-  let insideQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      insideQuotes = !insideQuotes;
-    } else if (char === ',' && !insideQuotes) {
-      values.push(currentValue.trim());
-      currentValue = '';
-    } else {
-      currentValue += char;
-    }
-  }
-
-  // Add the last value
-  values.push(currentValue.trim());
-
-  return values;
+export function getDataIssues() {
+  return dataIssues;
 }
 
 /**
- * Parse CSV text to array of objects
- * @param {string} csv - CSV text
- * @returns {Object[]} Parsed data
- */
-function parseCSV(csv) {
-  const lines = csv.trim().split('\n');
-
-  // Find the header row by looking for "Name" or "Ticker" column
-  let headerIndex = -1;
-  for (let i = 0; i < Math.min(10, lines.length); i++) {
-    const line = lines[i];
-    if (line.includes('Name') || line.includes('Ticker')) {
-      headerIndex = i;
-      console.log(`✅ Found header row at line ${i + 1}`);
-      break;
-    }
-  }
-
-  if (headerIndex === -1) {
-    throw new Error('Could not find CSV header row');
-  }
-
-  const headers = parseCSVLine(lines[headerIndex]);
-  console.log('📋 CSV Headers:', headers);
-
-  const data = [];
-  for (let i = headerIndex + 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-
-    // Skip empty rows (rows with no meaningful data)
-    if (values.filter(v => v).length === 0) continue;
-
-    // Skip rows that are just commas
-    if (values.every(v => !v)) continue;
-
-    const obj = {};
-    headers.forEach((header, index) => {
-      obj[header] = values[index] || '';
-    });
-
-    data.push(obj);
-  }
-
-  console.log(`📊 Parsed ${data.length} total rows from CSV`);
-  return data;
-}
-
-/**
- * Fetch and parse CSV from Google Sheets
+ * Fetch stock data from the configured data sources (with fallback)
+ * Results are reconciled against `tickers`: only configured tickers are returned,
+ * and tickers missing from the source (or not configured) are reported via getDataIssues().
+ * @param {string[]} tickers - Configured tickers (empty returns every row)
+ * @param {number} batchSize - Tickers per request for batch-capable sources
+ * @param {number} retries - Retries per batch (exponential backoff)
  * @param {boolean} forceRefresh - Force refresh even if cache is valid
  * @returns {Promise<Object[]>} Array of stock data
  */
 export async function fetchStocksBatched(tickers = [], batchSize = 50, retries = 3, forceRefresh = false) {
+  let sourceData = null;
+  let meta = {};
+
   // Check cache first (unless force refresh)
   if (!forceRefresh) {
     const cached = getCachedData();
     if (cached) {
-      return cached.data;
+      sourceData = cached.data;
+      meta = cached.meta;
     }
   }
 
-  try {
-    console.log('🔄 Fetching data from Google Sheets CSV...');
+  if (!sourceData) {
+    try {
+      const sources = portfolio.dataSources?.length ? portfolio.dataSources : DEFAULT_SOURCES;
+      const { stocks, rejectedRows, source, errors } = await fetchFromSources(sources, { tickers, batchSize, retries });
+
+      console.log(`✅ Mapped ${stocks.length} valid stocks from ${source}`);
+      console.log('📊 Sample mapped data:', stocks[0]); // Debug: see mapped result
 
-    const response = await fetch(CSV_URL);
+      sourceData = stocks;
+      meta = { source, sourceErrors: errors, rejectedRows };
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch CSV: ${response.status}`);
+      // Cache the results (unfiltered, so config changes apply without refetching)
+      setCachedData(stocks, meta);
+
+    } catch (error) {
+      console.error('❌ Failed to fetch stock data:', error.message);
+      throw error;
     }
+  }
 
-    const csvText = await response.text();
-    const parsedData = parseCSV(csvText);
-
-    console.log(`✅ Successfully fetched ${parsedData.length} stocks from CSV`);
-    console.log('📋 First row sample:', parsedData[0]); // Debug: see what we got
-
-    // Map CSV data to our format
-    // CSV columns: Name,Ticker,Price,Dividend Payment,Dividend Yield,Sector
-    const mappedData = parsedData.map(row => ({
-      ticker: row.Ticker || '',
-      name: row.Name || row.Ticker || '',
-      price: parseFloat(row.Price || 0),
-      currency: 'USD',
-      dividend: parseFloat(row['Dividend Payment'] || 0),
-      dividendYield: parseFloat(row['Dividend Yield'] || 0) / 100, // Convert percentage to decimal
-      sector: row.Sector || 'Unknown',
-      industry: row.Sector || 'Unknown', // Use Sector as Industry since CSV doesn't have Industry
-      marketCap: 0, // Not available in CSV
-      exDividendDate: null, // Not available in CSV
-      dividendDate: null,
-      change: 0, // Not available in CSV
-      changePercent: 0 // Not available in CSV
-    }));
-
-    // Filter out invalid entries (must have ticker and price)
-    // Skip rows where Ticker is empty (sector summary rows at end)
-    const validData = mappedData.filter(stock =>
-      stock.ticker &&
-      stock.ticker.length > 0 &&
-      stock.price > 0
-    );
-
-    console.log(`✅ Mapped to ${validData.length} valid stocks`);
-    console.log('📊 Sample mapped data:', validData[0]); // Debug: see mapped result
-
-    // Cache the results
-    setCachedData(validData);
-
-    return validData;
+  const { stocks, missingTickers, unexpectedTickers } = reconcileTickers(sourceData, tickers);
 
-  } catch (error) {
-    console.error('❌ Failed to fetch CSV data:', error.message);
-    throw error;
+  if (missingTickers.length > 0) {
+    console.warn(`⚠️ Configured but missing from source: ${missingTickers.join(', ')}`);
   }
+  if (unexpectedTickers.length > 0) {
+    console.warn(`⚠️ In source but not configured: ${unexpectedTickers.join(', ')}`);
+  }
+
+  dataIssues = {
+    source: meta.source || null,
+    sourceErrors: meta.sourceErrors || [],
+    missingTickers,
+    unexpectedTickers,
+    rejectedRows: meta.rejectedRows || []
+  };
+
+  return stocks;
 }
 
 /**
@@ -240,19 +187,22 @@ export async function fetchStockQuotes(tickers, forceRefresh = false) {
 
 /**
  * Fetch historical dividend data
- * Note: Not available from CSV, returns empty array
+ * Records come from portfolio.dividendHistory (cached in IndexedDB)
+ * @param {string} ticker - Stock ticker
+ * @returns {Promise<Object[]>} Payment records { ticker, exDate, payDate, amount, frequency }
  */
 export async function fetchDividendHistory(ticker) {
-  console.warn('Dividend history not available from CSV data');
-  return [];
+  return getDividendHistory(ticker);
 }
 
 /**
  * Calculate portfolio statistics
  * @param {Object[]} stocks - Array of stock data
+ * @param {Object} options - { weighting: 'equal'|'value'|'target', targetWeights, topN }
  * @returns {Object} Portfolio statistics
  */
-export function calculatePortfolioStats(stocks) {
+export function calculatePortfolioStats(stocks, options = {}) {
+  const { weighting = 'equal', targetWeights = {}, topN = 5 } = options;
   const validStocks = stocks.filter(s => s.price > 0);
 
   if (validStocks.length === 0) {
@@ -262,7 +212,14 @@ export function calculatePortfolioStats(stocks) {
       avgPrice: 0,
       totalDividend: 0,
       topYielder: null,
-      sectorDistribution: {}
+      sectorDistribution: {},
+      weighting,
+      weights: {},
+      weightedYield: 0,
+      weightedNetYield: 0,
+      weightedDividendGrowth: null,
+      topNWeight: 0,
+      herfindahl: 0
     };
   }
 
@@ -275,6 +232,27 @@ export function calculatePortfolioStats(stocks) {
 
   const totalDividend = validStocks.reduce((sum, s) => sum + (s.dividend || 0), 0);
 
+  // Weighted metrics
+  const { mode, weights } = calculateWeights(validStocks, weighting, targetWeights);
+
+  const weightedYield = validStocks.reduce((sum, s) => sum + weights[s.ticker] * (s.dividendYield || 0), 0);
+  const weightedNetYield = validStocks.reduce(
+    (sum, s) => sum + weights[s.ticker] * (s.netDividendYield ?? s.dividendYield ?? 0),
+    0
+  );
+
+  // Dividend growth is only known for some stocks - renormalize over those
+  const withGrowth = validStocks.filter(s => typeof s.dividendGrowth === 'number' && weights[s.ticker] > 0);
+  const growthWeight = withGrowth.reduce((sum, s) => sum + weights[s.ticker], 0);
+  const weightedDividendGrowth = growthWeight > 0
+    ? withGrowth.reduce((sum, s) => sum + weights[s.ticker] * s.dividendGrowth, 0) / growthWeight
+    : null;
+
+  // Concentration: share of the N largest positions and Herfindahl-Hirschman index
+  const sortedWeights = Object.values(weights).sort((a, b) => b - a);
+  const topNWeight = sortedWeights.slice(0, topN).reduce((sum, w) => sum + w, 0);
+  const herfindahl = sortedWeights.reduce((sum, w) => sum + w * w, 0);
+
   // Find top yielder
   const topYielder = validStocks.reduce((top, stock) => {
     return (stock.dividendYield || 0) > (top?.dividendYield || 0) ? stock : top;
@@ -293,17 +271,24 @@ export function calculatePortfolioStats(stocks) {
     avgPrice,
     totalDividend,
     topYielder,
-    sectorDistribution
+    sectorDistribution,
+    weighting: mode,
+    weights,
+    weightedYield,
+    weightedNetYield,
+    weightedDividendGrowth,
+    topNWeight,
+    herfindahl
   };
 }
 
 /**
  * Format currency value
  * @param {number} value - Numeric value
- * @param {string} currency - Currency code
+ * @param {string} currency - Currency code (defaults to the base currency in config.js)
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(value, currency = 'USD') {
+export function formatCurrency(value, currency = portfolio.settings.currency || 'USD') {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
     currency: currency,
@@ -312,6 +297,16 @@ export function formatCurrency(value, currency = 'USD') {
   }).format(value);
 }
 
+/**
+ * Get the symbol for a currency code (e.g. 'EUR' -> '€')
+ * @param {string} currency - Currency code (defaults to the base currency in config.js)
+ * @returns {string} Currency symbol
+ */
+export function getCurrencySymbol(currency = portfolio.settings.currency || 'USD') {
+  const parts = new Intl.NumberFormat('en-US', { style: 'currency', currency }).formatToParts(0);
+  return parts.find(p => p.type === 'currency')?.value || currency;
+}
+
 /**
  * Format percentage value
  * @param {number} value - Numeric value (0.05 = 5%)
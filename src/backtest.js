@@ -0,0 +1,251 @@
+// 🕰️ Backtest - Replays DCA and dividend reinvestment over real monthly history
+// Results use the same shape as calculateDCAScenario so both can be shown side by side
+
+import { allocateContribution } from './holdings.js';
+
+/**
+ * Months present for every ticker, from the start month onward
+ * @param {Object} series - Monthly series by ticker (see priceHistory.js)
+ * @param {string[]} tickers - Tickers to replay
+ * @param {string} startMonth - 'YYYY-MM'
+ * @param {number} maxMonths - Longest window
+ * @returns {string[]} Months in order
+ */
+export function getCommonMonths(series, tickers, startMonth, maxMonths = Infinity) {
+  const sets = tickers.map(ticker => new Set((series[ticker] || []).map(row => row.month)));
+  const months = (series[tickers[0]] || [])
+    .map(row => row.month)
+    .filter(month => month >= startMonth && sets.every(set => set.has(month)));
+
+  return months.slice(0, maxMonths);
+}
+
+/**
+ * Standard deviation of a list of numbers
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Replay DCA with dividend reinvestment over monthly history
+ * Each month: buy with the contribution at the month's close, collect the month's
+ * dividends per share, and reinvest the net cash once it reaches the threshold -
+ * the same order as calculateDCAScenario. Dividends count in the month of their history
+ * row and every purchase is fractional and fee-free: payment timing and trading costs
+ * are not replayed. Values (yearly and final) include dividend cash waiting for the threshold.
+ * Existing holdings (`startingValue`, their current market value as calculateDCAScenario
+ * counts them) are bought at the first month's close and count as invested.
+ * Drawdowns are measured on a time-weighted index, so contributions don't hide losses;
+ * income volatility is the spread of yearly dividend changes on a fixed share count.
+ * @param {Object} series - Monthly series by ticker
+ * @param {Object} params - { assets: [{ ticker, targetWeight, startingValue }], startMonth, years,
+ *   initialInvestment, monthlyDCA, reinvestThreshold, dividendTaxRate, allocation }
+ * @returns {Object} calculateDCAScenario-style results plus `backtest` statistics
+ */
+export function runBacktest(series, params) {
+  const {
+    startMonth,
+    years = 10,
+    initialInvestment = 0,
+    monthlyDCA = 0,
+    reinvestThreshold = 50,
+    dividendTaxRate = 0,
+    allocation = 'target'
+  } = params;
+
+  const totalWeight = params.assets.reduce((sum, asset) => sum + (asset.targetWeight ?? 1), 0);
+  const assets = params.assets.map(asset => ({
+    ticker: asset.ticker,
+    name: asset.name || asset.ticker,
+    weight: totalWeight > 0 ? (asset.targetWeight ?? 1) / totalWeight : 1 / params.assets.length,
+    startingValue: asset.startingValue || 0
+  }));
+
+  const tickers = assets.map(asset => asset.ticker);
+  const months = getCommonMonths(series, tickers, startMonth, years * 12);
+  if (months.length === 0) {
+    throw new Error(`No common history for ${tickers.join(', ')} from ${startMonth}`);
+  }
+
+  const rows = tickers.map(ticker => Object.fromEntries(series[ticker].map(row => [row.month, row])));
+  const shares = assets.map(() => 0);
+  const invested = assets.map(() => 0);
+  const dividendsReceived = assets.map(() => 0);
+  let cashBuffer = 0;
+  const startingValue = assets.reduce((sum, asset) => sum + asset.startingValue, 0);
+  let totalInvested = startingValue;
+  let totalDividendsReceived = 0;
+  let totalDividendsReinvested = 0;
+  let totalTaxPaid = 0;
+
+  // Time-weighted index for drawdowns
+  let index = 1;
+  let peak = 1;
+  let previousValue = 0;
+  let maxDrawdown = 0;
+  let underwater = 0;
+  let longestUnderwater = 0;
+
+  const yearlyData = [];
+  const monthly = [];
+  // Dividends per share of each full year, and shares held when it started
+  const yearDividendsPerShare = [];
+  const incomeChanges = [];
+  let yearStartShares = shares.slice();
+  let yearInvested = 0;
+  let yearDividends = 0;
+  let yearTax = 0;
+  let yearReinvested = 0;
+
+  months.forEach((month, m) => {
+    const prices = rows.map(byMonth => byMonth[month].close);
+    const valueBefore = shares.reduce((sum, n, i) => sum + n * prices[i], 0) + cashBuffer;
+
+    if (previousValue > 0) {
+      index *= valueBefore / previousValue;
+    }
+
+    // Existing holdings start in the first month
+    if (m === 0) {
+      assets.forEach((asset, i) => {
+        shares[i] += asset.startingValue / prices[i];
+        invested[i] += asset.startingValue;
+      });
+    }
+
+    // Initial investment in the first month, then the monthly contribution
+    const contribution = (m === 0 ? initialInvestment : 0) + monthlyDCA;
+    if (contribution > 0) {
+      allocateContribution(contribution, assets, shares, prices, allocation).forEach((part, i) => {
+        shares[i] += part / prices[i];
+        invested[i] += part;
+      });
+      totalInvested += contribution;
+      yearInvested += contribution;
+    }
+
+    let monthDividends = 0;
+    assets.forEach((_, i) => {
+      const dividend = shares[i] * (rows[i][month].dividend || 0);
+      const tax = dividend * dividendTaxRate;
+
+      cashBuffer += dividend - tax;
+      dividendsReceived[i] += dividend;
+      totalDividendsReceived += dividend;
+      totalTaxPaid += tax;
+      yearDividends += dividend;
+      yearTax += tax;
+      monthDividends += dividend;
+    });
+
+    if (cashBuffer >= reinvestThreshold) {
+      allocateContribution(cashBuffer, assets, shares, prices, allocation).forEach((part, i) => {
+        if (part > 0) shares[i] += part / prices[i];
+      });
+      totalDividendsReinvested += cashBuffer;
+      yearReinvested += cashBuffer;
+      cashBuffer = 0;
+    }
+
+    const value = shares.reduce((sum, n, i) => sum + n * prices[i], 0) + cashBuffer;
+    previousValue = value;
+
+    peak = Math.max(peak, index);
+    const drawdown = index / peak - 1;
+    maxDrawdown = Math.min(maxDrawdown, drawdown);
+    underwater = drawdown < 0 ? underwater + 1 : 0;
+    longestUnderwater = Math.max(longestUnderwater, underwater);
+
+    monthly.push({ month, value, invested: totalInvested, income: monthDividends, drawdown });
+
+    // Year-end snapshot every 12 months (and for a final partial year)
+    if ((m + 1) % 12 === 0 || m === months.length - 1) {
+      // Trailing 12 months of dividends per share at today's share count
+      const trailing = months.slice(Math.max(0, m - 11), m + 1);
+      const dividendsPerShare = assets.map((_, i) => trailing.reduce((total, key) => total + (rows[i][key].dividend || 0), 0));
+      const annualDividendIncome = assets.reduce((sum, _, i) => sum + shares[i] * dividendsPerShare[i], 0);
+
+      // Organic income change: this year's vs last year's dividends on the same shares,
+      // so new contributions don't mask cuts
+      if ((m + 1) % 12 === 0) {
+        const previous = yearDividendsPerShare[yearDividendsPerShare.length - 1];
+        if (previous) {
+          const before = assets.reduce((sum, _, i) => sum + yearStartShares[i] * previous[i], 0);
+          const after = assets.reduce((sum, _, i) => sum + yearStartShares[i] * dividendsPerShare[i], 0);
+          if (before > 0) incomeChanges.push(after / before - 1);
+        }
+        yearDividendsPerShare.push(dividendsPerShare);
+        yearStartShares = shares.slice();
+      }
+
+      yearlyData.push({
+        year: yearlyData.length + 1,
+        month,
+        shares: shares.reduce((sum, n) => sum + n, 0).toFixed(4),
+        price: assets.length === 1 ? prices[0].toFixed(2) : null,
+        portfolioValue: value.toFixed(2),
+        invested: totalInvested.toFixed(2),
+        contributed: yearInvested.toFixed(2),
+        dividendsReceived: yearDividends.toFixed(2),
+        taxPaid: yearTax.toFixed(2),
+        dividendsReinvested: yearReinvested.toFixed(2),
+        annualDividendIncome: annualDividendIncome.toFixed(2),
+        netAnnualDividendIncome: (annualDividendIncome * (1 - dividendTaxRate)).toFixed(2),
+        dividendYield: value > 0 ? ((annualDividendIncome / value) * 100).toFixed(2) : '0.00',
+        cashBuffer: cashBuffer.toFixed(2)
+      });
+
+      yearInvested = 0;
+      yearDividends = 0;
+      yearTax = 0;
+      yearReinvested = 0;
+    }
+  });
+
+  const lastMonth = months[months.length - 1];
+  const finalPrices = rows.map(byMonth => byMonth[lastMonth].close);
+  const holdingsValue = shares.reduce((sum, n, i) => sum + n * finalPrices[i], 0);
+  const finalValue = holdingsValue + cashBuffer;
+  const finalAnnualDividend = parseFloat(yearlyData[yearlyData.length - 1].annualDividendIncome);
+
+  return {
+    yearlyData,
+    holdings: assets.map((asset, i) => ({
+      ticker: asset.ticker,
+      name: asset.name,
+      shares: shares[i],
+      finalPrice: finalPrices[i],
+      finalValue: shares[i] * finalPrices[i],
+      invested: invested[i],
+      targetWeight: asset.weight,
+      finalWeight: holdingsValue > 0 ? (shares[i] * finalPrices[i]) / holdingsValue : 0,
+      dividendsReceived: dividendsReceived[i]
+    })),
+    startingValue: startingValue.toFixed(2),
+    totalInvested: totalInvested.toFixed(2),
+    totalShares: shares.reduce((sum, n) => sum + n, 0).toFixed(4),
+    finalPrice: assets.length === 1 ? finalPrices[0].toFixed(2) : null,
+    finalValue: finalValue.toFixed(2),
+    totalDividendsReceived: totalDividendsReceived.toFixed(2),
+    totalDividendsReinvested: totalDividendsReinvested.toFixed(2),
+    totalTaxPaid: totalTaxPaid.toFixed(2),
+    finalAnnualDividend: finalAnnualDividend.toFixed(2),
+    finalMonthlyDividend: (finalAnnualDividend / 12).toFixed(2),
+    finalAnnualDividendNet: (finalAnnualDividend * (1 - dividendTaxRate)).toFixed(2),
+    finalMonthlyDividendNet: (finalAnnualDividend * (1 - dividendTaxRate) / 12).toFixed(2),
+    backtest: {
+      startMonth: months[0],
+      endMonth: lastMonth,
+      months: months.length,
+      monthly,
+      maxDrawdown,
+      longestUnderwaterMonths: longestUnderwater,
+      incomeChanges,
+      incomeVolatility: standardDeviation(incomeChanges),
+      worstIncomeChange: incomeChanges.length > 0 ? Math.min(...incomeChanges) : null
+    }
+  };
+}
@@ -0,0 +1,636 @@
+// 🏦 Broker Import - Transaction exports to positions and cost basis
+// Per-broker profiles map export columns onto buys, sells, dividends, fees and splits
+
+import { parseCSVRows, findHeaderRow, rowsToObjects, isEmptyRow } from './csv.js';
+import { parseNumber, resolveLocale } from './numbers.js';
+import { parseDate, resolveDateFormat } from './dates.js';
+import { getAllRecords, putRecord, deleteRecord } from './db.js';
+import { createLedgerEntry, parseDividendCSV, numberOccurrences } from './ledger.js';
+
+const STORE = 'transactions';
+const EPSILON = 1e-9;
+
+// Fields a column-mapping profile can map
+export const TRANSACTION_FIELDS = {
+  date: 'Date',
+  type: 'Type / Action',
+  ticker: 'Ticker / Symbol',
+  shares: 'Shares / Quantity',
+  price: 'Price per Share',
+  amount: 'Total Amount',
+  fee: 'Fee / Commission',
+  withholding: 'Withholding Tax',
+  currency: 'Currency',
+  ratio: 'Split Ratio'
+};
+
+// Mapped fields holding numbers
+const NUMBER_FIELDS = ['shares', 'price', 'amount', 'fee', 'withholding'];
+
+// Same-day order: a split's close comes before its open, buys before sells
+const TYPE_ORDER = ['splitOut', 'splitIn', 'split', 'buy', 'sell', 'dividend', 'withholding', 'fee'];
+
+// Keywords in a type/action cell (checked in order)
+const DEFAULT_TYPE_RULES = [
+  [/split.*(close|out)/i, 'splitOut'],
+  [/split.*(open|in)/i, 'splitIn'],
+  [/split/i, 'split'],
+  [/withholding/i, 'withholding'],
+  [/dividend/i, 'dividend'],
+  [/sell|sold/i, 'sell'],
+  [/buy|bought|purchase/i, 'buy'],
+  [/fee|commission/i, 'fee']
+];
+
+/**
+ * Number from a cell, 0 for blanks
+ */
+function toNumber(value, locale = 'auto') {
+  const number = parseNumber(value, locale);
+  return isNaN(number) ? 0 : number;
+}
+
+/**
+ * Classify a type cell with keyword rules
+ */
+function classify(value, rules = DEFAULT_TYPE_RULES) {
+  const match = rules.find(([pattern]) => pattern.test(String(value || '')));
+  return match ? match[1] : null;
+}
+
+/**
+ * Build a normalized transaction
+ * The id comes from the raw row contents, so re-importing an export replaces
+ * its transactions instead of duplicating them.
+ */
+function createTransaction(fields, broker, locale = 'auto', dateFormat = 'auto') {
+  const date = parseDate(fields.date, dateFormat);
+  const ticker = String(fields.ticker || '').trim().toUpperCase();
+  if (!date || !fields.type || (!ticker && fields.type !== 'fee')) return null;
+
+  const transaction = {
+    date,
+    type: fields.type,
+    ticker,
+    shares: Math.abs(toNumber(fields.shares, locale)),
+    price: Math.abs(toNumber(fields.price, locale)),
+    amount: toNumber(fields.amount, locale),
+    fee: Math.abs(toNumber(fields.fee, locale)),
+    withholding: Math.abs(toNumber(fields.withholding, locale)),
+    currency: String(fields.currency || '').trim().toUpperCase() || null,
+    amountCurrency: String(fields.amountCurrency || '').trim().toUpperCase() || null,
+    ratio: toNumber(fields.ratio, locale) || null,
+    amountIsNet: Boolean(fields.amountIsNet),
+    broker
+  };
+
+  transaction.id = [broker, fields.rawDate || date, transaction.type, ticker, transaction.shares, transaction.price, transaction.amount].join('|');
+  return transaction;
+}
+
+/**
+ * Price-currency units per amount-currency unit implied by a trade or dividend row
+ * The amount is the account-currency total: the net dividend, or the trade value plus
+ * (buys) / minus (sells) the fees. Falls back to the row's exchange rate column.
+ * @param {Object} row - { type, shares, price, amount, fees (amount currency),
+ *   withholding (price currency), amountIsNet, exchangeRate }
+ * @returns {number} Rate (1 when it can't be told)
+ */
+function impliedRate({ type, shares, price, amount, fees, withholding, amountIsNet, exchangeRate }) {
+  const value = shares * price;
+  const priceSide = {
+    dividend: value - (amountIsNet ? withholding : 0),
+    buy: value,
+    sell: value
+  }[type];
+  const amountSide = {
+    dividend: amount,
+    buy: amount - fees,
+    sell: amount + fees
+  }[type];
+
+  if (priceSide > 0 && amountSide > 0) return priceSide / amountSide;
+  return exchangeRate > 0 ? exchangeRate : 1;
+}
+
+/**
+ * Parse rows with a column mapping
+ * Fees end up in the price currency (they are added to the cost basis) and withholding
+ * in the amount currency (it is added to the amount for the gross dividend). When a
+ * profile names the currency of each fee / withholding column (currencyColumn), cells in
+ * the other currency are converted with the rate implied by the row.
+ * @param {Object[]} rows - CSV objects
+ * @param {Object} columns - { field: header } (see TRANSACTION_FIELDS)
+ * @param {string} broker - Profile key
+ * @param {Object} options - { typeRules, amountIsNet, currencyColumn, dateFormat }
+ */
+function parseMappedRows(rows, columns, broker, options = {}) {
+  const transactions = [];
+  let skipped = 0;
+  const cell = (row, field) => (columns[field] ? row[columns[field]] : undefined);
+  const currencyCode = value => String(value || '').trim().toUpperCase() || null;
+  // One number format per export: a lone "1,234" is read like the file's other amounts
+  const locale = resolveLocale(rows.flatMap(row => NUMBER_FIELDS.flatMap(field => [].concat(columns[field] || []).map(column => row[column]))));
+  // ...and a lone "05/03/2024" like its other dates
+  const dateFormat = resolveDateFormat(rows.map(row => cell(row, 'date')), options.dateFormat);
+  // Several columns can add up into one field (e.g. Trading 212's fee columns), each in its own currency
+  const amounts = (row, field) => [].concat(columns[field] || []).map(column => ({
+    value: Math.abs(toNumber(row[column], locale)),
+    currency: options.currencyColumn ? currencyCode(row[options.currencyColumn(column)]) : null
+  }));
+  const sumOf = parts => parts.reduce((sum, part) => sum + part.value, 0);
+
+  rows.forEach(row => {
+    let type = columns.type ? classify(cell(row, 'type'), options.typeRules) : null;
+
+    // Without a type column the sign of the quantity decides
+    if (!columns.type) {
+      const shares = toNumber(cell(row, 'shares'), locale);
+      type = shares > 0 ? 'buy' : shares < 0 ? 'sell' : null;
+    }
+
+    // Deposits, interest etc. are not part of positions
+    if (!type) return;
+
+    const currency = currencyCode(cell(row, 'currency'));
+    const amountCurrency = currencyCode(cell(row, 'amountCurrency')) || currency;
+    const fees = amounts(row, 'fee');
+    const withholding = amounts(row, 'withholding');
+    let fee = sumOf(fees);
+    let withheld = sumOf(withholding);
+
+    // Bring account-currency fees into the price currency and price-currency withholding
+    // into the amount currency (untagged cells already are)
+    if (currency && amountCurrency && currency !== amountCurrency) {
+      const feesInAmountCurrency = sumOf(fees.filter(part => part.currency === amountCurrency));
+      const withheldInPriceCurrency = sumOf(withholding.filter(part => part.currency === currency));
+      const rate = impliedRate({
+        type,
+        shares: Math.abs(toNumber(cell(row, 'shares'), locale)),
+        price: Math.abs(toNumber(cell(row, 'price'), locale)),
+        amount: Math.abs(toNumber(cell(row, 'amount'), locale)),
+        fees: feesInAmountCurrency,
+        withholding: withheldInPriceCurrency,
+        amountIsNet: options.amountIsNet,
+        exchangeRate: toNumber(cell(row, 'exchangeRate'), locale)
+      });
+
+      fee = fee - feesInAmountCurrency + feesInAmountCurrency * rate;
+      withheld = withheld - withheldInPriceCurrency + withheldInPriceCurrency / rate;
+    }
+
+    const transaction = createTransaction({
+      date: cell(row, 'date'),
+      rawDate: cell(row, 'date'),
+      type,
+      ticker: cell(row, 'ticker'),
+      shares: cell(row, 'shares'),
+      price: cell(row, 'price'),
+      amount: cell(row, 'amount'),
+      fee,
+      withholding: withheld,
+      currency: cell(row, 'currency'),
+      amountCurrency: cell(row, 'amountCurrency'),
+      ratio: cell(row, 'ratio'),
+      amountIsNet: options.amountIsNet
+    }, broker, locale, dateFormat);
+
+    if (transaction) {
+      transactions.push(transaction);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { transactions, skipped };
+}
+
+/**
+ * Ticker from an IBKR description like "JNJ(US4781601046) Cash Dividend USD 1.19 per Share"
+ */
+function ibkrTicker(description) {
+  return String(description || '').split('(')[0].trim();
+}
+
+/**
+ * Parse an Interactive Brokers Activity Statement (CSV with one section per table)
+ * Uses the Trades, Dividends, Withholding Tax and Corporate Actions (splits) sections.
+ */
+function parseIBKRStatement(rows) {
+  const sections = {};
+  const headers = {};
+
+  rows.forEach(values => {
+    const [section, kind, ...rest] = values;
+    if (kind === 'Header') {
+      headers[section] = rest;
+    } else if (kind === 'Data' && headers[section]) {
+      const row = {};
+      headers[section].forEach((header, i) => { row[header] = rest[i] ?? ''; });
+      (sections[section] = sections[section] || []).push(row);
+    }
+  });
+
+  const locale = resolveLocale(Object.values(sections).flat()
+    .flatMap(row => ['Quantity', 'T. Price', 'Proceeds', 'Comm/Fee', 'Amount'].map(column => row[column])));
+
+  const transactions = [];
+  let skipped = 0;
+  const add = (fields) => {
+    const transaction = createTransaction(fields, 'ibkr', locale);
+    if (transaction) {
+      transactions.push(transaction);
+    } else {
+      skipped++;
+    }
+  };
+
+  (sections.Trades || [])
+    .filter(row => row.DataDiscriminator === 'Order' && /stock/i.test(row['Asset Category']))
+    .forEach(row => {
+      const quantity = toNumber(row.Quantity, locale);
+      add({
+        date: row['Date/Time'],
+        rawDate: row['Date/Time'],
+        type: quantity >= 0 ? 'buy' : 'sell',
+        ticker: row.Symbol,
+        shares: quantity,
+        price: row['T. Price'],
+        amount: row.Proceeds,
+        fee: row['Comm/Fee'],
+        currency: row.Currency
+      });
+    });
+
+  // Total rows have "Total ..." in the currency column
+  const isData = row => row.Currency && !/^total/i.test(row.Currency) && row.Description;
+
+  (sections.Dividends || []).filter(isData).forEach(row => {
+    add({
+      date: row.Date,
+      rawDate: `${row.Date} ${row.Description}`,
+      type: 'dividend',
+      ticker: ibkrTicker(row.Description),
+      amount: row.Amount,
+      currency: row.Currency
+    });
+  });
+
+  (sections['Withholding Tax'] || []).filter(isData).forEach(row => {
+    add({
+      date: row.Date,
+      rawDate: `${row.Date} ${row.Description}`,
+      type: 'withholding',
+      ticker: ibkrTicker(row.Description),
+      amount: row.Amount,
+      withholding: row.Amount,
+      currency: row.Currency
+    });
+  });
+
+  (sections['Corporate Actions'] || []).filter(isData).forEach(row => {
+    const split = String(row.Description).match(/split\s+(\d+(?:\.\d+)?)\s+for\s+(\d+(?:\.\d+)?)/i);
+    if (!split) return;
+
+    add({
+      date: row['Date/Time'],
+      rawDate: row['Date/Time'],
+      type: 'split',
+      ticker: ibkrTicker(row.Description),
+      ratio: parseFloat(split[1]) / parseFloat(split[2]),
+      currency: row.Currency
+    });
+  });
+
+  return { transactions, skipped };
+}
+
+// Built-in broker profiles
+export const BROKER_PROFILES = {
+  trading212: {
+    name: 'Trading 212',
+    detect: rows => rows.slice(0, 5).some(values => values.includes('Action') && values.includes('No. of shares')),
+    columns: {
+      date: 'Time',
+      type: 'Action',
+      ticker: 'Ticker',
+      shares: 'No. of shares',
+      price: 'Price / share',
+      amount: 'Total',
+      fee: ['Currency conversion fee', 'Stamp duty reserve tax', 'Transaction fee', 'Finra fee', 'French transaction tax'],
+      withholding: 'Withholding tax',
+      currency: 'Currency (Price / share)',
+      amountCurrency: 'Currency (Total)',
+      exchangeRate: 'Exchange rate'
+    },
+    // Dividend rows show the net amount received in "Total" (account currency); withholding
+    // and fees each have their own currency column
+    amountIsNet: true,
+    currencyColumn: column => `Currency (${column})`
+  },
+  ibkr: {
+    name: 'Interactive Brokers (Activity Statement)',
+    detect: rows => rows.slice(0, 50).some(values => values[0] === 'Trades' && values[1] === 'Header'),
+    parse: parseIBKRStatement
+  },
+  generic: {
+    name: 'Generic (map columns)',
+    detect: () => false
+  }
+};
+
+/**
+ * Detect the broker profile of an export
+ * @param {string[][]} rows - Parsed CSV rows
+ * @returns {string} Profile key ('generic' if none matches)
+ */
+export function detectProfile(rows) {
+  return Object.keys(BROKER_PROFILES).find(key => BROKER_PROFILES[key].detect(rows)) || 'generic';
+}
+
+/**
+ * Get the header row of a column-based export
+ * @param {string[][]} rows - Parsed CSV rows
+ * @returns {Object} { headerIndex, headers }
+ */
+export function getHeaders(rows) {
+  const headerIndex = findHeaderRow(rows, values => values.filter(Boolean).length >= 3);
+  return { headerIndex, headers: headerIndex === -1 ? [] : rows[headerIndex].map(h => h.trim()) };
+}
+
+/**
+ * Guess a generic column mapping from header names
+ * @param {string[]} headers - Header row
+ * @returns {Object} { field: header }
+ */
+export function guessColumns(headers) {
+  const patterns = {
+    date: /date|time/i,
+    type: /type|action|activity|side|buy\/sell/i,
+    ticker: /ticker|symbol/i,
+    shares: /shares|quantity|qty|units/i,
+    price: /price/i,
+    amount: /total|amount|net|proceeds/i,
+    fee: /fee|commission/i,
+    withholding: /withholding/i,
+    currency: /currency|ccy/i,
+    ratio: /ratio/i
+  };
+
+  const columns = {};
+  Object.entries(patterns).forEach(([field, pattern]) => {
+    columns[field] = headers.find(header => pattern.test(header)) || null;
+  });
+  return columns;
+}
+
+/**
+ * Parse a broker export into transactions
+ * @param {string} csvText - CSV content
+ * @param {string} profileKey - Profile key, or 'auto' to detect
+ * @param {Object} columns - Column mapping for the generic profile
+ * @param {string} dateFormat - Day/month order of numeric dates in column-based exports ('auto', 'DMY' or 'MDY')
+ * @returns {Object} { profile, transactions, skipped }
+ */
+export function parseTransactions(csvText, profileKey = 'auto', columns = null, dateFormat = 'auto') {
+  const rows = parseCSVRows(csvText).filter(values => !isEmptyRow(values));
+  const key = profileKey === 'auto' ? detectProfile(rows) : profileKey;
+  const profile = BROKER_PROFILES[key];
+
+  if (!profile) {
+    throw new Error(`Unknown broker profile: ${key}`);
+  }
+
+  if (profile.parse) {
+    return { profile: key, ...profile.parse(rows) };
+  }
+
+  const { headerIndex, headers } = getHeaders(rows);
+  if (headerIndex === -1) {
+    throw new Error('Could not find a header row');
+  }
+
+  const mapping = columns || profile.columns || guessColumns(headers);
+  if (!mapping.date || !mapping.ticker) {
+    throw new Error('Map at least the date and ticker columns');
+  }
+
+  return {
+    profile: key,
+    ...parseMappedRows(rowsToObjects(rows, headerIndex), mapping, key, {
+      amountIsNet: profile.amountIsNet,
+      currencyColumn: profile.currencyColumn,
+      dateFormat
+    })
+  };
+}
+
+/**
+ * Rebuild positions from transactions (average cost method)
+ * Buys add shares and cost (plus fees), sells remove shares at the average cost and
+ * realize the difference, splits change the share count but not the cost.
+ * Trading 212 style splits come as a "close" of the old shares and an "open" of the new ones.
+ * @param {Object[]} transactions - Normalized transactions
+ * @returns {Object} { holdings: { TICKER: { shares, avgCost } }, positions: { TICKER: {...} }, fees }
+ */
+export function rebuildPositions(transactions) {
+  const positions = {};
+  const pendingSplitCost = {};
+  let fees = 0;
+
+  const positionOf = ticker => {
+    positions[ticker] = positions[ticker] || {
+      shares: 0, cost: 0, realizedGain: 0, dividends: 0, withholding: 0, fees: 0, currency: null
+    };
+    return positions[ticker];
+  };
+
+  [...transactions]
+    .sort((a, b) => a.date.localeCompare(b.date) || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type))
+    .forEach(t => {
+      if (t.type === 'fee' && !t.ticker) {
+        fees += Math.abs(t.amount) || t.fee;
+        return;
+      }
+
+      const position = positionOf(t.ticker);
+      position.currency = position.currency || t.currency;
+
+      switch (t.type) {
+        case 'buy':
+          position.shares += t.shares;
+          position.cost += t.shares * t.price + t.fee;
+          position.fees += t.fee;
+          break;
+        case 'sell': {
+          const sold = Math.min(t.shares, position.shares);
+          const avgCost = position.shares > 0 ? position.cost / position.shares : 0;
+          position.realizedGain += sold * t.price - t.fee - sold * avgCost;
+          position.cost -= sold * avgCost;
+          position.shares -= sold;
+          position.fees += t.fee;
+          break;
+        }
+        case 'split':
+          if (t.ratio > 0) position.shares *= t.ratio;
+          break;
+        case 'splitOut':
+          pendingSplitCost[t.ticker] = (pendingSplitCost[t.ticker] || 0) + position.cost;
+          position.shares = 0;
+          position.cost = 0;
+          break;
+        case 'splitIn':
+          position.shares += t.shares;
+          position.cost += pendingSplitCost[t.ticker] || 0;
+          delete pendingSplitCost[t.ticker];
+          break;
+        case 'dividend':
+          position.dividends += t.amountIsNet ? Math.abs(t.amount) + t.withholding : Math.abs(t.amount);
+          position.withholding += t.withholding;
+          break;
+        case 'withholding':
+          position.withholding += t.withholding;
+          break;
+        case 'fee':
+          position.fees += Math.abs(t.amount) || t.fee;
+          break;
+      }
+
+      // Clear rounding dust once a position is closed
+      if (position.shares < EPSILON) {
+        position.shares = 0;
+        position.cost = 0;
+      }
+    });
+
+  const holdings = {};
+  Object.entries(positions).forEach(([ticker, position]) => {
+    if (position.shares === 0 && position.cost === 0 && position.dividends === 0 && position.realizedGain === 0) return;
+    holdings[ticker] = {
+      shares: position.shares,
+      avgCost: position.shares > 0 ? position.cost / position.shares : 0
+    };
+  });
+
+  return { holdings, positions, fees };
+}
+
+/**
+ * Turn dividend transactions into ledger entries
+ * Withholding rows (IBKR) are matched to the dividend with the same ticker and date.
+ * @param {Object[]} transactions - Normalized transactions of one export (ids are numbered within it)
+ * @param {string} account - Ledger account
+ * @returns {Object[]} Ledger entries
+ */
+export function toLedgerEntries(transactions, account) {
+  const withheld = {};
+  transactions
+    .filter(t => t.type === 'withholding')
+    .forEach(t => {
+      const key = `${t.date}|${t.ticker}`;
+      withheld[key] = (withheld[key] || 0) + t.withholding;
+    });
+
+  const entries = transactions
+    .filter(t => t.type === 'dividend')
+    .map(t => {
+      const withholding = t.withholding || withheld[`${t.date}|${t.ticker}`] || 0;
+      const amount = Math.abs(t.amount);
+
+      return createLedgerEntry({
+        date: t.date,
+        ticker: t.ticker,
+        gross: t.amountIsNet ? amount + withholding : amount,
+        withholding,
+        currency: t.amountCurrency || t.currency,
+        account,
+        source: t.broker
+      });
+    })
+    .filter(Boolean);
+
+  return numberOccurrences(entries);
+}
+
+/**
+ * Parse a dividend export for the Income Ledger
+ * Exports a broker profile recognizes go through its transactions (with its currency
+ * conversions), so importing a file here or as broker transactions stores the same
+ * entries; anything else is matched by column names (see parseDividendCSV).
+ * @param {string} csvText - CSV content
+ * @param {Object} options - parseDividendCSV options ({ account, currency, columns, locale, dateFormat })
+ * @returns {Object} { entries, skipped, profile }
+ */
+export function parseDividendExport(csvText, options = {}) {
+  const profile = detectProfile(parseCSVRows(csvText).filter(values => !isEmptyRow(values)));
+
+  if (profile === 'generic') {
+    return { ...parseDividendCSV(csvText, options), profile };
+  }
+
+  const { transactions, skipped } = parseTransactions(csvText, profile, null, options.dateFormat);
+  return { entries: toLedgerEntries(transactions, options.account), skipped, profile };
+}
+
+/**
+ * Get stored transactions
+ * @returns {Promise<Object[]>} Transactions
+ */
+export function getTransactions() {
+  return getAllRecords(STORE);
+}
+
+/**
+ * Store transactions (existing ids are replaced)
+ * @param {Object[]} transactions - Output of parseTransactions
+ */
+export async function saveTransactions(transactions) {
+  for (const transaction of transactions) {
+    await putRecord(STORE, transaction);
+  }
+}
+
+/**
+ * Delete every stored transaction
+ */
+export async function clearTransactions() {
+  const transactions = await getTransactions();
+  for (const transaction of transactions) {
+    await deleteRecord(STORE, transaction.id);
+  }
+}
+
+/**
+ * Merge holdings rebuilt from imported transactions over config.js holdings
+ * Tickers with imported transactions take their shares and cost from the import;
+ * the account from config.js is kept.
+ * @param {Object} configHoldings - portfolio.holdings
+ * @returns {Promise<Object>} { holdings, imported: [tickers] }
+ */
+export async function loadEffectiveHoldings(configHoldings = {}) {
+  let transactions = [];
+
+  try {
+    transactions = await getTransactions();
+  } catch (error) {
+    console.warn('⚠️ Imported transactions unavailable:', error.message);
+  }
+
+  if (transactions.length === 0) {
+    return { holdings: configHoldings, imported: [] };
+  }
+
+  const { holdings: rebuilt } = rebuildPositions(transactions);
+  const holdings = { ...configHoldings };
+
+  Object.entries(rebuilt).forEach(([ticker, holding]) => {
+    holdings[ticker] = {
+      account: configHoldings[ticker]?.account,
+      shares: holding.shares,
+      avgCost: holding.avgCost
+    };
+  });
+
+  console.log(`🏦 Positions for ${Object.keys(rebuilt).length} tickers rebuilt from ${transactions.length} imported transactions`);
+  return { holdings, imported: Object.keys(rebuilt) };
+}
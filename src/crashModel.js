@@ -0,0 +1,47 @@
+// 📉 Crash Model - Market crash events with recovery shapes and dividend cuts
+// Factors multiply the no-crash price and dividend paths of the DCA simulations
+
+// Share of the drop recovered after `progress` (0-1) of the recovery window
+export const RECOVERY_SHAPES = {
+  linear: { name: 'Linear', recovered: progress => progress },
+  v: { name: 'V (sharp rebound)', recovered: progress => 1 - (1 - progress) ** 2 },
+  u: { name: 'U (long bottom)', recovered: progress => progress ** 2 },
+  l: { name: 'L (no recovery)', recovered: () => 0 }
+};
+
+/**
+ * First simulation month of a crash (1 = first month of year 1)
+ */
+function startMonthIndex(crash) {
+  return (crash.year - 1) * 12 + (crash.month || 1);
+}
+
+/**
+ * Price and dividend multipliers of all crashes at a simulation month
+ * A crash drops the price by `drop` in its first month and recovers over
+ * `recoveryMonths` following its shape; L-shaped crashes never recover. Dividends
+ * are cut by `dividendCut` and recover the same way. Overlapping crashes compound.
+ * @param {Object[]} crashes - [{ year, month, drop, recoveryMonths, shape, dividendCut }]
+ * @param {number} monthIndex - Simulation month (1-based; years × 12 + 1 is a year-end)
+ * @param {boolean} includeStarting - Count crashes that start at monthIndex. Year-end
+ *   snapshots are taken just before that month begins, so they pass false.
+ * @returns {Object} { price, dividend } multipliers (1 = no effect)
+ */
+export function getCrashFactors(crashes, monthIndex, includeStarting = true) {
+  let price = 1;
+  let dividend = 1;
+
+  crashes.forEach(crash => {
+    const monthsSinceCrash = monthIndex - startMonthIndex(crash);
+    const recoveryMonths = crash.recoveryMonths || 12;
+    const shape = RECOVERY_SHAPES[crash.shape] || RECOVERY_SHAPES.linear;
+    if (monthsSinceCrash < 0 || (monthsSinceCrash === 0 && !includeStarting)) return;
+    if (monthsSinceCrash >= recoveryMonths && crash.shape !== 'l') return;
+
+    const unrecovered = 1 - shape.recovered(Math.min(1, monthsSinceCrash / recoveryMonths));
+    price *= 1 - (crash.drop || 0) * unrecovered;
+    dividend *= 1 - (crash.dividendCut || 0) * unrecovered;
+  });
+
+  return { price, dividend };
+}
@@ -0,0 +1,260 @@
+// 📄 CSV Parser - RFC 4180 parsing shared by all fetchers (and a writer for exports)
+// Handles quoted fields, escaped quotes (""), newlines inside quotes,
+// CRLF/LF endings, a UTF-8 BOM and ',' / ';' / tab delimiters
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Detect the delimiter from the first non-empty line
+ * Counts candidates outside quoted fields and picks the most frequent.
+ * @param {string} text - CSV text (or its first chunk)
+ * @returns {string} Delimiter (',' if nothing better is found)
+ */
+export function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let insideQuotes = false;
+  let seenContent = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"') {
+      insideQuotes = !insideQuotes;
+    } else if (!insideQuotes && (char === '\n' || char === '\r')) {
+      // Stop at the end of the first line that has any content
+      if (seenContent && DELIMITERS.some(d => counts[d] > 0)) break;
+    } else if (!insideQuotes && char in counts) {
+      counts[char]++;
+    } else if (char.trim()) {
+      seenContent = true;
+    }
+  }
+
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * Create an incremental CSV parser
+ * Feed text with push(chunk) as it arrives, then call end().
+ * Rows are emitted through onRow as arrays of strings.
+ * @param {Object} options - { delimiter, trim, onRow }
+ * @returns {Object} Parser with push(chunk) and end()
+ */
+export function createCSVParser(options = {}) {
+  const { trim = true, onRow = () => {} } = options;
+  let delimiter = options.delimiter || null;
+
+  let row = [];
+  let field = '';
+  let insideQuotes = false;
+  let quoteInField = false; // field started with a quote
+  let pendingQuote = false; // saw a quote inside quotes, may be "" or the closing quote
+  let pendingCR = false;
+  let isFirstChunk = true;
+  let head = ''; // text buffered until the delimiter can be detected
+
+  function endField() {
+    row.push(trim && !quoteInField ? field.trim() : field);
+    field = '';
+    quoteInField = false;
+  }
+
+  function endRow() {
+    endField();
+    onRow(row);
+    row = [];
+  }
+
+  function processChar(char) {
+    if (pendingQuote) {
+      pendingQuote = false;
+      if (char === '"') {
+        // Escaped quote ("")
+        field += '"';
+        return;
+      }
+      // Closing quote - fall through and handle char outside quotes
+      insideQuotes = false;
+    }
+
+    if (insideQuotes) {
+      if (char === '"') {
+        pendingQuote = true;
+      } else {
+        field += char;
+      }
+      return;
+    }
+
+    if (pendingCR) {
+      pendingCR = false;
+      if (char === '\n') return; // CRLF
+    }
+
+    if (char === '"' && field.trim() === '') {
+      field = '';
+      insideQuotes = true;
+      quoteInField = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r') {
+      endRow();
+      pendingCR = true;
+    } else if (char === '\n') {
+      endRow();
+    } else if (!(quoteInField && /\s/.test(char))) {
+      // Ignore whitespace after a closing quote, keep everything else
+      field += char;
+    }
+  }
+
+  function processText(text) {
+    for (let i = 0; i < text.length; i++) {
+      processChar(text[i]);
+    }
+  }
+
+  return {
+    push(chunk) {
+      if (isFirstChunk && chunk) {
+        isFirstChunk = false;
+        if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+      }
+
+      // Buffer the first lines until the delimiter can be detected
+      if (!delimiter) {
+        head += chunk;
+        if (!/\n[^\n]*\n/.test(head)) return;
+        delimiter = detectDelimiter(head);
+        chunk = head;
+        head = '';
+      }
+
+      processText(chunk);
+    },
+
+    end() {
+      if (!delimiter) {
+        delimiter = detectDelimiter(head);
+        processText(head);
+        head = '';
+      }
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        insideQuotes = false;
+      }
+
+      // Flush the last row unless the text ended with a newline
+      if (field !== '' || row.length > 0 || quoteInField) {
+        endRow();
+      }
+    },
+
+    get delimiter() {
+      return delimiter;
+    }
+  };
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter, trim }
+ * @returns {string[][]} Rows of values
+ */
+export function parseCSVRows(text, options = {}) {
+  const rows = [];
+  const parser = createCSVParser({ ...options, onRow: row => rows.push(row) });
+
+  parser.push(text);
+  parser.end();
+
+  return rows;
+}
+
+/**
+ * Parse a CSV stream (e.g. fetch response.body) into rows
+ * @param {ReadableStream} stream - Byte stream
+ * @param {Object} options - { delimiter, trim }
+ * @returns {Promise<string[][]>} Rows of values
+ */
+export async function parseCSVStream(stream, options = {}) {
+  const rows = [];
+  const parser = createCSVParser({ ...options, onRow: row => rows.push(row) });
+  const reader = stream.getReader();
+  const decoder = new TextDecoder('utf-8');
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+
+  parser.push(decoder.decode());
+  parser.end();
+
+  return rows;
+}
+
+/**
+ * Check whether a row has no meaningful values (e.g. ",,,,,")
+ */
+export function isEmptyRow(values) {
+  return values.every(v => !v || !v.trim());
+}
+
+/**
+ * Find the header row within the first rows
+ * @param {string[][]} rows - Parsed rows
+ * @param {Function} predicate - Returns true for the header row
+ * @param {number} maxRows - How many rows to search
+ * @returns {number} Header row index or -1
+ */
+export function findHeaderRow(rows, predicate, maxRows = 10) {
+  for (let i = 0; i < Math.min(maxRows, rows.length); i++) {
+    if (predicate(rows[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Convert rows after a header row to objects keyed by header
+ * Empty rows are skipped.
+ * @param {string[][]} rows - Parsed rows
+ * @param {number} headerIndex - Index of the header row
+ * @returns {Object[]} Records
+ */
+export function rowsToObjects(rows, headerIndex = 0) {
+  const headers = rows[headerIndex] || [];
+
+  return rows.slice(headerIndex + 1)
+    .filter(values => !isEmptyRow(values))
+    .map(values => {
+      const obj = {};
+      headers.forEach((header, index) => {
+        if (header) obj[header] = values[index] || '';
+      });
+      return obj;
+    });
+}
+
+/**
+ * Quote a value when it contains the delimiter, a quote or a newline
+ */
+function escapeCSVValue(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Build CSV text from rows of values
+ * @param {Array[]} rows - Rows of values (the first is usually the header)
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CRLF-separated CSV
+ */
+export function buildCSV(rows, delimiter = ',') {
+  return rows.map(values => values.map(value => escapeCSVValue(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,133 @@
+// 📅 Date Parsing - Calendar dates from sheet and broker export cells
+// Cells arrive as "2024-03-05", "2024-03-05 10:00:00", "20240305", "05/03/2024" or "Mar 5, 2024"
+
+// Order of day and month in numeric dates like "05/03/2024"
+export const DATE_FORMATS = {
+  auto: 'Detect automatically',
+  DMY: 'Day first (DD/MM/YYYY)',
+  MDY: 'Month first (MM/DD/YYYY)'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Timestamps below this are Unix seconds, above it epoch milliseconds
+const SECONDS_LIMIT = 1e11;
+
+const pad = number => String(number).padStart(2, '0');
+
+/**
+ * 'YYYY-MM-DD' from calendar parts, or null if there is no such day
+ */
+function formatParts(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+
+  if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${fullYear}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Month number (1-12) of an English month name or abbreviation, or null
+ */
+function monthNumber(name) {
+  const index = MONTH_NAMES.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Split a numeric day/month/year date ("05/03/2024", "5.3.24", "05-03-2024 10:00")
+ * @returns {Object|null} { first, second, year, separator }
+ */
+function numericParts(text) {
+  const match = text.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})(?:$|[T\s,])/);
+  if (!match) return null;
+  return { first: Number(match[1]), separator: match[2], second: Number(match[3]), year: Number(match[4]) };
+}
+
+/**
+ * Whether a numeric date settles its own order: 'DMY' for "13/03/2024", 'MDY' for "03/13/2024", else null
+ */
+function provenFormat({ first, second }) {
+  if (first > 12 && second <= 12) return 'DMY';
+  if (second > 12 && first <= 12) return 'MDY';
+  return null;
+}
+
+/**
+ * Resolve the day/month order of a column of date cells
+ * If every date that settles its own order agrees ("13/03/2024", "28/02/2024"), ambiguous
+ * cells like "05/03/2024" are read the same way; mixed or no evidence stays 'auto'.
+ * @param {Array} values - Raw cells of one column (or one file)
+ * @param {string} format - Configured format ('auto', 'DMY' or 'MDY')
+ * @returns {string} The configured format, the one decided by the column, or 'auto'
+ */
+export function resolveDateFormat(values, format = 'auto') {
+  if (format && format !== 'auto') return format;
+
+  const formats = new Set();
+  values.forEach(value => {
+    const parts = typeof value === 'string' ? numericParts(value.trim()) : null;
+    const proven = parts && provenFormat(parts);
+    if (proven) formats.add(proven);
+  });
+
+  return formats.size === 1 ? [...formats][0] : 'auto';
+}
+
+/**
+ * Parse a date cell to 'YYYY-MM-DD'
+ * The date is built from the written day, month and year, so time zones never move it.
+ * In 'auto', an ambiguous "05/03/2024" is month first ("05.03.2024" day first) - see
+ * resolveDateFormat to decide from the rest of the column.
+ * @param {string|number|Date} value - Raw cell, Unix seconds or epoch milliseconds (UTC day) or a Date (local day)
+ * @param {string} format - 'auto', 'DMY' or 'MDY' for numeric day/month dates
+ * @returns {string|null} ISO date or null if the value is not a date
+ */
+export function parseDate(value, format = 'auto') {
+  if (value instanceof Date) return isNaN(value) ? null : toLocalISODate(value);
+  if (typeof value === 'number') {
+    // Unix seconds - as milliseconds anything below 1e11 would be before March 1973
+    const date = new Date(Math.abs(value) < SECONDS_LIMIT ? value * 1000 : value);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  // 2024-03-05, 2024/03/05, 2024-03-05T10:00:00Z, 2024-03-05, 10:00:00
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s,])/);
+  if (match) return formatParts(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  // 20240305
+  match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) return formatParts(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  const parts = numericParts(text);
+  if (parts) {
+    const order = format && format !== 'auto'
+      ? format
+      : provenFormat(parts) || (parts.separator === '.' ? 'DMY' : 'MDY');
+    return order === 'DMY'
+      ? formatParts(parts.year, parts.second, parts.first)
+      : formatParts(parts.year, parts.first, parts.second);
+  }
+
+  // 5 Mar 2024, 05-Mar-2024
+  match = text.match(/^(\d{1,2})[\s-]+([a-z]{3,})\.?[\s,-]+(\d{4})\b/i);
+  if (match && monthNumber(match[2])) return formatParts(Number(match[3]), monthNumber(match[2]), Number(match[1]));
+
+  // Mar 5, 2024 / March 5th 2024
+  match = text.match(/^([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i);
+  if (match && monthNumber(match[1])) return formatParts(Number(match[3]), monthNumber(match[1]), Number(match[2]));
+
+  return null;
+}
+
+/**
+ * Local calendar date as 'YYYY-MM-DD' (toISOString() would give the UTC day)
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} ISO date of the day where the user is
+ */
+export function toLocalISODate(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
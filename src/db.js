@@ -0,0 +1,97 @@
+// 🗄️ IndexedDB - Small promise wrapper for local storage of larger datasets
+// localStorage is fine for the quote cache, but histories and ledgers outgrow it
+
+const DB_NAME = 'dividend-dashboard';
+const DB_VERSION = 3;
+
+// Object stores and their key paths
+// Adding a store needs a DB_VERSION bump so onupgradeneeded creates it
+const STORES = {
+  dividendHistory: 'ticker',
+  dividendLedger: 'id',
+  transactions: 'id'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+export function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, keyPath]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath });
+        }
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow retrying after a failed open
+  dbPromise.catch(() => { dbPromise = null; });
+
+  return dbPromise;
+}
+
+/**
+ * Run a request against an object store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get a record by key
+ */
+export function getRecord(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get every record in a store
+ */
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Insert or replace a record
+ */
+export function putRecord(storeName, record) {
+  return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ */
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+}
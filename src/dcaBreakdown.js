@@ -0,0 +1,338 @@
+// 📈 DCA Breakdown - Year-by-year projection table, charts and CSV export
+// Renders the yearlyData of every calculated scenario, nominal or in today's money
+
+import { formatCurrency, formatPercent } from './api/yahooFinance.js';
+import { inRealTerms } from './dcaSimulation.js';
+import { buildCSV } from './csv.js';
+
+const SCENARIOS = [
+  { key: 'pessimistic', name: 'Pessimistic', color: '#ef4444' },
+  { key: 'realistic', name: 'Realistic', color: '#3b82f6' },
+  { key: 'optimistic', name: 'Optimistic', color: '#10b981' },
+  { key: 'historical', name: 'Historical', color: '#a855f7' }
+];
+
+// Colors of the stacked value areas
+const BREAKDOWN_COLORS = {
+  contributions: '#64748b',
+  reinvested: '#f59e0b',
+  growth: '#10b981'
+};
+
+/**
+ * Yearly rows of one scenario with the value split into contributions,
+ * reinvested dividends and market growth
+ * @param {Object} results - calculateDCAScenario or runBacktest results
+ * @param {boolean} real - In today's money (backtests stay nominal)
+ * @returns {Object[]} Rows with numeric fields
+ */
+export function buildBreakdownRows(results, real = false) {
+  let reinvestedTotal = 0;
+
+  return results.yearlyData.map(original => {
+    const row = real ? inRealTerms(original) : original;
+    const number = key => (row[key] === null || row[key] === undefined ? null : parseFloat(row[key]));
+
+    const portfolioValue = number('portfolioValue');
+    const invested = number('invested');
+    reinvestedTotal += number('dividendsReinvested') || 0;
+
+    return {
+      year: row.year,
+      month: row.month || null,
+      monthlyContribution: number('monthlyContribution'),
+      contributed: number('contributed'),
+      invested,
+      dividendsReceived: number('dividendsReceived'),
+      taxPaid: number('taxPaid'),
+      dividendsReinvested: number('dividendsReinvested'),
+      reinvestedTotal,
+      // Whatever the contributions and reinvested dividends don't explain
+      growth: portfolioValue - invested - reinvestedTotal,
+      portfolioValue,
+      annualDividendIncome: number('annualDividendIncome'),
+      netAnnualDividendIncome: number('netAnnualDividendIncome'),
+      dividendYield: number('dividendYield'),
+      cashBuffer: number('cashBuffer'),
+      fees: number('fees'),
+      uninvestedCash: number('uninvestedCash'),
+      shares: number('shares'),
+      price: number('price'),
+      expensesCovered: row.expensesCovered ?? null
+    };
+  });
+}
+
+/**
+ * Scenarios present in the results, in display order
+ */
+function availableScenarios(results) {
+  return SCENARIOS.filter(scenario => results[scenario.key]);
+}
+
+/**
+ * CSV of every scenario's yearly breakdown
+ * @param {Object} results - Scenario results by key
+ * @param {boolean} real - In today's money
+ * @returns {string} CSV text
+ */
+export function buildBreakdownCSV(results, real = false) {
+  const header = [
+    'Scenario', 'Year', 'Month', 'Terms', 'Monthly Contribution', 'Contributed', 'Total Invested',
+    'Dividends Received', 'Tax Paid', 'Dividends Reinvested', 'Reinvested Total', 'Growth',
+    'Portfolio Value', 'Annual Dividend Income', 'Net Annual Dividend Income', 'Dividend Yield (%)',
+    'Cash Buffer', 'Trading Costs', 'Uninvested Cash', 'Shares', 'Price', 'Expenses Covered (%)'
+  ];
+  const value = (number, decimals = 2) => (number === null || number === undefined ? '' : number.toFixed(decimals));
+
+  const rows = availableScenarios(results).flatMap(scenario => {
+    const isReal = real && Boolean(results[scenario.key].real);
+
+    return buildBreakdownRows(results[scenario.key], isReal).map(row => [
+      scenario.name,
+      row.year,
+      row.month || '',
+      isReal ? 'real' : 'nominal',
+      value(row.monthlyContribution),
+      value(row.contributed),
+      value(row.invested),
+      value(row.dividendsReceived),
+      value(row.taxPaid),
+      value(row.dividendsReinvested),
+      value(row.reinvestedTotal),
+      value(row.growth),
+      value(row.portfolioValue),
+      value(row.annualDividendIncome),
+      value(row.netAnnualDividendIncome),
+      value(row.dividendYield),
+      value(row.cashBuffer),
+      value(row.fees),
+      value(row.uninvestedCash),
+      value(row.shares, 4),
+      value(row.price),
+      row.expensesCovered === null ? '' : value(row.expensesCovered * 100, 1)
+    ]);
+  });
+
+  return buildCSV([header, ...rows]);
+}
+
+/**
+ * Download a CSV file
+ * @param {string} content - CSV text
+ * @param {string} filename - File name
+ */
+function downloadCSV(content, filename) {
+  const blob = new Blob([content], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Chart.js options shared by both breakdown charts
+ */
+function chartOptions(stacked) {
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: {
+        labels: { color: isDark ? '#ffffff' : '#1e1e1e' }
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        ticks: { color: isDark ? '#b0b0b0' : '#4a4a4a' },
+        grid: { color: isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)' }
+      },
+      y: {
+        stacked,
+        beginAtZero: true,
+        ticks: {
+          color: isDark ? '#b0b0b0' : '#4a4a4a',
+          callback: (value) => formatCurrency(value)
+        },
+        grid: { color: isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)' }
+      }
+    }
+  };
+}
+
+/**
+ * Stacked value breakdown of the selected scenario with every scenario's total value overlaid
+ */
+function renderValueChart(scenarios, rowsByKey, selected) {
+  const ctx = document.getElementById('dca-value-chart').getContext('2d');
+  const longest = Math.max(...scenarios.map(scenario => rowsByKey[scenario.key].length));
+  const labels = Array.from({ length: longest }, (_, i) => `Year ${i + 1}`);
+  const rows = rowsByKey[selected];
+
+  if (window.dcaValueChart) {
+    window.dcaValueChart.destroy();
+  }
+
+  const area = (label, key, color, fill) => ({
+    label,
+    data: rows.map(row => row[key]),
+    stack: 'breakdown',
+    borderColor: color,
+    backgroundColor: `${color}66`,
+    pointRadius: 0,
+    fill
+  });
+
+  // Each total line gets its own stack so it is drawn at its real height
+  const totals = scenarios.map(scenario => ({
+    label: `${scenario.name} value`,
+    data: rowsByKey[scenario.key].map(row => row.portfolioValue),
+    stack: scenario.key,
+    borderColor: scenario.color,
+    borderWidth: 2,
+    borderDash: scenario.key === selected ? [] : [6, 4],
+    pointRadius: 0,
+    fill: false
+  }));
+
+  window.dcaValueChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        area('Contributions', 'invested', BREAKDOWN_COLORS.contributions, 'origin'),
+        area('Reinvested dividends', 'reinvestedTotal', BREAKDOWN_COLORS.reinvested, '-1'),
+        area('Growth', 'growth', BREAKDOWN_COLORS.growth, '-1'),
+        ...totals
+      ]
+    },
+    options: chartOptions(true)
+  });
+}
+
+/**
+ * Dividends received per year, one line per scenario
+ */
+function renderIncomeChart(scenarios, rowsByKey) {
+  const ctx = document.getElementById('dca-income-chart').getContext('2d');
+  const longest = Math.max(...scenarios.map(scenario => rowsByKey[scenario.key].length));
+
+  if (window.dcaIncomeChart) {
+    window.dcaIncomeChart.destroy();
+  }
+
+  window.dcaIncomeChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: Array.from({ length: longest }, (_, i) => `Year ${i + 1}`),
+      datasets: scenarios.map(scenario => ({
+        label: scenario.name,
+        data: rowsByKey[scenario.key].map(row => row.dividendsReceived),
+        borderColor: scenario.color,
+        backgroundColor: `${scenario.color}33`,
+        borderWidth: 2,
+        pointRadius: 2,
+        fill: false
+      }))
+    },
+    options: chartOptions(false)
+  });
+}
+
+/**
+ * Year-by-year table of the selected scenario
+ */
+function renderTable(rows) {
+  const hasExpenses = rows.some(row => row.expensesCovered !== null);
+  const hasPrice = rows.some(row => row.price !== null);
+  const money = value => (value === null ? '--' : formatCurrency(value));
+
+  document.getElementById('dca-breakdown-table').innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Year</th>
+          <th>Monthly DCA</th>
+          <th>Contributed</th>
+          <th>Total Invested</th>
+          <th>Dividends</th>
+          <th>Tax</th>
+          <th>Reinvested</th>
+          <th>Growth</th>
+          <th>Portfolio Value</th>
+          <th>Net Annual Income</th>
+          <th>Yield</th>
+          ${hasPrice ? '<th>Shares</th><th>Price</th>' : ''}
+          ${hasExpenses ? '<th>Expenses Covered</th>' : ''}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            <td>${row.month || row.year}</td>
+            <td>${money(row.monthlyContribution)}</td>
+            <td>${money(row.contributed)}</td>
+            <td>${money(row.invested)}</td>
+            <td>${money(row.dividendsReceived)}</td>
+            <td>${money(row.taxPaid)}</td>
+            <td>${money(row.dividendsReinvested)}</td>
+            <td class="${row.growth >= 0 ? 'gain-positive' : 'gain-negative'}">${money(row.growth)}</td>
+            <td>${money(row.portfolioValue)}</td>
+            <td>${money(row.netAnnualDividendIncome)}</td>
+            <td>${row.dividendYield === null ? '--' : `${row.dividendYield.toFixed(2)}%`}</td>
+            ${hasPrice ? `<td>${row.shares === null ? '--' : row.shares.toFixed(4)}</td><td>${money(row.price)}</td>` : ''}
+            ${hasExpenses ? `<td>${row.expensesCovered === null ? '--' : formatPercent(row.expensesCovered, 0)}</td>` : ''}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render the yearly breakdown section (table, charts and CSV export)
+ * @param {Object} results - Scenario results by key (pessimistic, realistic, optimistic, historical)
+ * @param {boolean} real - In today's money
+ */
+export function renderYearlyBreakdown(results, real = false) {
+  const section = document.getElementById('dca-breakdown');
+  if (!section) return;
+
+  const scenarios = availableScenarios(results);
+  const rowsByKey = Object.fromEntries(scenarios.map(scenario =>
+    [scenario.key, buildBreakdownRows(results[scenario.key], real && Boolean(results[scenario.key].real))]));
+
+  const select = document.getElementById('dca-breakdown-scenario');
+  const selected = rowsByKey[select.value] ? select.value : 'realistic';
+  select.innerHTML = scenarios
+    .map(scenario => `<option value="${scenario.key}" ${scenario.key === selected ? 'selected' : ''}>${scenario.name}</option>`)
+    .join('');
+
+  const render = () => {
+    renderTable(rowsByKey[select.value]);
+    renderValueChart(scenarios, rowsByKey, select.value);
+  };
+
+  select.onchange = render;
+  document.getElementById('dca-breakdown-export').onclick = () => {
+    downloadCSV(buildBreakdownCSV(results, real), `dca-breakdown-${real ? 'real' : 'nominal'}.csv`);
+    console.log(`📈 Exported the yearly breakdown of ${scenarios.length} scenarios`);
+  };
+
+  section.style.display = 'block';
+  render();
+  renderIncomeChart(scenarios, rowsByKey);
+}
@@ -1,148 +1,289 @@
 // 📊 DCA Calculator - Dividend Reinvestment Simulator
 // Simulates portfolio growth with DCA, dividend reinvestment, and market scenarios
+// Amounts are in the base currency from config.js (settings.currency)
+
+import { portfolio } from '../config.js';
+import { formatCurrency, formatPercent, getCurrencySymbol } from './api/yahooFinance.js';
+import { calculateEffectiveTaxRate } from './tax.js';
+import { calculateWeights } from './holdings.js';
+import {
+  calculateDCAScenario,
+  inRealTerms,
+  PAYMENT_FREQUENCIES,
+  NO_TRADING_COSTS,
+  withoutTradingCosts,
+  hasTradingCosts
+} from './dcaSimulation.js';
+import { loadPriceHistory, parsePriceHistory } from './api/priceHistory.js';
+import { DATE_FORMATS } from './dates.js';
+import { runBacktest } from './backtest.js';
+import { RECOVERY_SHAPES } from './crashModel.js';
+import { MONTHS } from './paymentSchedule.js';
+import { loadPaymentSchedule, getPaymentMonths } from './paymentMatrix.js';
+import { renderYearlyBreakdown } from './dcaBreakdown.js';
+import { GOAL_VARIABLES, MAX_YEARS } from './goalPlanner.js';
+
+export { calculateDCAScenario };
+
+// Positions the portfolio mode simulates
+let calculatorStocks = [];
+let monteCarloWorker = null;
+let goalPlannerWorker = null;
+let priceSeries = null;
+// Last calculated scenarios, re-rendered when switching nominal / real figures
+let lastResults = null;
+// Broker cost models from config.js, editable for the session
+let brokerModels = {};
+// Payment schedule grid (see paymentMatrix.js), the fallback for payment timing
+let paymentSchedule = [];
 
 /**
- * Calculate DCA portfolio growth with dividend reinvestment
- * @param {Object} params - Simulation parameters
- * @returns {Object} Simulation results
- */
-export function calculateDCAScenario(params) {
-  const {
-    initialInvestment = 0,
-    monthlyDCA = 0,
-    years = 10,
-    currentPrice = 100,
-    currentDividendYield = 0.03, // 3%
-    cagr = 0.08, // 8% annual growth
-    dividendGrowth = 0.05, // 5% annual dividend growth
-    reinvestThreshold = 50, // Reinvest when dividends accumulate to €50
-    marketCrashes = [] // Array of {year, drop, recoveryMonths}
-  } = params;
-
-  const results = {
-    yearlyData: [],
-    totalInvested: 0,
-    totalShares: 0,
-    finalValue: 0,
-    totalDividendsReceived: 0,
-    totalDividendsReinvested: 0,
-    finalPrice: 0,
-    finalAnnualDividend: 0
-  };
+ * Default target weights: targetWeights from config.js, else current market value, else equal
+ */
+function getDefaultTargets(stocks) {
+  const hasTargets = Object.values(portfolio.targetWeights || {}).some(w => parseFloat(w) > 0);
+  const isHeld = stocks.some(s => s.marketValue > 0);
+  const mode = hasTargets ? 'target' : isHeld ? 'value' : 'equal';
+  return calculateWeights(stocks, mode, portfolio.targetWeights).weights;
+}
+
+/**
+ * <option>s for payment frequency, ex-dividend month and pay lag selects
+ */
+function frequencyOptions(selected) {
+  return Object.entries(PAYMENT_FREQUENCIES)
+    .sort(([a], [b]) => b - a)
+    .map(([value, name]) => `<option value="${value}" ${Number(value) === selected ? 'selected' : ''}>${name}</option>`)
+    .join('');
+}
+
+function monthOptions(selected) {
+  return MONTHS.map((name, i) => `<option value="${i + 1}" ${i + 1 === selected ? 'selected' : ''}>${name}</option>`).join('');
+}
+
+function payLagOptions(selected) {
+  return [0, 1, 2].map(lag => `<option value="${lag}" ${lag === selected ? 'selected' : ''}>${lag === 0 ? 'Same month' : `+${lag} mo`}</option>`).join('');
+}
+
+/**
+ * Payment timing of a holding
+ * From its dividend history, else the months the payment schedule lists it in (as the
+ * Payments tab does; those are pay months, so they stand in for the ex-months with no
+ * lag), else quarterly from March.
+ * @returns {Object} { frequency, exMonth (first of the year), payLagMonths, source }
+ */
+function getPaymentTiming(stock) {
+  const metrics = stock.dividendMetrics;
+  const historyFrequency = PAYMENT_FREQUENCIES[metrics?.frequency] ? metrics.frequency : null;
+  const last = metrics?.lastPayment;
 
-  let shares = 0;
-  let cashBuffer = 0; // Accumulated dividends waiting for reinvestment
-  let totalInvested = 0;
-  let totalDividendsReceived = 0;
-  let totalDividendsReinvested = 0;
+  if (historyFrequency && last?.exDate) {
+    const [exYear, exMonth] = last.exDate.split('-').map(Number);
+    const [payYear, payMonth] = (last.payDate || last.exDate).split('-').map(Number);
 
-  // Initial investment
-  if (initialInvestment > 0) {
-    shares = initialInvestment / currentPrice;
-    totalInvested += initialInvestment;
+    return {
+      frequency: historyFrequency,
+      exMonth: ((exMonth - 1) % (12 / historyFrequency)) + 1,
+      payLagMonths: Math.min(2, Math.max(0, (payYear - exYear) * 12 + payMonth - exMonth)),
+      source: 'history'
+    };
   }
 
-  // Simulate month by month
-  for (let year = 1; year <= years; year++) {
-    let yearStartShares = shares;
-    let yearInvested = 0;
-    let yearDividends = 0;
+  const scheduledMonths = [...new Set(getPaymentMonths(paymentSchedule, stock.ticker).map(payment => MONTHS.indexOf(payment.month) + 1))]
+    .filter(month => month > 0);
+  const scheduleFrequency = historyFrequency || (PAYMENT_FREQUENCIES[scheduledMonths.length] ? scheduledMonths.length : null);
 
-    for (let month = 1; month <= 12; month++) {
-      const monthIndex = (year - 1) * 12 + month;
+  if (scheduleFrequency && scheduledMonths.length > 0) {
+    return {
+      frequency: scheduleFrequency,
+      exMonth: ((Math.min(...scheduledMonths) - 1) % (12 / scheduleFrequency)) + 1,
+      payLagMonths: 0,
+      source: 'schedule'
+    };
+  }
 
-      // Calculate current price with CAGR (price increases over time)
-      let currentMonthPrice = currentPrice * Math.pow(1 + cagr, (monthIndex - 1) / 12);
+  const frequency = historyFrequency || 4;
+  return { frequency, exMonth: Math.min(3, 12 / frequency), payLagMonths: 0, source: 'default' };
+}
 
-      // Apply market crash if applicable
-      const crash = marketCrashes.find(c => {
-        const crashStartMonth = (c.year - 1) * 12 + 1;
-        const crashEndMonth = crashStartMonth + (c.recoveryMonths || 12);
-        return monthIndex >= crashStartMonth && monthIndex < crashEndMonth;
-      });
+/**
+ * Apply the payment schedule to holdings without dividend history once it has loaded
+ */
+function applyScheduleTiming() {
+  const stocks = Object.fromEntries(calculatorStocks.map(stock => [stock.ticker, stock]));
 
-      if (crash) {
-        const monthsSinceCrash = monthIndex - ((crash.year - 1) * 12 + 1);
-        const recoveryMonths = crash.recoveryMonths || 12;
-
-        if (monthsSinceCrash === 0) {
-          // Initial crash
-          currentMonthPrice *= (1 - crash.drop);
-        } else if (monthsSinceCrash < recoveryMonths) {
-          // Recovery phase - gradual recovery
-          const recoveryProgress = monthsSinceCrash / recoveryMonths;
-          const crashPrice = currentMonthPrice * (1 - crash.drop);
-          currentMonthPrice = crashPrice + (currentMonthPrice - crashPrice) * recoveryProgress;
-        }
-      }
+  document.querySelectorAll('.asset-inputs tbody tr').forEach(row => {
+    const timing = getPaymentTiming(stocks[row.getAttribute('data-ticker')]);
+    if (timing.source !== 'schedule') return;
 
-      // Monthly DCA investment
-      if (monthlyDCA > 0) {
-        const sharesBought = monthlyDCA / currentMonthPrice;
-        shares += sharesBought;
-        totalInvested += monthlyDCA;
-        yearInvested += monthlyDCA;
-      }
+    row.querySelector('.asset-frequency').value = timing.frequency;
+    row.querySelector('.asset-ex-month').value = timing.exMonth;
+    row.querySelector('.asset-pay-lag').value = timing.payLagMonths;
+  });
+}
 
-      // Calculate dividend for this month (paid quarterly, simplified as monthly)
-      // Annual dividend per share grows each year
-      const annualDividendPerShare = currentMonthPrice * currentDividendYield * Math.pow(1 + dividendGrowth, year - 1);
-      const monthlyDividend = (shares * annualDividendPerShare) / 12;
-
-      cashBuffer += monthlyDividend;
-      totalDividendsReceived += monthlyDividend;
-      yearDividends += monthlyDividend;
-
-      // Reinvest dividends if threshold reached
-      if (cashBuffer >= reinvestThreshold) {
-        const sharesBoughtWithDividends = cashBuffer / currentMonthPrice;
-        shares += sharesBoughtWithDividends;
-        totalDividendsReinvested += cashBuffer;
-        cashBuffer = 0;
-      }
-    }
+/**
+ * Copy the broker cost models from config.js (a fee-free one when none are configured)
+ */
+function loadBrokerModels() {
+  const models = portfolio.brokers?.models || {};
+  brokerModels = Object.keys(models).length > 0
+    ? Object.fromEntries(Object.entries(models).map(([key, model]) => [key, { ...NO_TRADING_COSTS, name: key, ...model }]))
+    : { fractional: { ...NO_TRADING_COSTS, name: 'Fractional, no fees' } };
+}
 
-    // End of year snapshot
-    const yearEndPrice = currentPrice * Math.pow(1 + cagr, year);
-    const portfolioValue = shares * yearEndPrice;
-    const annualDividendPerShare = yearEndPrice * currentDividendYield * Math.pow(1 + dividendGrowth, year);
-    const annualDividendIncome = shares * annualDividendPerShare;
-
-    results.yearlyData.push({
-      year,
-      shares: shares.toFixed(4),
-      price: yearEndPrice.toFixed(2),
-      portfolioValue: portfolioValue.toFixed(2),
-      invested: totalInvested.toFixed(2),
-      dividendsReceived: yearDividends.toFixed(2),
-      annualDividendIncome: annualDividendIncome.toFixed(2),
-      dividendYield: ((annualDividendIncome / portfolioValue) * 100).toFixed(2),
-      cashBuffer: cashBuffer.toFixed(2)
-    });
-  }
+/**
+ * Broker a holding is simulated at (its `broker` in config.js, else defaultBroker)
+ */
+function getBrokerKey(ticker = null) {
+  const keys = Object.keys(brokerModels);
+  const preferred = [portfolio.holdings?.[ticker]?.broker, portfolio.brokers?.defaultBroker];
+  return preferred.find(key => keys.includes(key)) || keys[0];
+}
+
+function brokerOptions(selected) {
+  return Object.entries(brokerModels)
+    .map(([key, model]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${model.name}</option>`)
+    .join('');
+}
+
+/**
+ * Per-holding inputs for portfolio mode
+ */
+function renderAssetInputs() {
+  const targets = getDefaultTargets(calculatorStocks);
+
+  return `
+    <table class="asset-inputs">
+      <thead>
+        <tr>
+          <th>Ticker</th>
+          <th>Price</th>
+          <th>Shares</th>
+          <th>Yield (%)</th>
+          <th>Price Growth (%)</th>
+          <th>Dividend Growth (%)</th>
+          <th>Target (%)</th>
+          <th>Pays</th>
+          <th>Ex-Month</th>
+          <th>Paid</th>
+          <th>Broker</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${calculatorStocks.map(stock => {
+          const dividendYield = stock.dividendYield || (stock.price > 0 ? (stock.dividend || 0) / stock.price : 0);
+          const dividendGrowth = stock.dividendGrowth ?? 0.05;
+          const timing = getPaymentTiming(stock);
+
+          return `
+            <tr data-ticker="${stock.ticker}">
+              <td><span class="ticker-symbol">${stock.ticker}</span></td>
+              <td>${formatCurrency(stock.price)}</td>
+              <td>${(stock.shares || 0).toLocaleString(undefined, { maximumFractionDigits: 4 })}</td>
+              <td><input type="number" class="asset-yield" value="${(dividendYield * 100).toFixed(2)}" min="0" max="30" step="0.1"></td>
+              <td><input type="number" class="asset-cagr" value="8" min="-20" max="30" step="0.5"></td>
+              <td><input type="number" class="asset-div-growth" value="${(dividendGrowth * 100).toFixed(1)}" min="-10" max="20" step="0.5"></td>
+              <td><input type="number" class="asset-target" value="${((targets[stock.ticker] || 0) * 100).toFixed(1)}" min="0" max="100" step="0.5"></td>
+              <td><select class="asset-frequency">${frequencyOptions(timing.frequency)}</select></td>
+              <td><select class="asset-ex-month">${monthOptions(timing.exMonth)}</select></td>
+              <td><select class="asset-pay-lag">${payLagOptions(timing.payLagMonths)}</select></td>
+              <td><select class="asset-broker">${brokerOptions(getBrokerKey(stock.ticker))}</select></td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Read the per-holding inputs
+ * @param {number} cagrShift - Scenario CAGR minus Realistic CAGR
+ * @param {number} growthShift - Scenario dividend growth minus Realistic dividend growth
+ * @returns {Object[]} Assets for calculateDCAScenario
+ */
+function readPortfolioAssets(cagrShift = 0, growthShift = 0) {
+  const useHoldings = document.getElementById('dca-use-holdings').checked;
+  const stocks = Object.fromEntries(calculatorStocks.map(stock => [stock.ticker, stock]));
+  const percent = (row, selector) => (parseFloat(row.querySelector(selector).value) || 0) / 100;
+
+  return [...document.querySelectorAll('.asset-inputs tbody tr')]
+    .map(row => {
+      const stock = stocks[row.getAttribute('data-ticker')];
+      return {
+        ticker: stock.ticker,
+        name: stock.name,
+        price: stock.price,
+        shares: useHoldings ? stock.shares || 0 : 0,
+        dividendYield: percent(row, '.asset-yield'),
+        cagr: percent(row, '.asset-cagr') + cagrShift,
+        dividendGrowth: percent(row, '.asset-div-growth') + growthShift,
+        targetWeight: percent(row, '.asset-target'),
+        frequency: parseInt(row.querySelector('.asset-frequency').value),
+        exMonth: parseInt(row.querySelector('.asset-ex-month').value),
+        payLagMonths: parseInt(row.querySelector('.asset-pay-lag').value),
+        costs: brokerModels[row.querySelector('.asset-broker').value],
+        foreign: Boolean(stock.nativeCurrency) && stock.nativeCurrency !== portfolio.settings.currency
+      };
+    })
+    .filter(asset => asset.price > 0 && (asset.targetWeight > 0 || asset.shares > 0));
+}
 
-  // Final results
-  const finalPrice = currentPrice * Math.pow(1 + cagr, years);
-  const finalValue = shares * finalPrice;
-  const finalAnnualDividendPerShare = finalPrice * currentDividendYield * Math.pow(1 + dividendGrowth, years);
+/**
+ * One row of the crash editor
+ */
+function renderCrashRow(crash) {
+  return `
+    <tr class="crash-row">
+      <td><input type="number" class="crash-year" value="${crash.year}" min="1" max="50"></td>
+      <td><input type="number" class="crash-month" value="${crash.month}" min="1" max="12"></td>
+      <td><input type="number" class="crash-drop" value="${crash.drop * 100}" min="0" max="90" step="5"></td>
+      <td><input type="number" class="crash-recovery" value="${crash.recoveryMonths}" min="1" max="120"></td>
+      <td>
+        <select class="crash-shape">
+          ${Object.entries(RECOVERY_SHAPES).map(([key, shape]) => `<option value="${key}" ${key === crash.shape ? 'selected' : ''}>${shape.name}</option>`).join('')}
+        </select>
+      </td>
+      <td><input type="number" class="crash-dividend-cut" value="${crash.dividendCut * 100}" min="0" max="100" step="5"></td>
+      <td>
+        <button class="btn-icon crash-remove" title="Remove crash">
+          <span class="material-symbols-outlined">delete</span>
+        </button>
+      </td>
+    </tr>
+  `;
+}
 
-  results.totalInvested = totalInvested.toFixed(2);
-  results.totalShares = shares.toFixed(4);
-  results.finalPrice = finalPrice.toFixed(2);
-  results.finalValue = finalValue.toFixed(2);
-  results.totalDividendsReceived = totalDividendsReceived.toFixed(2);
-  results.totalDividendsReinvested = totalDividendsReinvested.toFixed(2);
-  results.finalAnnualDividend = (shares * finalAnnualDividendPerShare).toFixed(2);
-  results.finalMonthlyDividend = (shares * finalAnnualDividendPerShare / 12).toFixed(2);
+/**
+ * Read the crash editor rows
+ * @returns {Object[]} Crashes for calculateDCAScenario
+ */
+function readCrashes() {
+  const number = (row, selector, fallback) => {
+    const value = parseFloat(row.querySelector(selector).value);
+    return isNaN(value) ? fallback : value;
+  };
 
-  return results;
+  return [...document.querySelectorAll('#crash-rows .crash-row')].map(row => ({
+    year: Math.max(1, Math.round(number(row, '.crash-year', 5))),
+    month: Math.min(12, Math.max(1, Math.round(number(row, '.crash-month', 1)))),
+    drop: number(row, '.crash-drop', 30) / 100,
+    recoveryMonths: Math.max(1, Math.round(number(row, '.crash-recovery', 12))),
+    shape: row.querySelector('.crash-shape').value,
+    dividendCut: number(row, '.crash-dividend-cut', 0) / 100
+  }));
 }
 
 /**
  * Render DCA calculator interface
+ * @param {Object} defaults - { taxRate } prefilled from the portfolio
  */
-export function renderDCACalculator() {
+export function renderDCACalculator(defaults = {}) {
   const container = document.getElementById('calculator-inputs');
+  const symbol = getCurrencySymbol();
+  const taxRate = ((defaults.taxRate || 0) * 100).toFixed(1);
+  loadBrokerModels();
 
   const html = `
     <div class="calculator-form">
@@ -150,11 +291,11 @@ export function renderDCACalculator() {
         <h3>Investment Parameters</h3>
         <div class="form-grid">
           <div class="form-field">
-            <label>Initial Investment (€)</label>
+            <label>Initial Investment (${symbol})</label>
             <input type="number" id="initial-investment" value="1000" min="0" step="100">
           </div>
           <div class="form-field">
-            <label>Monthly DCA (€)</label>
+            <label>Monthly DCA (${symbol})</label>
             <input type="number" id="monthly-dca" value="500" min="0" step="50">
           </div>
           <div class="form-field">
@@ -162,36 +303,158 @@ export function renderDCACalculator() {
             <input type="number" id="years" value="10" min="1" max="50">
           </div>
           <div class="form-field">
-            <label>Current Price (€)</label>
+            <label>Simulate</label>
+            <select id="dca-mode">
+              <option value="single">Single asset</option>
+              <option value="portfolio" ${calculatorStocks.length > 0 ? '' : 'disabled'}>My portfolio</option>
+            </select>
+          </div>
+          <div class="form-field single-asset-field">
+            <label>Current Price (${symbol})</label>
             <input type="number" id="current-price" value="100" min="1" step="0.01">
           </div>
-          <div class="form-field">
+          <div class="form-field single-asset-field">
             <label>Current Dividend Yield (%)</label>
             <input type="number" id="current-yield" value="3.5" min="0" max="20" step="0.1">
           </div>
+          <div class="form-field single-asset-field">
+            <label>Payment Frequency</label>
+            <select id="payment-frequency">${frequencyOptions(4)}</select>
+          </div>
+          <div class="form-field single-asset-field">
+            <label>First Ex-Dividend Month</label>
+            <select id="ex-month">${monthOptions(3)}</select>
+          </div>
+          <div class="form-field single-asset-field">
+            <label>Paid</label>
+            <select id="pay-lag">${payLagOptions(0)}</select>
+          </div>
           <div class="form-field">
-            <label>Reinvest Threshold (€)</label>
+            <label>Reinvest Threshold (${symbol})</label>
             <input type="number" id="reinvest-threshold" value="50" min="10" step="10">
           </div>
+          <div class="form-field">
+            <label>Dividend Tax Rate (%)</label>
+            <input type="number" id="dividend-tax" value="${taxRate}" min="0" max="100" step="0.5">
+          </div>
         </div>
       </div>
 
       <div class="form-section">
-        <h3>Market Crash Simulation (Optional)</h3>
+        <h3>Inflation &amp; Expenses</h3>
+        <p class="form-hint">Real figures are in today's money. Expenses are entered in today's money and rise with inflation; coverage compares them with the net dividends each year.</p>
         <div class="form-grid">
           <div class="form-field">
-            <label>Crash Year</label>
-            <input type="number" id="crash-year" value="5" min="1" max="50">
+            <label>Inflation (%/yr)</label>
+            <input type="number" id="inflation-rate" value="2.5" min="0" max="20" step="0.1">
           </div>
           <div class="form-field">
-            <label>Market Drop (%)</label>
-            <input type="number" id="crash-drop" value="30" min="0" max="90" step="5">
+            <label>Show Figures</label>
+            <select id="value-terms">
+              <option value="nominal">Nominal</option>
+              <option value="real">Real (today's money)</option>
+            </select>
           </div>
           <div class="form-field">
-            <label>Recovery (months)</label>
-            <input type="number" id="crash-recovery" value="12" min="1" max="60">
+            <label>Contributions Rise With</label>
+            <select id="contribution-growth-mode">
+              <option value="none">Nothing (fixed)</option>
+              <option value="inflation">Inflation</option>
+              <option value="salary">Salary growth</option>
+            </select>
+          </div>
+          <div class="form-field" id="salary-growth-field" style="display: none;">
+            <label>Salary Growth (%/yr)</label>
+            <input type="number" id="salary-growth" value="3" min="0" max="20" step="0.5">
+          </div>
+          <div class="form-field">
+            <label>Target Monthly Expenses (${symbol})</label>
+            <input type="number" id="monthly-expenses" value="0" min="0" step="100">
+          </div>
+        </div>
+      </div>
+
+      <div class="form-section">
+        <h3>Broker &amp; Trading Costs</h3>
+        <p class="form-hint">Brokers come from <code>brokers</code> in config.js; changes here last for this session. The single asset uses the broker selected here, portfolio holdings their own broker. Each scenario reports how much the costs change its value and income compared with a fee-free broker that buys fractional shares and has no DRIP.</p>
+        <div class="form-grid">
+          <div class="form-field">
+            <label>Broker</label>
+            <select id="broker-model">${brokerOptions(getBrokerKey())}</select>
           </div>
+          <div class="form-field">
+            <label>Commission per Order (${symbol})</label>
+            <input type="number" id="broker-commission-flat" min="0" step="0.5">
+          </div>
+          <div class="form-field">
+            <label>Commission (%)</label>
+            <input type="number" id="broker-commission-percent" min="0" max="10" step="0.05">
+          </div>
+          <div class="form-field">
+            <label>FX Spread (%)</label>
+            <input type="number" id="broker-fx-spread" min="0" max="10" step="0.05">
+          </div>
+        </div>
+        <label class="checkbox-field">
+          <input type="checkbox" id="broker-whole-shares">
+          <span>Whole shares only (leftover cash carries to the next month)</span>
+        </label>
+        <label class="checkbox-field">
+          <input type="checkbox" id="broker-drip">
+          <span>DRIP available (dividends reinvested in the paying stock)</span>
+        </label>
+        <label class="checkbox-field single-asset-field">
+          <input type="checkbox" id="single-foreign">
+          <span>Asset trades in a foreign currency (FX spread applies)</span>
+        </label>
+      </div>
+
+      <div class="form-section" id="portfolio-assets" style="display: none;">
+        <h3>Portfolio Holdings</h3>
+        <p class="form-hint">Price and dividend growth per holding are the Realistic scenario; the other scenarios shift every holding by their difference to the Realistic CAGR and dividend growth. Payment frequency, first ex-dividend month and pay month come from dividend history where available; shares bought after an ex-date miss that payment.</p>
+        <div class="form-grid">
+          <div class="form-field">
+            <label>Contributions go to</label>
+            <select id="dca-allocation">
+              <option value="target">All holdings by target weight</option>
+              <option value="underweight">Most underweight holding</option>
+            </select>
+          </div>
+        </div>
+        <label class="checkbox-field">
+          <input type="checkbox" id="dca-use-holdings" checked>
+          <span>Start from current holdings (shares from config.js or imported transactions)</span>
+        </label>
+        <div class="table-container">
+          ${renderAssetInputs()}
+        </div>
+      </div>
+
+      <div class="form-section">
+        <h3>Market Crash Simulation (Optional)</h3>
+        <p class="form-hint">Each crash drops prices in its start month and recovers over the recovery window: linear, V (sharp rebound), U (long bottom) or L (never recovers). A dividend cut lowers payouts and recovers the same way.</p>
+        <div class="table-container">
+          <table class="crash-editor">
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Month</th>
+                <th>Drop (%)</th>
+                <th>Recovery (months)</th>
+                <th>Shape</th>
+                <th>Dividend Cut (%)</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="crash-rows">
+              ${renderCrashRow({ year: 5, month: 1, drop: 0.3, recoveryMonths: 12, shape: 'linear', dividendCut: 0 })}
+            </tbody>
+          </table>
         </div>
+        <button class="btn-secondary" id="add-crash-btn">
+          <span class="material-symbols-outlined">add</span>
+          Add Crash
+        </button>
         <label class="checkbox-field">
           <input type="checkbox" id="enable-crash">
           <span>Enable market crash simulation</span>
@@ -258,6 +521,101 @@ export function renderDCACalculator() {
         <span class="material-symbols-outlined">calculate</span>
         Calculate Scenarios
       </button>
+
+      <div class="form-section">
+        <h3>Goal Planner</h3>
+        <p class="form-hint">Works backwards from a monthly dividend income: the other inputs above stay fixed while the chosen one is solved for each scenario. In portfolio mode the yield is scaled across all holdings.</p>
+        <div class="form-grid">
+          <div class="form-field">
+            <label>Target Monthly Income (${symbol})</label>
+            <input type="number" id="goal-target-income" value="2000" min="1" step="50">
+          </div>
+          <div class="form-field">
+            <label>Income Basis</label>
+            <select id="goal-basis">
+              <option value="net">After dividend tax</option>
+              <option value="gross">Before dividend tax</option>
+            </select>
+          </div>
+          <div class="form-field">
+            <label>Solve For</label>
+            <select id="goal-variable">
+              ${Object.entries(GOAL_VARIABLES).map(([key, name]) => `<option value="${key}">${name}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <button class="btn-secondary" id="goal-solve-btn">
+          <span class="material-symbols-outlined">flag</span>
+          Solve Goal
+        </button>
+        <div class="ledger-status" id="goal-status"></div>
+      </div>
+
+      <div class="form-section">
+        <h3>Monte Carlo Simulation</h3>
+        <p class="form-hint">Runs thousands of random paths around the Realistic CAGR and dividend growth. A simplified model: portfolio mode blends the holdings into one asset, and payment timing, broker costs and market crashes are not simulated.</p>
+        <div class="form-grid">
+          <div class="form-field">
+            <label>Paths</label>
+            <input type="number" id="mc-paths" value="2000" min="100" max="20000" step="100">
+          </div>
+          <div class="form-field">
+            <label>Return Volatility (%/yr)</label>
+            <input type="number" id="mc-return-vol" value="15" min="0" max="60" step="1">
+          </div>
+          <div class="form-field">
+            <label>Dividend Growth Volatility (%)</label>
+            <input type="number" id="mc-dividend-vol" value="3" min="0" max="30" step="0.5">
+          </div>
+          <div class="form-field">
+            <label>Dividend Cut Probability (%/yr)</label>
+            <input type="number" id="mc-cut-probability" value="0" min="0" max="50" step="0.5">
+          </div>
+          <div class="form-field">
+            <label>Cut Size (%)</label>
+            <input type="number" id="mc-cut-size" value="25" min="0" max="100" step="5">
+          </div>
+          <div class="form-field">
+            <label>Target Net Monthly Income (${symbol})</label>
+            <input type="number" id="mc-target-income" value="1000" min="0" step="50">
+          </div>
+        </div>
+        <button class="btn-secondary" id="mc-run-btn">
+          <span class="material-symbols-outlined">casino</span>
+          Run Monte Carlo
+        </button>
+        <div class="ledger-status" id="mc-status"></div>
+      </div>
+
+      <div class="form-section">
+        <h3>Historical Backtest</h3>
+        <p class="form-hint">Replays real monthly prices and dividends from a start month with the same contributions and reinvestment threshold, shown next to the projected scenarios. Payment timing and broker settings don't apply: dividends count in the month of the dataset row and are reinvested fractionally and fee-free. Set <code>backtest.source</code> in config.js or pick a CSV/JSON file (Ticker, Date, Close, Dividend).</p>
+        <div class="form-grid">
+          <div class="form-field">
+            <label>Dataset</label>
+            <input type="file" id="backtest-file" accept=".csv,.json,text/csv,application/json">
+          </div>
+          <div class="form-field">
+            <label>Date Format</label>
+            <select id="backtest-date-format">
+              ${Object.entries(DATE_FORMATS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-field">
+            <label>Start Month</label>
+            <input type="month" id="backtest-start" value="2010-01">
+          </div>
+          <div class="form-field single-asset-field">
+            <label>Ticker</label>
+            <select id="backtest-ticker"></select>
+          </div>
+        </div>
+        <button class="btn-secondary" id="backtest-run-btn" disabled>
+          <span class="material-symbols-outlined">history</span>
+          Run Backtest
+        </button>
+        <div class="ledger-status" id="backtest-status"></div>
+      </div>
     </div>
   `;
 
@@ -288,57 +646,465 @@ function setupCalculatorEvents() {
     });
   });
 
+  // Single asset vs portfolio mode
+  document.getElementById('dca-mode').addEventListener('change', (e) => {
+    const isPortfolio = e.target.value === 'portfolio';
+    document.getElementById('portfolio-assets').style.display = isPortfolio ? 'flex' : 'none';
+    document.querySelectorAll('.single-asset-field').forEach(field => {
+      field.style.display = isPortfolio ? 'none' : '';
+    });
+  });
+
+  // Broker cost models: show the selected one, keep edits for the session
+  const brokerSelect = document.getElementById('broker-model');
+  const brokerFields = {
+    commissionFlat: { id: 'broker-commission-flat', scale: 1 },
+    commissionPercent: { id: 'broker-commission-percent', scale: 100 },
+    fxSpread: { id: 'broker-fx-spread', scale: 100 }
+  };
+  const brokerFlags = { wholeShares: 'broker-whole-shares', drip: 'broker-drip' };
+
+  const showBroker = () => {
+    const model = brokerModels[brokerSelect.value];
+    Object.entries(brokerFields).forEach(([key, field]) => {
+      document.getElementById(field.id).value = parseFloat((model[key] * field.scale).toFixed(4));
+    });
+    Object.entries(brokerFlags).forEach(([key, id]) => {
+      document.getElementById(id).checked = Boolean(model[key]);
+    });
+  };
+
+  brokerSelect.addEventListener('change', showBroker);
+  Object.entries(brokerFields).forEach(([key, field]) => {
+    document.getElementById(field.id).addEventListener('change', (e) => {
+      brokerModels[brokerSelect.value][key] = Math.max(0, parseFloat(e.target.value) || 0) / field.scale;
+    });
+  });
+  Object.entries(brokerFlags).forEach(([key, id]) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      brokerModels[brokerSelect.value][key] = e.target.checked;
+    });
+  });
+  showBroker();
+
+  // Inflation and contribution growth
+  document.getElementById('contribution-growth-mode').addEventListener('change', (e) => {
+    document.getElementById('salary-growth-field').style.display = e.target.value === 'salary' ? '' : 'none';
+  });
+
+  document.getElementById('value-terms').addEventListener('change', () => {
+    if (lastResults) renderResults(lastResults.scenarioResults, lastResults.isPortfolio);
+  });
+
+  // Crash editor
+  document.getElementById('add-crash-btn').addEventListener('click', () => {
+    const crashes = readCrashes();
+    const lastYear = crashes.length > 0 ? crashes[crashes.length - 1].year : 0;
+    document.getElementById('crash-rows').insertAdjacentHTML('beforeend', renderCrashRow({
+      year: lastYear + 5, month: 1, drop: 0.2, recoveryMonths: 12, shape: 'linear', dividendCut: 0
+    }));
+  });
+
+  document.getElementById('crash-rows').addEventListener('click', (e) => {
+    const remove = e.target.closest('.crash-remove');
+    if (remove) remove.closest('.crash-row').remove();
+  });
+
   // Calculate button
-  document.getElementById('calculate-btn').addEventListener('click', runCalculations);
+  document.getElementById('calculate-btn').addEventListener('click', () => runCalculations());
+  document.getElementById('goal-solve-btn').addEventListener('click', runGoalPlanner);
+  document.getElementById('mc-run-btn').addEventListener('click', runMonteCarloSimulation);
+  document.getElementById('backtest-run-btn').addEventListener('click', () => runCalculations(true));
+
+  // Backtest dataset picked by hand replaces the configured one (read again when the date format changes)
+  document.getElementById('backtest-file').addEventListener('change', readBacktestFile);
+  document.getElementById('backtest-date-format').addEventListener('change', readBacktestFile);
 }
 
 /**
- * Run DCA calculations for all scenarios
+ * Read the backtest dataset picked by hand
  */
-function runCalculations() {
-  // Get common parameters
+async function readBacktestFile() {
+  const file = document.getElementById('backtest-file').files[0];
+  if (!file) return;
+
+  try {
+    const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+    const dateFormat = document.getElementById('backtest-date-format').value;
+    setPriceSeries(parsePriceHistory(await file.text(), format, { dateFormat }), file.name);
+  } catch (error) {
+    setBacktestStatus(`Could not read ${file.name}: ${error.message}`, true);
+  }
+}
+
+/**
+ * Read a scenario's CAGR or dividend growth input as a fraction
+ */
+function scenarioInput(selector, scenario) {
+  return (parseFloat(document.querySelector(`${selector}[data-scenario="${scenario}"]`).value) || 0) / 100;
+}
+
+/**
+ * Read the parameters shared by every scenario
+ */
+function readBaseParams() {
   const initialInvestment = parseFloat(document.getElementById('initial-investment').value) || 0;
   const monthlyDCA = parseFloat(document.getElementById('monthly-dca').value) || 0;
   const years = parseInt(document.getElementById('years').value) || 10;
   const currentPrice = parseFloat(document.getElementById('current-price').value) || 100;
   const currentYield = (parseFloat(document.getElementById('current-yield').value) || 3.5) / 100;
   const reinvestThreshold = parseFloat(document.getElementById('reinvest-threshold').value) || 50;
+  const dividendTaxRate = (parseFloat(document.getElementById('dividend-tax').value) || 0) / 100;
+
+  // Payment timing of the single asset (portfolio holdings carry their own)
+  const paymentFrequency = parseInt(document.getElementById('payment-frequency').value);
+  const exMonth = parseInt(document.getElementById('ex-month').value);
+  const payLagMonths = parseInt(document.getElementById('pay-lag').value);
+
+  // Trading costs of the single asset's broker
+  const costs = brokerModels[document.getElementById('broker-model').value];
+  const foreign = document.getElementById('single-foreign').checked;
 
   // Market crash parameters
   const enableCrash = document.getElementById('enable-crash').checked;
-  const marketCrashes = enableCrash ? [{
-    year: parseInt(document.getElementById('crash-year').value) || 5,
-    drop: (parseFloat(document.getElementById('crash-drop').value) || 30) / 100,
-    recoveryMonths: parseInt(document.getElementById('crash-recovery').value) || 12
-  }] : [];
+  const marketCrashes = enableCrash ? readCrashes() : [];
+
+  // Inflation, contribution raises and expenses
+  const inflationRate = (parseFloat(document.getElementById('inflation-rate').value) || 0) / 100;
+  const growthMode = document.getElementById('contribution-growth-mode').value;
+  const contributionGrowth = growthMode === 'inflation'
+    ? inflationRate
+    : growthMode === 'salary' ? (parseFloat(document.getElementById('salary-growth').value) || 0) / 100 : 0;
+  const monthlyExpenses = parseFloat(document.getElementById('monthly-expenses').value) || 0;
 
-  const baseParams = {
+  return {
     initialInvestment,
     monthlyDCA,
     years,
     currentPrice,
     currentDividendYield: currentYield,
     reinvestThreshold,
-    marketCrashes
+    dividendTaxRate,
+    paymentFrequency,
+    exMonth,
+    payLagMonths,
+    costs,
+    foreign,
+    marketCrashes,
+    inflationRate,
+    contributionGrowth,
+    monthlyExpenses
   };
+}
+
+/**
+ * Whether figures are shown in today's money
+ */
+function showRealTerms() {
+  return document.getElementById('value-terms').value === 'real';
+}
+
+/**
+ * Show a status message under the backtest form
+ */
+function setBacktestStatus(message, isError = false) {
+  const status = document.getElementById('backtest-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Use a price history dataset for backtests
+ */
+function setPriceSeries(series, label) {
+  const tickers = Object.keys(series).sort();
+  priceSeries = tickers.length > 0 ? series : null;
+
+  document.getElementById('backtest-ticker').innerHTML = tickers
+    .map(ticker => `<option value="${ticker}">${ticker}</option>`)
+    .join('');
+  document.getElementById('backtest-run-btn').disabled = !priceSeries;
+
+  const first = tickers.map(ticker => series[ticker][0]?.month).filter(Boolean).sort()[0];
+  setBacktestStatus(priceSeries
+    ? `${label}: ${tickers.length} tickers, history from ${first}.`
+    : `${label} has no usable rows.`, !priceSeries);
+}
+
+/**
+ * Backtest assets: the typed-in ticker, or portfolio holdings that have history
+ * Holdings without a target weight are weighted by current value. When the projection
+ * starts from current holdings, so does the backtest (at their current market value).
+ */
+function readBacktestAssets(isPortfolio) {
+  if (!isPortfolio) {
+    return { assets: [{ ticker: document.getElementById('backtest-ticker').value }], missing: [] };
+  }
+
+  const holdings = readPortfolioAssets();
+  const hasTargets = holdings.some(asset => asset.targetWeight > 0);
+  const weighted = holdings.map(asset => ({
+    ticker: asset.ticker,
+    name: asset.name,
+    targetWeight: hasTargets ? asset.targetWeight : asset.shares * asset.price,
+    startingValue: asset.shares * asset.price
+  })).filter(asset => asset.targetWeight > 0 || asset.startingValue > 0);
+
+  return {
+    assets: weighted.filter(asset => priceSeries[asset.ticker]),
+    missing: weighted.filter(asset => !priceSeries[asset.ticker]).map(asset => asset.ticker)
+  };
+}
+
+/**
+ * calculateDCAScenario parameters of one scenario
+ * Portfolio mode simulates each holding; scenarios shift them relative to Realistic.
+ */
+function readScenarioParams(scenario, baseParams, isPortfolio) {
+  const cagr = scenarioInput('.cagr-input', scenario);
+  const divGrowth = scenarioInput('.div-growth-input', scenario);
+
+  return {
+    ...baseParams,
+    cagr,
+    dividendGrowth: divGrowth,
+    ...(isPortfolio ? {
+      allocation: document.getElementById('dca-allocation').value,
+      assets: readPortfolioAssets(
+        cagr - scenarioInput('.cagr-input', 'realistic'),
+        divGrowth - scenarioInput('.div-growth-input', 'realistic')
+      )
+    } : {})
+  };
+}
+
+/**
+ * Run DCA calculations for all scenarios
+ * @param {boolean} withBacktest - Also replay history as a fourth, historical scenario
+ */
+function runCalculations(withBacktest = false) {
+  const baseParams = readBaseParams();
+  const isPortfolio = document.getElementById('dca-mode').value === 'portfolio';
+
+  if (isPortfolio && readPortfolioAssets().length === 0) {
+    document.getElementById('scenarios-results').innerHTML =
+      '<p class="form-hint">Give at least one holding a target weight or start from current holdings.</p>';
+    return;
+  }
 
   // Calculate each scenario
   const scenarios = ['pessimistic', 'realistic', 'optimistic'];
   const scenarioResults = {};
 
   scenarios.forEach(scenario => {
-    const cagr = (parseFloat(document.querySelector(`.cagr-input[data-scenario="${scenario}"]`).value) || 0) / 100;
-    const divGrowth = (parseFloat(document.querySelector(`.div-growth-input[data-scenario="${scenario}"]`).value) || 0) / 100;
+    const params = readScenarioParams(scenario, baseParams, isPortfolio);
+    scenarioResults[scenario] = calculateDCAScenario(params);
 
-    scenarioResults[scenario] = calculateDCAScenario({
-      ...baseParams,
-      cagr,
-      dividendGrowth: divGrowth
-    });
+    // The same scenario without trading costs, to report their impact
+    if (hasTradingCosts(params)) {
+      scenarioResults[scenario].frictionless = calculateDCAScenario(withoutTradingCosts(params));
+    }
   });
 
-  // Render results
+  if (withBacktest && priceSeries) {
+    const { assets, missing } = readBacktestAssets(isPortfolio);
+
+    try {
+      if (assets.length === 0) {
+        throw new Error('none of the holdings are in the dataset');
+      }
+
+      scenarioResults.historical = runBacktest(priceSeries, {
+        ...baseParams,
+        assets,
+        startMonth: document.getElementById('backtest-start').value || '2010-01',
+        allocation: isPortfolio ? document.getElementById('dca-allocation').value : 'target'
+      });
+
+      const { startMonth, endMonth, months } = scenarioResults.historical.backtest;
+      setBacktestStatus(`Replayed ${months} months (${startMonth} to ${endMonth})${months < baseParams.years * 12 ? ' - history ends before the full period' : ''}${missing.length > 0 ? `. No history for ${missing.join(', ')} (left out)` : ''}.`);
+    } catch (error) {
+      setBacktestStatus(`Backtest failed: ${error.message}`, true);
+    }
+  }
+
+  lastResults = { scenarioResults, isPortfolio };
+  renderResults(scenarioResults, isPortfolio);
+}
+
+/**
+ * Render every view of the calculated scenarios
+ */
+function renderResults(scenarioResults, isPortfolio) {
   renderScenarioResults(scenarioResults);
+  renderYearlyBreakdown(scenarioResults, showRealTerms());
+  renderCoverageResults(scenarioResults);
+  renderHoldingResults(isPortfolio ? scenarioResults : null);
+  renderBacktestResults(scenarioResults.historical || null);
+}
+
+/**
+ * Format a solved goal value for display
+ */
+function formatGoalValue(variable, value) {
+  if (value === null) return '--';
+  if (variable === 'monthlyDCA') return `${formatCurrency(value)}/mo`;
+  if (variable === 'years') return `${value} yr`;
+  return formatPercent(value);
+}
+
+/**
+ * Solve the income goal for every scenario and the sensitivity table in a Web Worker
+ */
+function runGoalPlanner() {
+  const section = document.getElementById('goal-results');
+  const status = document.getElementById('goal-status');
+  const baseParams = readBaseParams();
+  const isPortfolio = document.getElementById('dca-mode').value === 'portfolio';
+  const goal = {
+    variable: document.getElementById('goal-variable').value,
+    targetMonthlyIncome: parseFloat(document.getElementById('goal-target-income').value) || 0,
+    net: document.getElementById('goal-basis').value === 'net',
+    real: showRealTerms()
+  };
+
+  if (goal.targetMonthlyIncome <= 0 || (isPortfolio && readPortfolioAssets().length === 0)) {
+    section.style.display = 'block';
+    document.getElementById('goal-summary').innerHTML =
+      '<p class="form-hint">Enter a target income (and in portfolio mode, at least one holding with a target weight or shares).</p>';
+    document.getElementById('goal-sensitivity').innerHTML = '';
+    return;
+  }
+
+  const request = {
+    scenarios: [
+      { key: 'pessimistic', name: 'Pessimistic' },
+      { key: 'realistic', name: 'Realistic' },
+      { key: 'optimistic', name: 'Optimistic' }
+    ].map(scenario => ({ ...scenario, params: readScenarioParams(scenario.key, baseParams, isPortfolio) })),
+    // Sensitivity around the Realistic scenario
+    sensitivityParams: readScenarioParams('realistic', baseParams, isPortfolio),
+    goal
+  };
+  const context = { goal, baseParams, isPortfolio, realisticCagr: scenarioInput('.cagr-input', 'realistic') };
+
+  if (typeof Worker === 'undefined') {
+    status.textContent = 'Web Workers are not supported in this browser.';
+    status.classList.add('error');
+    return;
+  }
+
+  // A new run replaces one still in progress
+  if (goalPlannerWorker) goalPlannerWorker.terminate();
+  goalPlannerWorker = new Worker(new URL('./goalPlannerWorker.js', import.meta.url), { type: 'module' });
+
+  status.classList.remove('error');
+  status.textContent = 'Solving...';
+
+  goalPlannerWorker.onmessage = (e) => {
+    const message = e.data;
+
+    if (message.type === 'progress') {
+      status.textContent = `Solving... ${Math.round(message.progress * 100)}%`;
+    } else if (message.type === 'result') {
+      status.textContent = '';
+      renderGoalResults(message.result, context);
+      goalPlannerWorker.terminate();
+      goalPlannerWorker = null;
+    } else if (message.type === 'error') {
+      status.textContent = `Goal planner failed: ${message.message}`;
+      status.classList.add('error');
+    }
+  };
+
+  goalPlannerWorker.onerror = (e) => {
+    status.textContent = `Goal planner failed: ${e.message}`;
+    status.classList.add('error');
+  };
+
+  goalPlannerWorker.postMessage(request);
+}
+
+/**
+ * Render solved goals and the sensitivity table
+ */
+function renderGoalResults({ solved, table }, { goal, baseParams, isPortfolio, realisticCagr }) {
+  const section = document.getElementById('goal-results');
+  const limit = goal.variable === 'years' ? ` within ${MAX_YEARS} years` : '';
+  const fixed = goal.variable === 'years'
+    ? `${formatCurrency(baseParams.monthlyDCA)}/mo`
+    : `${baseParams.years} years`;
+
+  document.getElementById('goal-summary').innerHTML = solved.map(({ name, solution }) => {
+    const view = solution && (goal.real ? inRealTerms(solution.results) : solution.results);
+
+    return `
+      <div class="ledger-stat">
+        <span class="ledger-stat-label">${name}: ${GOAL_VARIABLES[goal.variable]}</span>
+        <span class="ledger-stat-value">${formatGoalValue(goal.variable, solution?.value ?? null)}</span>
+        <span class="form-hint">${view
+          ? `${formatCurrency(parseFloat(goal.net ? view.finalMonthlyDividendNet : view.finalMonthlyDividend))}/mo, ${formatCurrency(parseFloat(view.totalInvested))} invested`
+          : `Out of reach${limit}`}</span>
+      </div>
+    `;
+  }).join('');
+
+  document.getElementById('goal-sensitivity-caption').textContent =
+    `${GOAL_VARIABLES[goal.variable]} needed in the Realistic scenario (${fixed}, ${goal.net ? 'after' : 'before'} tax${goal.real ? ', in today\'s money' : ''}) by target income and CAGR`;
+
+  document.getElementById('goal-sensitivity').innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>CAGR</th>
+          ${table.incomes.map(income => `<th>${formatCurrency(income)}/mo</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${table.cagrShifts.map((shift, row) => `
+          <tr class="${shift === 0 ? 'goal-base-row' : ''}">
+            <td>${isPortfolio
+              ? `Realistic ${shift >= 0 ? '+' : ''}${(shift * 100).toFixed(0)} pp`
+              : formatPercent(realisticCagr + shift)}</td>
+            ${table.values[row].map(value => `<td>${formatGoalValue(goal.variable, value)}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  section.style.display = 'block';
+}
+
+/**
+ * Trading cost rows of a scenario card, compared with the same scenario at a fee-free
+ * fractional broker (results.frictionless)
+ */
+function renderCostImpact(data, isReal) {
+  const frictionless = isReal ? inRealTerms(data.frictionless) : data.frictionless;
+  const valueImpact = parseFloat(data.finalValue) - parseFloat(frictionless.finalValue);
+  const incomeImpact = parseFloat(data.finalMonthlyDividend) - parseFloat(frictionless.finalMonthlyDividend);
+
+  return `
+    <div class="metric-row">
+      <span class="metric-label">Trading Costs Paid</span>
+      <span class="metric-value">${formatCurrency(parseFloat(data.totalFees))}</span>
+    </div>
+    ${parseFloat(data.uninvestedCash) > 0 ? `
+    <div class="metric-row">
+      <span class="metric-label">Uninvested Cash</span>
+      <span class="metric-value">${formatCurrency(parseFloat(data.uninvestedCash))}</span>
+    </div>
+    ` : ''}
+    <div class="metric-row">
+      <span class="metric-label">Broker Impact on Value</span>
+      <span class="metric-value ${valueImpact >= 0 ? 'positive' : 'negative'}">${valueImpact >= 0 ? '+' : ''}${formatCurrency(valueImpact)}</span>
+    </div>
+    <div class="metric-row">
+      <span class="metric-label">Broker Impact on Income</span>
+      <span class="metric-value ${incomeImpact >= 0 ? 'positive' : 'negative'}">${incomeImpact >= 0 ? '+' : ''}${formatCurrency(incomeImpact)}/mo</span>
+    </div>
+  `;
 }
 
 /**
@@ -353,10 +1119,18 @@ function renderScenarioResults(results) {
     { key: 'optimistic', name: 'Optimistic', icon: 'trending_up', color: '#10b981' }
   ];
 
+  if (results.historical) {
+    scenarios.push({ key: 'historical', name: 'Historical', icon: 'history', color: '#a855f7' });
+  }
+
+  const real = showRealTerms();
+
   const html = `
     <div class="scenarios-grid">
       ${scenarios.map(scenario => {
-        const data = results[scenario.key];
+        // Backtests have no real figures and stay nominal
+        const isReal = real && Boolean(results[scenario.key].real);
+        const data = isReal ? inRealTerms(results[scenario.key]) : results[scenario.key];
         const roi = ((parseFloat(data.finalValue) / parseFloat(data.totalInvested) - 1) * 100).toFixed(2);
 
         return `
@@ -364,45 +1138,100 @@ function renderScenarioResults(results) {
             <div class="scenario-header" style="background: ${scenario.color}20; border-bottom-color: ${scenario.color}">
               <span class="material-symbols-outlined">${scenario.icon}</span>
               <h3>${scenario.name}</h3>
+              <span class="scenario-terms">${isReal ? 'Today\'s money' : 'Nominal'}</span>
             </div>
 
             <div class="scenario-metrics">
               <div class="metric-row">
                 <span class="metric-label">Total Invested</span>
-                <span class="metric-value">€${parseFloat(data.totalInvested).toLocaleString()}</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.totalInvested))}</span>
               </div>
               <div class="metric-row highlight">
                 <span class="metric-label">Final Value</span>
-                <span class="metric-value big">€${parseFloat(data.finalValue).toLocaleString()}</span>
+                <span class="metric-value big">${formatCurrency(parseFloat(data.finalValue))}</span>
               </div>
               <div class="metric-row">
                 <span class="metric-label">ROI</span>
                 <span class="metric-value ${roi >= 0 ? 'positive' : 'negative'}">${roi}%</span>
               </div>
+              ${data.finalPrice !== null ? `
               <div class="metric-row">
                 <span class="metric-label">Total Shares</span>
                 <span class="metric-value">${data.totalShares}</span>
               </div>
               <div class="metric-row">
                 <span class="metric-label">Final Price/Share</span>
-                <span class="metric-value">€${parseFloat(data.finalPrice).toLocaleString()}</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.finalPrice))}</span>
               </div>
+              ` : `
+              <div class="metric-row">
+                <span class="metric-label">Starting Holdings</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.startingValue))}</span>
+              </div>
+              `}
               <div class="metric-row highlight">
                 <span class="metric-label">Monthly Dividend Income</span>
-                <span class="metric-value big">€${parseFloat(data.finalMonthlyDividend).toLocaleString()}/mo</span>
+                <span class="metric-value big">${formatCurrency(parseFloat(data.finalMonthlyDividend))}/mo</span>
+              </div>
+              <div class="metric-row">
+                <span class="metric-label">Net Monthly Dividend</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.finalMonthlyDividendNet))}/mo</span>
               </div>
               <div class="metric-row">
                 <span class="metric-label">Annual Dividend Income</span>
-                <span class="metric-value">€${parseFloat(data.finalAnnualDividend).toLocaleString()}/yr</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.finalAnnualDividend))}/yr</span>
               </div>
               <div class="metric-row">
                 <span class="metric-label">Dividends Received</span>
-                <span class="metric-value">€${parseFloat(data.totalDividendsReceived).toLocaleString()}</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.totalDividendsReceived))}</span>
               </div>
               <div class="metric-row">
                 <span class="metric-label">Dividends Reinvested</span>
-                <span class="metric-value">€${parseFloat(data.totalDividendsReinvested).toLocaleString()}</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.totalDividendsReinvested))}</span>
+              </div>
+              <div class="metric-row">
+                <span class="metric-label">Taxes Withheld</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.totalTaxPaid))}</span>
+              </div>
+              ${data.frictionless ? renderCostImpact(data, isReal) : ''}
+              ${data.reinvestmentCount !== undefined ? `
+              <div class="metric-row">
+                <span class="metric-label">Reinvestments</span>
+                <span class="metric-value">${data.reinvestmentCount}</span>
+              </div>
+              <div class="metric-row">
+                <span class="metric-label">Avg. Idle Dividend Cash</span>
+                <span class="metric-value">${formatCurrency(parseFloat(data.averageCashBuffer))}</span>
+              </div>
+              ` : ''}
+              ${data.finalExpensesCovered != null ? `
+              <div class="metric-row highlight">
+                <span class="metric-label">Expenses Covered</span>
+                <span class="metric-value ${data.finalExpensesCovered >= 1 ? 'positive' : ''}">${formatPercent(data.finalExpensesCovered, 0)}</span>
+              </div>
+              <div class="metric-row">
+                <span class="metric-label">Fully Covered From</span>
+                <span class="metric-value">${data.expensesCoveredYear !== null ? `Year ${data.expensesCoveredYear}` : 'Not yet'}</span>
               </div>
+              ` : ''}
+              ${data.backtest ? `
+              <div class="metric-row">
+                <span class="metric-label">Period</span>
+                <span class="metric-value">${data.backtest.startMonth} – ${data.backtest.endMonth}</span>
+              </div>
+              <div class="metric-row">
+                <span class="metric-label">Max Drawdown</span>
+                <span class="metric-value negative">${formatPercent(data.backtest.maxDrawdown, 1)}</span>
+              </div>
+              <div class="metric-row">
+                <span class="metric-label">Income Volatility</span>
+                <span class="metric-value">${formatPercent(data.backtest.incomeVolatility, 1)}</span>
+              </div>
+              <div class="metric-row">
+                <span class="metric-label">Broker & Payment Timing</span>
+                <span class="metric-value">Not applied</span>
+              </div>
+              ` : ''}
             </div>
           </div>
         `;
@@ -413,9 +1242,450 @@ function renderScenarioResults(results) {
   container.innerHTML = html;
 }
 
+/**
+ * Render the share of expenses the net dividends cover in each year
+ * @param {Object} results - Scenario results (hidden when no expenses were entered)
+ */
+function renderCoverageResults(results) {
+  const section = document.getElementById('coverage-results');
+  if (!section) return;
+
+  const scenarios = ['pessimistic', 'realistic', 'optimistic'];
+  const rows = results.realistic.yearlyData;
+
+  if (rows.length === 0 || rows[0].expensesCovered === null) {
+    section.style.display = 'none';
+    return;
+  }
+
+  document.getElementById('coverage-table').innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Year</th>
+          ${scenarios.map(key => `<th>${key.charAt(0).toUpperCase()}${key.slice(1)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row, i) => `
+          <tr>
+            <td>${row.year}</td>
+            ${scenarios.map(key => {
+              const covered = results[key].yearlyData[i].expensesCovered;
+              return `<td class="${covered >= 1 ? 'gain-positive' : ''}">${formatPercent(covered, 0)}</td>`;
+            }).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  section.style.display = 'block';
+}
+
+/**
+ * Blend portfolio assets into the single asset the Monte Carlo simulates
+ * Weighted by target weight, or by current value when no targets are set.
+ */
+function blendAssets(assets) {
+  const targetTotal = assets.reduce((sum, a) => sum + a.targetWeight, 0);
+  const weightOf = a => (targetTotal > 0 ? a.targetWeight / targetTotal : 0);
+  const valueTotal = assets.reduce((sum, a) => sum + a.shares * a.price, 0);
+  const weight = a => (targetTotal > 0 ? weightOf(a) : valueTotal > 0 ? (a.shares * a.price) / valueTotal : 1 / assets.length);
+
+  return {
+    startingValue: valueTotal,
+    dividendYield: assets.reduce((sum, a) => sum + weight(a) * a.dividendYield, 0),
+    cagr: assets.reduce((sum, a) => sum + weight(a) * a.cagr, 0),
+    dividendGrowth: assets.reduce((sum, a) => sum + weight(a) * a.dividendGrowth, 0)
+  };
+}
+
+/**
+ * Run the Monte Carlo simulation in a Web Worker
+ */
+function runMonteCarloSimulation() {
+  const status = document.getElementById('mc-status');
+  const base = readBaseParams();
+  const isPortfolio = document.getElementById('dca-mode').value === 'portfolio';
+  const value = id => parseFloat(document.getElementById(id).value) || 0;
+
+  if (isPortfolio && readPortfolioAssets().length === 0) {
+    status.textContent = 'Give at least one holding a target weight or start from current holdings.';
+    status.classList.add('error');
+    return;
+  }
+
+  const asset = isPortfolio
+    ? blendAssets(readPortfolioAssets())
+    : {
+      startingValue: 0,
+      dividendYield: base.currentDividendYield,
+      cagr: scenarioInput('.cagr-input', 'realistic'),
+      dividendGrowth: scenarioInput('.div-growth-input', 'realistic')
+    };
+
+  const params = {
+    ...asset,
+    paths: Math.min(20000, Math.max(100, Math.round(value('mc-paths')))),
+    years: base.years,
+    initialInvestment: base.initialInvestment,
+    monthlyDCA: base.monthlyDCA,
+    reinvestThreshold: base.reinvestThreshold,
+    dividendTaxRate: base.dividendTaxRate,
+    returnVolatility: value('mc-return-vol') / 100,
+    dividendVolatility: value('mc-dividend-vol') / 100,
+    cutProbability: value('mc-cut-probability') / 100,
+    cutSize: value('mc-cut-size') / 100,
+    targetMonthlyIncome: value('mc-target-income')
+  };
+
+  if (typeof Worker === 'undefined') {
+    status.textContent = 'Web Workers are not supported in this browser.';
+    status.classList.add('error');
+    return;
+  }
+
+  // A new run replaces one still in progress
+  if (monteCarloWorker) monteCarloWorker.terminate();
+  monteCarloWorker = new Worker(new URL('./monteCarloWorker.js', import.meta.url), { type: 'module' });
+
+  status.classList.remove('error');
+  status.textContent = `Simulating ${params.paths.toLocaleString()} paths...`;
+
+  monteCarloWorker.onmessage = (e) => {
+    const message = e.data;
+
+    if (message.type === 'progress') {
+      status.textContent = `Simulating ${params.paths.toLocaleString()} paths... ${Math.round(message.progress * 100)}%`;
+    } else if (message.type === 'result') {
+      status.textContent = '';
+      renderMonteCarloResults(message.result, params, isPortfolio);
+      monteCarloWorker.terminate();
+      monteCarloWorker = null;
+    } else if (message.type === 'error') {
+      status.textContent = `Simulation failed: ${message.message}`;
+      status.classList.add('error');
+    }
+  };
+
+  monteCarloWorker.onerror = (e) => {
+    status.textContent = `Simulation failed: ${e.message}`;
+    status.classList.add('error');
+  };
+
+  monteCarloWorker.postMessage(params);
+}
+
+/**
+ * Render Monte Carlo summary and fan charts
+ */
+function renderMonteCarloResults(result, params, isPortfolio) {
+  const section = document.getElementById('monte-carlo-results');
+  const last = result.years - 1;
+  section.style.display = 'block';
+
+  // Not the deterministic engine, so the outcomes don't line up with the scenario cards
+  document.getElementById('mc-model-note').textContent = `Simplified model: ${isPortfolio ? 'the holdings are blended into one asset at their weighted yield, CAGR and dividend growth; ' : ''}dividends are paid monthly and buys are fractional and fee-free - payment timing, broker costs and market crashes from the scenarios are not simulated.`;
+
+  document.getElementById('mc-summary').innerHTML = `
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Reach ${formatCurrency(params.targetMonthlyIncome)}/mo in ${result.years} yrs</span>
+      <span class="ledger-stat-value">${result.probability === null ? '--' : formatPercent(result.probability, 1)}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Median Year Reached</span>
+      <span class="ledger-stat-value">${result.medianYearReached ? `Year ${result.medianYearReached}` : '--'}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Final Value P10 / P50 / P90</span>
+      <span class="ledger-stat-value mc-range">${formatCurrency(result.value.p10[last])} / ${formatCurrency(result.value.p50[last])} / ${formatCurrency(result.value.p90[last])}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Net Monthly Income P10 / P50 / P90</span>
+      <span class="ledger-stat-value mc-range">${formatCurrency(result.income.p10[last])} / ${formatCurrency(result.income.p50[last])} / ${formatCurrency(result.income.p90[last])}</span>
+    </div>
+  `;
+
+  const labels = Array.from({ length: result.years }, (_, i) => `Year ${i + 1}`);
+  window.mcValueChart = renderFanChart('mc-value-chart', window.mcValueChart, labels, result.value);
+  window.mcIncomeChart = renderFanChart('mc-income-chart', window.mcIncomeChart, labels, result.income,
+    params.targetMonthlyIncome > 0 ? params.targetMonthlyIncome : null);
+}
+
+/**
+ * Percentile fan chart: P10-P90 band with the median line
+ * @returns {Chart} The new chart
+ */
+function renderFanChart(canvasId, existingChart, labels, bands, target = null) {
+  const ctx = document.getElementById(canvasId).getContext('2d');
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const color = portfolio.settings.chartColors[0];
+
+  // Destroy existing chart if it exists
+  if (existingChart) {
+    existingChart.destroy();
+  }
+
+  const datasets = [
+    { label: 'P10', data: bands.p10, borderColor: `${color}66`, pointRadius: 0, fill: false },
+    { label: 'P90', data: bands.p90, borderColor: `${color}66`, backgroundColor: `${color}33`, pointRadius: 0, fill: '-1' },
+    { label: 'Median (P50)', data: bands.p50, borderColor: color, borderWidth: 3, pointRadius: 0, fill: false }
+  ];
+
+  if (target !== null) {
+    datasets.push({
+      label: 'Target',
+      data: labels.map(() => target),
+      borderColor: isDark ? '#b0b0b0' : '#4a4a4a',
+      borderDash: [6, 4],
+      pointRadius: 0,
+      fill: false
+    });
+  }
+
+  return new Chart(ctx, {
+    type: 'line',
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          labels: { color: isDark ? '#ffffff' : '#1e1e1e' }
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { color: isDark ? '#b0b0b0' : '#4a4a4a' },
+          grid: { color: isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)' }
+        },
+        y: {
+          beginAtZero: true,
+          ticks: {
+            color: isDark ? '#b0b0b0' : '#4a4a4a',
+            callback: (value) => formatCurrency(value)
+          },
+          grid: { color: isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)' }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Render backtest drawdown and income charts
+ * @param {Object|null} result - Historical scenario, or null to hide the section
+ */
+function renderBacktestResults(result) {
+  const section = document.getElementById('backtest-results');
+  if (!section) return;
+
+  if (!result) {
+    section.style.display = 'none';
+    return;
+  }
+
+  const { backtest, yearlyData } = result;
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const textColor = isDark ? '#b0b0b0' : '#4a4a4a';
+  const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  section.style.display = 'block';
+
+  document.getElementById('backtest-summary').innerHTML = `
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Max Drawdown</span>
+      <span class="ledger-stat-value">${formatPercent(backtest.maxDrawdown, 1)}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Longest Underwater</span>
+      <span class="ledger-stat-value">${backtest.longestUnderwaterMonths} months</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Income Volatility (yearly)</span>
+      <span class="ledger-stat-value">${formatPercent(backtest.incomeVolatility, 1)}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Worst Income Year</span>
+      <span class="ledger-stat-value">${backtest.worstIncomeChange === null ? '--' : formatPercent(backtest.worstIncomeChange, 1)}</span>
+    </div>
+  `;
+
+  // Destroy existing charts if they exist
+  if (window.backtestDrawdownChart) {
+    window.backtestDrawdownChart.destroy();
+  }
+  if (window.backtestIncomeChart) {
+    window.backtestIncomeChart.destroy();
+  }
+
+  window.backtestDrawdownChart = new Chart(document.getElementById('backtest-drawdown-chart').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: backtest.monthly.map(m => m.month),
+      datasets: [{
+        label: 'Drawdown',
+        data: backtest.monthly.map(m => m.drawdown * 100),
+        borderColor: '#ef4444',
+        backgroundColor: 'rgba(239, 68, 68, 0.2)',
+        pointRadius: 0,
+        fill: 'origin'
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => `Drawdown: ${context.parsed.y.toFixed(1)}%`
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { color: textColor, maxTicksLimit: 12 }, grid: { color: gridColor } },
+        y: { max: 0, ticks: { color: textColor, callback: (value) => `${value}%` }, grid: { color: gridColor } }
+      }
+    }
+  });
+
+  window.backtestIncomeChart = new Chart(document.getElementById('backtest-income-chart').getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: yearlyData.map(y => y.month),
+      datasets: [{
+        label: 'Dividends Received',
+        data: yearlyData.map(y => parseFloat(y.dividendsReceived)),
+        backgroundColor: portfolio.settings.chartColors[0]
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => `Dividends: ${formatCurrency(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { color: textColor }, grid: { color: gridColor } },
+        y: { beginAtZero: true, ticks: { color: textColor, callback: (value) => formatCurrency(value) }, grid: { color: gridColor } }
+      }
+    }
+  });
+}
+
+/**
+ * Render per-holding results of portfolio mode
+ * @param {Object|null} results - Scenario results, or null to hide the table
+ */
+function renderHoldingResults(results) {
+  const section = document.getElementById('holding-results');
+  if (!section) return;
+
+  if (!results) {
+    section.style.display = 'none';
+    return;
+  }
+
+  const select = document.getElementById('holding-results-scenario');
+  const selected = select.value || 'realistic';
+  select.innerHTML = Object.keys(results)
+    .map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${key.charAt(0).toUpperCase()}${key.slice(1)}</option>`)
+    .join('');
+
+  const render = () => {
+    const real = showRealTerms();
+    const data = real ? inRealTerms(results[select.value]) : results[select.value];
+    const holdings = real ? data.holdings.map(inRealTerms) : data.holdings;
+    const totalMonthly = parseFloat(data.finalMonthlyDividend);
+    const hasFees = parseFloat(data.totalFees) > 0;
+
+    document.getElementById('holding-results-table').innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Ticker</th>
+            <th>Target</th>
+            <th>Final Weight</th>
+            <th>Invested</th>
+            ${hasFees ? '<th>Fees</th>' : ''}
+            <th>Final Value</th>
+            <th>Shares</th>
+            <th>Dividends Received</th>
+            <th>Monthly Dividend</th>
+            <th>Share of Income</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${holdings.map(h => `
+            <tr>
+              <td><span class="ticker-symbol">${h.ticker}</span></td>
+              <td>${formatPercent(h.targetWeight)}</td>
+              <td>${formatPercent(h.finalWeight)}</td>
+              <td>${formatCurrency(h.invested)}</td>
+              ${hasFees ? `<td>${formatCurrency(h.fees)}</td>` : ''}
+              <td>${formatCurrency(h.finalValue)}</td>
+              <td>${h.shares.toFixed(4)}</td>
+              <td>${formatCurrency(h.dividendsReceived)}</td>
+              <td>${h.monthlyDividend !== undefined ? `${formatCurrency(h.monthlyDividend)}/mo` : '--'}</td>
+              <td>${h.monthlyDividend !== undefined ? formatPercent(totalMonthly > 0 ? h.monthlyDividend / totalMonthly : 0) : '--'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td>Total</td>
+            <td></td>
+            <td></td>
+            <td>${formatCurrency(parseFloat(data.totalInvested))}</td>
+            ${hasFees ? `<td>${formatCurrency(parseFloat(data.totalFees))}</td>` : ''}
+            <td>${formatCurrency(parseFloat(data.finalValue))}</td>
+            <td></td>
+            <td>${formatCurrency(parseFloat(data.totalDividendsReceived))}</td>
+            <td>${formatCurrency(totalMonthly)}/mo</td>
+            <td></td>
+          </tr>
+        </tfoot>
+      </table>
+    `;
+  };
+
+  select.onchange = render;
+  section.style.display = 'block';
+  render();
+}
+
 /**
  * Initialize DCA calculator
+ * @param {Object[]} stocksData - Portfolio positions (default tax rate and portfolio mode)
  */
-export function initDCACalculator() {
-  renderDCACalculator();
+export function initDCACalculator(stocksData = []) {
+  calculatorStocks = stocksData.filter(stock => stock.price > 0);
+  renderDCACalculator({ taxRate: calculateEffectiveTaxRate(stocksData) });
+
+  // Payment months from the sheet for holdings without dividend history
+  loadPaymentSchedule()
+    .then(({ paymentData }) => {
+      paymentSchedule = paymentData;
+      applyScheduleTiming();
+    })
+    .catch(error => console.warn('⚠️ Payment schedule unavailable for payment timing:', error.message));
+
+  // Backtest dataset from config.js (optional)
+  loadPriceHistory()
+    .then(series => {
+      if (series) setPriceSeries(series, portfolio.backtest.source.path);
+    })
+    .catch(error => setBacktestStatus(`Price history unavailable: ${error.message}`, true));
 }
@@ -0,0 +1,495 @@
+// 📊 DCA Simulation - Month-by-month DCA and dividend reinvestment engine
+// Shared by the calculator, goal planner and other what-if tools (no DOM access)
+
+import { allocateContribution } from './holdings.js';
+import { getCrashFactors } from './crashModel.js';
+
+// Payments per year the simulation supports (each divides the year into whole months)
+export const PAYMENT_FREQUENCIES = {
+  12: 'Monthly',
+  4: 'Quarterly',
+  2: 'Semi-annual',
+  1: 'Annual'
+};
+
+// Trading costs of a fee-free broker that buys fractional shares
+export const NO_TRADING_COSTS = {
+  wholeShares: false, // Only whole shares; leftover cash waits for the next month
+  commissionFlat: 0, // Fixed fee per order
+  commissionPercent: 0, // Fee as a share of the order value
+  fxSpread: 0, // Lost converting into a foreign trading currency (share of the order value)
+  drip: false // Dividends reinvested straight into the paying holding, fractional and fee-free
+};
+
+/**
+ * Whether an asset goes ex-dividend in a month of the year (1 = January)
+ */
+function isExMonth(asset, month) {
+  const interval = 12 / asset.frequency;
+  return (((month - asset.exMonth) % interval) + interval) % interval === 0;
+}
+
+/**
+ * Normalize simulation assets
+ * Without `assets` the single synthetic asset from currentPrice/currentDividendYield is used.
+ * Payment timing falls back to paymentFrequency / exMonth / payLagMonths from the params
+ * (monthly, paid in the ex-month, when not given); trading costs to params.costs / foreign.
+ * @param {Object} params - calculateDCAScenario parameters
+ * @returns {Object[]} Assets with defaults filled in and weights summing to 1
+ */
+export function normalizeAssets(params) {
+  const {
+    assets,
+    currentPrice = 100,
+    currentDividendYield = 0.03,
+    cagr = 0.08,
+    dividendGrowth = 0.05,
+    paymentFrequency = 12,
+    exMonth = 1,
+    payLagMonths = 0,
+    costs = NO_TRADING_COSTS,
+    foreign = false
+  } = params;
+
+  const list = assets?.length > 0
+    ? assets
+    : [{ ticker: null, price: currentPrice, dividendYield: currentDividendYield }];
+
+  const totalWeight = list.reduce((sum, asset) => sum + (asset.targetWeight ?? 1), 0);
+
+  return list.map(asset => ({
+    ticker: asset.ticker,
+    name: asset.name || asset.ticker,
+    price: asset.price,
+    dividendYield: asset.dividendYield || 0,
+    cagr: asset.cagr ?? cagr,
+    dividendGrowth: asset.dividendGrowth ?? dividendGrowth,
+    shares: asset.shares || 0,
+    weight: totalWeight > 0 ? (asset.targetWeight ?? 1) / totalWeight : 1 / list.length,
+    frequency: PAYMENT_FREQUENCIES[asset.frequency] ? Number(asset.frequency) : Number(paymentFrequency),
+    exMonth: asset.exMonth ?? exMonth,
+    payLagMonths: asset.payLagMonths ?? payLagMonths,
+    costs: { ...NO_TRADING_COSTS, ...(asset.costs || costs) },
+    foreign: asset.foreign ?? foreign
+  }));
+}
+
+/**
+ * The same parameters at a fee-free, fractional broker without DRIP
+ * Used to report how much the trading costs change the results.
+ */
+export function withoutTradingCosts(params) {
+  return {
+    ...params,
+    costs: NO_TRADING_COSTS,
+    assets: params.assets?.map(asset => ({ ...asset, costs: NO_TRADING_COSTS }))
+  };
+}
+
+/**
+ * Whether any simulated asset has trading costs, whole-share buying or DRIP
+ */
+export function hasTradingCosts(params) {
+  return normalizeAssets(params).some(({ costs }) =>
+    costs.wholeShares || costs.drip || costs.commissionFlat > 0 || costs.commissionPercent > 0 || costs.fxSpread > 0);
+}
+
+/**
+ * Calculate DCA portfolio growth with dividend reinvestment
+ * Simulates one synthetic asset (currentPrice, currentDividendYield) or a list of
+ * `assets`, each with its own price, yield, growth and target weight. Contributions
+ * and reinvested dividends are split between assets by `allocation`.
+ * Market crashes move prices (and year-end values) along their recovery shape; dividends
+ * follow the no-crash path unless a crash has a `dividendCut` (see crashModel.js).
+ * Every money figure also has a `real` counterpart in today's money: flows are deflated
+ * by `inflationRate` in the month they happen, year-end values at the year end.
+ * Dividends are declared in each asset's ex-dividend months (month 1 = January) on the
+ * shares held after that month's contribution, and paid `payLagMonths` later - so shares
+ * bought after the ex-date, including reinvested dividends, miss that payment. Payments
+ * still outstanding when the simulation ends are not counted.
+ * Each asset's `costs` (see NO_TRADING_COSTS) apply to every purchase. Contribution and
+ * reinvested dividend cash that can't buy a whole share or cover a commission carries to
+ * the next month and counts towards the portfolio value as `uninvestedCash`; DRIP holdings
+ * skip the cash buffer and threshold. Dividends waiting in the cash buffer count towards
+ * the value too, the same way runBacktest counts them.
+ * @param {Object} params - Simulation parameters
+ * @returns {Object} Simulation results (aggregate, plus `holdings` per asset)
+ */
+export function calculateDCAScenario(params) {
+  const {
+    initialInvestment = 0,
+    monthlyDCA = 0,
+    years = 10,
+    reinvestThreshold = 50, // Reinvest when dividends accumulate to 50
+    dividendTaxRate = 0, // Withholding + income tax taken from each dividend
+    allocation = 'target', // 'target' weights or most 'underweight' holding first
+    marketCrashes = [], // Array of {year, month, drop, recoveryMonths, shape, dividendCut}
+    inflationRate = 0, // Yearly inflation used for the real (today's money) figures
+    contributionGrowth = 0, // Yearly raise of the monthly DCA (e.g. inflation or salary growth)
+    monthlyExpenses = 0 // Target monthly expenses in today's money (0 = no coverage figures)
+  } = params;
+
+  // Each asset: { ticker, name, price, dividendYield, cagr, dividendGrowth, targetWeight, shares }
+  const assets = normalizeAssets(params);
+
+  const results = {
+    yearlyData: [],
+    totalInvested: 0,
+    totalShares: 0,
+    finalValue: 0,
+    totalDividendsReceived: 0,
+    totalDividendsReinvested: 0,
+    totalTaxPaid: 0,
+    finalPrice: 0,
+    finalAnnualDividend: 0,
+    holdings: []
+  };
+
+  // Existing holdings count as invested at their current market value
+  const shares = assets.map(asset => asset.shares);
+  const invested = assets.map(asset => asset.shares * asset.price);
+  const dividendsReceived = assets.map(() => 0);
+  let cashBuffer = 0; // Accumulated dividends waiting for reinvestment
+  let totalInvested = invested.reduce((sum, value) => sum + value, 0);
+  let totalDividendsReceived = 0;
+  let totalDividendsReinvested = 0;
+  let totalTaxPaid = 0;
+  const startingValue = totalInvested;
+
+  // The same flows in today's money
+  const investedReal = invested.slice();
+  const dividendsReceivedReal = assets.map(() => 0);
+  let totalInvestedReal = totalInvested;
+  let totalDividendsReceivedReal = 0;
+  let totalDividendsReinvestedReal = 0;
+  let totalTaxPaidReal = 0;
+  let expensesCoveredYear = null;
+
+  // Declared dividends waiting for their pay month: [{ monthIndex, asset, amount }]
+  let pendingPayments = [];
+  let reinvestmentCount = 0;
+  let cashBufferMonths = 0; // Sum of month-end cash buffers for the average
+  let cashBufferMonthsReal = 0;
+
+  // Trading costs, and contribution cash not yet spent (whole shares / minimum commissions)
+  const fees = assets.map(() => 0);
+  const feesReal = assets.map(() => 0);
+  // Cash each asset couldn't spend yet, kept for its next purchase
+  const contributionCarry = assets.map(() => 0);
+  const dividendCarry = assets.map(() => 0);
+  let totalCommissions = 0;
+  let totalFxCosts = 0;
+  let totalFeesReal = 0;
+  let yearFees = 0;
+  let yearFeesReal = 0;
+  let deflator = 1;
+
+  // Buy one asset with `amount` of cash (order value plus fees); returns the cash left over
+  const purchase = (i, amount, price) => {
+    const { wholeShares, commissionFlat, commissionPercent, fxSpread } = assets[i].costs;
+    const fxRate = assets[i].foreign ? fxSpread : 0;
+
+    let orderValue = Math.max(0, (amount - commissionFlat) / (1 + commissionPercent + fxRate));
+    if (wholeShares) {
+      // Small tolerance so exact multiples of the price aren't lost to rounding
+      orderValue = Math.floor(orderValue / price + 1e-9) * price;
+    }
+    if (orderValue <= 0) return amount;
+
+    const commission = commissionFlat + orderValue * commissionPercent;
+    const fxCost = orderValue * fxRate;
+
+    shares[i] += orderValue / price;
+    fees[i] += commission + fxCost;
+    feesReal[i] += (commission + fxCost) / deflator;
+    totalCommissions += commission;
+    totalFxCosts += fxCost;
+    totalFeesReal += (commission + fxCost) / deflator;
+    yearFees += commission + fxCost;
+    yearFeesReal += (commission + fxCost) / deflator;
+
+    return Math.max(0, amount - orderValue - commission - fxCost);
+  };
+
+  // Split cash between assets and buy, adding each asset's carried cash; returns spent per asset
+  const buy = (amount, prices, carry) => {
+    return allocateContribution(amount, assets, shares, prices, allocation).map((part, i) => {
+      const available = part + carry[i];
+      if (available <= 0) return 0;
+      carry[i] = purchase(i, available, prices[i]);
+      return available - carry[i];
+    });
+  };
+
+  const sumOf = values => values.reduce((total, value) => total + value, 0);
+
+  // Contributions go to the assets; what can't be spent waits for the next month
+  const contribute = (amount, prices) => {
+    buy(amount, prices, contributionCarry).forEach((spent, i) => {
+      invested[i] += spent;
+      investedReal[i] += spent / deflator;
+    });
+  };
+
+  // Initial investment
+  if (initialInvestment > 0) {
+    contribute(initialInvestment, assets.map(asset => asset.price));
+    totalInvested += initialInvestment;
+    totalInvestedReal += initialInvestment;
+  }
+
+  // Simulate month by month
+  for (let year = 1; year <= years; year++) {
+    let yearInvested = 0;
+    let yearDividends = 0;
+    let yearTax = 0;
+    let yearReinvested = 0;
+    let yearInvestedReal = 0;
+    let yearDividendsReal = 0;
+    let yearTaxReal = 0;
+    let yearReinvestedReal = 0;
+    yearFees = 0;
+    yearFeesReal = 0;
+
+    // Contributions are raised once a year
+    const monthlyContribution = monthlyDCA * Math.pow(1 + contributionGrowth, year - 1);
+
+    for (let month = 1; month <= 12; month++) {
+      const monthIndex = (year - 1) * 12 + month;
+      deflator = Math.pow(1 + inflationRate, (monthIndex - 1) / 12);
+
+      // Calculate current price with CAGR (price increases over time)
+      const trendPrices = assets.map(asset => asset.price * Math.pow(1 + asset.cagr, (monthIndex - 1) / 12));
+
+      // Apply market crashes if applicable
+      const crash = getCrashFactors(marketCrashes, monthIndex);
+      const prices = trendPrices.map(price => price * crash.price);
+
+      // Monthly DCA investment
+      if (monthlyContribution > 0) {
+        contribute(monthlyContribution, prices);
+        totalInvested += monthlyContribution;
+        yearInvested += monthlyContribution;
+        totalInvestedReal += monthlyContribution / deflator;
+        yearInvestedReal += monthlyContribution / deflator;
+      }
+
+      // Declare dividends on the shares held at the ex-date
+      // Annual dividend per share grows each year and is split over the payments
+      assets.forEach((asset, i) => {
+        if (!isExMonth(asset, month)) return;
+
+        const annualDividendPerShare = trendPrices[i] * crash.dividend * asset.dividendYield * Math.pow(1 + asset.dividendGrowth, year - 1);
+        pendingPayments.push({
+          monthIndex: monthIndex + asset.payLagMonths,
+          asset: i,
+          amount: (shares[i] * annualDividendPerShare) / asset.frequency
+        });
+      });
+
+      // Collect the payments due this month
+      pendingPayments = pendingPayments.filter(payment => {
+        if (payment.monthIndex !== monthIndex) return true;
+
+        const { asset: i, amount } = payment;
+        const tax = amount * dividendTaxRate;
+
+        // Only the net dividend is reinvested: straight away with a DRIP, else via the cash buffer
+        if (assets[i].costs.drip) {
+          shares[i] += (amount - tax) / prices[i];
+          totalDividendsReinvested += amount - tax;
+          totalDividendsReinvestedReal += (amount - tax) / deflator;
+          yearReinvested += amount - tax;
+          yearReinvestedReal += (amount - tax) / deflator;
+        } else {
+          cashBuffer += amount - tax;
+        }
+        dividendsReceived[i] += amount;
+        totalDividendsReceived += amount;
+        totalTaxPaid += tax;
+        yearDividends += amount;
+        yearTax += tax;
+        dividendsReceivedReal[i] += amount / deflator;
+        totalDividendsReceivedReal += amount / deflator;
+        totalTaxPaidReal += tax / deflator;
+        yearDividendsReal += amount / deflator;
+        yearTaxReal += tax / deflator;
+        return false;
+      });
+
+      // Reinvest dividends if threshold reached
+      if (cashBuffer >= reinvestThreshold) {
+        // Whole shares or fees can leave part of it for the next reinvestment
+        const reinvested = sumOf(buy(cashBuffer, prices, dividendCarry));
+        cashBuffer = 0;
+
+        if (reinvested > 0) {
+          totalDividendsReinvested += reinvested;
+          totalDividendsReinvestedReal += reinvested / deflator;
+          yearReinvested += reinvested;
+          yearReinvestedReal += reinvested / deflator;
+          reinvestmentCount++;
+        }
+      }
+
+      const waitingDividends = cashBuffer + sumOf(dividendCarry);
+      cashBufferMonths += waitingDividends;
+      cashBufferMonthsReal += waitingDividends / deflator;
+    }
+
+    // End of year snapshot on the crashed price path, taken before next January (so a
+    // crash starting then shows from next year on)
+    const yearEndCrash = getCrashFactors(marketCrashes, year * 12 + 1, false);
+    const yearEndTrend = assets.map(asset => asset.price * Math.pow(1 + asset.cagr, year));
+    const yearEndPrices = yearEndTrend.map(price => price * yearEndCrash.price);
+    // Cash is part of the value: dividends waiting for the threshold, and contribution and
+    // dividend cash left unspent by whole shares or fees (as in backtest.js)
+    const uninvestedCash = sumOf(contributionCarry) + sumOf(dividendCarry);
+    const portfolioValue = assets.reduce((sum, _, i) => sum + shares[i] * yearEndPrices[i], 0) + uninvestedCash + cashBuffer;
+    const annualDividendIncome = assets.reduce((sum, asset, i) =>
+      sum + shares[i] * yearEndTrend[i] * yearEndCrash.dividend * asset.dividendYield * Math.pow(1 + asset.dividendGrowth, year), 0);
+    const yearEndDeflator = Math.pow(1 + inflationRate, year);
+    const netAnnualDividendIncome = annualDividendIncome * (1 - dividendTaxRate);
+
+    // Share of the (inflation-adjusted) expenses the net dividends pay for
+    const expensesCovered = monthlyExpenses > 0
+      ? (netAnnualDividendIncome / yearEndDeflator) / (monthlyExpenses * 12)
+      : null;
+    if (expensesCoveredYear === null && expensesCovered >= 1) {
+      expensesCoveredYear = year;
+    }
+
+    results.yearlyData.push({
+      year,
+      shares: shares.reduce((sum, n) => sum + n, 0).toFixed(4),
+      // A price per share only means something for a single asset
+      price: assets.length === 1 ? yearEndPrices[0].toFixed(2) : null,
+      portfolioValue: portfolioValue.toFixed(2),
+      invested: totalInvested.toFixed(2),
+      contributed: yearInvested.toFixed(2),
+      dividendsReceived: yearDividends.toFixed(2),
+      taxPaid: yearTax.toFixed(2),
+      dividendsReinvested: yearReinvested.toFixed(2),
+      annualDividendIncome: annualDividendIncome.toFixed(2),
+      netAnnualDividendIncome: netAnnualDividendIncome.toFixed(2),
+      dividendYield: ((annualDividendIncome / portfolioValue) * 100).toFixed(2),
+      cashBuffer: cashBuffer.toFixed(2),
+      monthlyContribution: monthlyContribution.toFixed(2),
+      fees: yearFees.toFixed(2),
+      uninvestedCash: uninvestedCash.toFixed(2),
+      expensesCovered,
+      real: {
+        price: assets.length === 1 ? (yearEndPrices[0] / yearEndDeflator).toFixed(2) : null,
+        portfolioValue: (portfolioValue / yearEndDeflator).toFixed(2),
+        invested: totalInvestedReal.toFixed(2),
+        contributed: yearInvestedReal.toFixed(2),
+        dividendsReceived: yearDividendsReal.toFixed(2),
+        taxPaid: yearTaxReal.toFixed(2),
+        dividendsReinvested: yearReinvestedReal.toFixed(2),
+        annualDividendIncome: (annualDividendIncome / yearEndDeflator).toFixed(2),
+        netAnnualDividendIncome: (netAnnualDividendIncome / yearEndDeflator).toFixed(2),
+        cashBuffer: (cashBuffer / yearEndDeflator).toFixed(2),
+        monthlyContribution: (monthlyContribution / Math.pow(1 + inflationRate, year - 1)).toFixed(2),
+        fees: yearFeesReal.toFixed(2),
+        uninvestedCash: (uninvestedCash / yearEndDeflator).toFixed(2)
+      }
+    });
+  }
+
+  // Final results
+  const finalCrash = getCrashFactors(marketCrashes, years * 12 + 1, false);
+  const finalTrend = assets.map(asset => asset.price * Math.pow(1 + asset.cagr, years));
+  const finalPrices = finalTrend.map(price => price * finalCrash.price);
+  const finalAnnualDividends = assets.map((asset, i) =>
+    shares[i] * finalTrend[i] * finalCrash.dividend * asset.dividendYield * Math.pow(1 + asset.dividendGrowth, years));
+  const holdingsValue = assets.reduce((sum, _, i) => sum + shares[i] * finalPrices[i], 0);
+  const uninvestedCash = sumOf(contributionCarry) + sumOf(dividendCarry);
+  const finalValue = holdingsValue + uninvestedCash + cashBuffer;
+  const finalAnnualDividend = finalAnnualDividends.reduce((sum, value) => sum + value, 0);
+  const finalDeflator = Math.pow(1 + inflationRate, years);
+
+  results.holdings = assets.map((asset, i) => ({
+    ticker: asset.ticker,
+    name: asset.name,
+    shares: shares[i],
+    finalPrice: finalPrices[i],
+    finalValue: shares[i] * finalPrices[i],
+    invested: invested[i],
+    targetWeight: asset.weight,
+    finalWeight: holdingsValue > 0 ? (shares[i] * finalPrices[i]) / holdingsValue : 0,
+    dividendsReceived: dividendsReceived[i],
+    fees: fees[i],
+    annualDividend: finalAnnualDividends[i],
+    monthlyDividend: finalAnnualDividends[i] / 12,
+    real: {
+      finalPrice: finalPrices[i] / finalDeflator,
+      finalValue: (shares[i] * finalPrices[i]) / finalDeflator,
+      invested: investedReal[i],
+      dividendsReceived: dividendsReceivedReal[i],
+      fees: feesReal[i],
+      annualDividend: finalAnnualDividends[i] / finalDeflator,
+      monthlyDividend: finalAnnualDividends[i] / 12 / finalDeflator
+    }
+  }));
+
+  results.startingValue = startingValue.toFixed(2);
+  results.totalInvested = totalInvested.toFixed(2);
+  results.totalShares = shares.reduce((sum, n) => sum + n, 0).toFixed(4);
+  results.finalPrice = assets.length === 1 ? finalPrices[0].toFixed(2) : null;
+  results.finalValue = finalValue.toFixed(2);
+  results.totalDividendsReceived = totalDividendsReceived.toFixed(2);
+  results.totalDividendsReinvested = totalDividendsReinvested.toFixed(2);
+  results.totalTaxPaid = totalTaxPaid.toFixed(2);
+  results.finalAnnualDividend = finalAnnualDividend.toFixed(2);
+  results.finalMonthlyDividend = (finalAnnualDividend / 12).toFixed(2);
+  results.finalAnnualDividendNet = (finalAnnualDividend * (1 - dividendTaxRate)).toFixed(2);
+  results.finalMonthlyDividendNet = (finalAnnualDividend * (1 - dividendTaxRate) / 12).toFixed(2);
+
+  // Trading costs
+  results.totalCommissions = totalCommissions.toFixed(2);
+  results.totalFxCosts = totalFxCosts.toFixed(2);
+  results.totalFees = (totalCommissions + totalFxCosts).toFixed(2);
+  results.uninvestedCash = uninvestedCash.toFixed(2);
+  results.cashBuffer = cashBuffer.toFixed(2);
+
+  // Reinvestment timing: how often the threshold was reached and how much cash sat idle
+  results.reinvestmentCount = reinvestmentCount;
+  const simulatedMonths = Math.max(1, years * 12);
+  results.averageCashBuffer = (cashBufferMonths / simulatedMonths).toFixed(2);
+
+  // Expense coverage: first year the net dividends pay for all expenses, and the final share
+  results.expensesCoveredYear = expensesCoveredYear;
+  results.finalExpensesCovered = monthlyExpenses > 0
+    ? results.yearlyData[results.yearlyData.length - 1]?.expensesCovered ?? 0
+    : null;
+
+  const finalAnnualReal = finalAnnualDividend / finalDeflator;
+  results.real = {
+    totalInvested: totalInvestedReal.toFixed(2),
+    finalPrice: assets.length === 1 ? (finalPrices[0] / finalDeflator).toFixed(2) : null,
+    finalValue: (finalValue / finalDeflator).toFixed(2),
+    totalDividendsReceived: totalDividendsReceivedReal.toFixed(2),
+    totalDividendsReinvested: totalDividendsReinvestedReal.toFixed(2),
+    totalTaxPaid: totalTaxPaidReal.toFixed(2),
+    finalAnnualDividend: finalAnnualReal.toFixed(2),
+    finalMonthlyDividend: (finalAnnualReal / 12).toFixed(2),
+    finalAnnualDividendNet: (finalAnnualReal * (1 - dividendTaxRate)).toFixed(2),
+    finalMonthlyDividendNet: (finalAnnualReal * (1 - dividendTaxRate) / 12).toFixed(2),
+    averageCashBuffer: (cashBufferMonthsReal / simulatedMonths).toFixed(2),
+    totalFees: totalFeesReal.toFixed(2),
+    uninvestedCash: (uninvestedCash / finalDeflator).toFixed(2),
+    cashBuffer: (cashBuffer / finalDeflator).toFixed(2)
+  };
+
+  return results;
+}
+
+/**
+ * A result, yearly row or holding in today's money
+ * Objects without real figures (e.g. backtests, which replay actual prices) are returned as is.
+ * @param {Object} data - Anything with an optional `real` sub-object
+ * @returns {Object} data with its real figures in place of the nominal ones
+ */
+export function inRealTerms(data) {
+  return data.real ? { ...data, ...data.real } : data;
+}
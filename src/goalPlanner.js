@@ -0,0 +1,213 @@
+// 🎯 Goal Planner - Solves the DCA inputs backwards from a target dividend income
+// Searches calculateDCAScenario for the monthly DCA, years or yield that reach the goal
+// Pure functions so it can run inside a Web Worker (see goalPlannerWorker.js)
+
+import { calculateDCAScenario, normalizeAssets, inRealTerms } from './dcaSimulation.js';
+
+// Inputs the planner can solve for
+export const GOAL_VARIABLES = {
+  monthlyDCA: 'Monthly DCA',
+  years: 'Years',
+  yield: 'Dividend Yield'
+};
+
+// Search limits - beyond these a goal counts as out of reach
+const MAX_MONTHLY_DCA = 1000000;
+const MAX_YIELD = 0.25;
+export const MAX_YEARS = 60;
+
+// Default sensitivity grid: target income factors by CAGR shifts
+const INCOME_FACTORS = [0.5, 0.75, 1, 1.25, 1.5];
+const CAGR_SHIFTS = [-0.02, -0.01, 0, 0.01, 0.02];
+
+// Search precision - half a cent of monthly DCA, a thousandth of a point of yield
+const DCA_TOLERANCE = 0.005;
+const YIELD_TOLERANCE = 0.00001;
+
+/**
+ * Monthly dividend income at the end of a simulation, on the goal's basis
+ */
+function finalMonthlyIncome(results, goal) {
+  const view = goal.real ? inRealTerms(results) : results;
+  return parseFloat(goal.net ? view.finalMonthlyDividendNet : view.finalMonthlyDividend);
+}
+
+/**
+ * Monthly income run-rate at the end of a simulated year, on the goal's basis
+ */
+function yearMonthlyIncome(row, goal) {
+  const view = goal.real ? inRealTerms(row) : row;
+  return parseFloat(goal.net ? view.netAnnualDividendIncome : view.annualDividendIncome) / 12;
+}
+
+/**
+ * Smallest value in [low, high] that reaches the goal, assuming income rises with it
+ * Stops once the interval is within `tolerance` (or after `iterations` halvings).
+ * @param {Function} reaches - value => boolean
+ * @returns {number} Upper end of the final interval (always reaches the goal)
+ */
+function bisect(reaches, low, high, tolerance = 0, iterations = 40) {
+  for (let i = 0; i < iterations && high - low > tolerance; i++) {
+    const middle = (low + high) / 2;
+    if (reaches(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return high;
+}
+
+/**
+ * Weighted dividend yield of the simulated assets at the start
+ */
+function startingYield(params) {
+  return normalizeAssets(params).reduce((sum, asset) => sum + asset.weight * asset.dividendYield, 0);
+}
+
+/**
+ * Scale every asset's dividend yield (the single asset's or each holding's)
+ */
+function scaleYield(params, scale) {
+  return params.assets?.length > 0
+    ? { ...params, assets: params.assets.map(asset => ({ ...asset, dividendYield: (asset.dividendYield || 0) * scale })) }
+    : { ...params, currentDividendYield: (params.currentDividendYield ?? 0.03) * scale };
+}
+
+/**
+ * Shift the price CAGR of the single asset or every holding
+ */
+function shiftCagr(params, shift) {
+  const cagr = (params.cagr ?? 0.08) + shift;
+  return {
+    ...params,
+    cagr,
+    assets: params.assets?.map(asset => ({ ...asset, cagr: (asset.cagr ?? params.cagr ?? 0.08) + shift }))
+  };
+}
+
+/**
+ * Monthly contribution (in the first year) that reaches the target income after params.years
+ * @returns {Object|null} { value, results }, or null if out of reach
+ */
+export function solveMonthlyDCA(params, goal) {
+  const reaches = monthlyDCA => finalMonthlyIncome(calculateDCAScenario({ ...params, monthlyDCA }), goal) >= goal.targetMonthlyIncome;
+
+  if (reaches(0)) {
+    return { value: 0, results: calculateDCAScenario({ ...params, monthlyDCA: 0 }) };
+  }
+
+  // Double the upper bound until the goal is inside it
+  let low = 0;
+  let high = 100;
+  while (!reaches(high)) {
+    if (high >= MAX_MONTHLY_DCA) return null;
+    low = high;
+    high *= 2;
+  }
+
+  // Round up to whole cents so the rounded answer still reaches the goal
+  const value = Math.ceil(bisect(reaches, low, high, DCA_TOLERANCE) * 100) / 100;
+  return { value, results: calculateDCAScenario({ ...params, monthlyDCA: value }) };
+}
+
+/**
+ * First year whose year-end income run-rate reaches the target
+ * @returns {Object|null} { value, results } (results cover exactly that many years), or null
+ */
+export function solveYears(params, goal, maxYears = MAX_YEARS) {
+  const longRun = calculateDCAScenario({ ...params, years: maxYears });
+  const reached = longRun.yearlyData.find(row => yearMonthlyIncome(row, goal) >= goal.targetMonthlyIncome);
+
+  if (!reached) return null;
+  return { value: reached.year, results: calculateDCAScenario({ ...params, years: reached.year }) };
+}
+
+/**
+ * Starting dividend yield that reaches the target income after params.years
+ * In portfolio mode every holding's yield is scaled by the same factor; the value is
+ * the resulting weighted portfolio yield.
+ * @returns {Object|null} { value, scale, results }, or null if out of reach
+ */
+export function solveYield(params, goal) {
+  const baseYield = startingYield(params);
+  if (baseYield <= 0) return null;
+
+  const maxScale = MAX_YIELD / baseYield;
+  const reaches = scale => finalMonthlyIncome(calculateDCAScenario(scaleYield(params, scale)), goal) >= goal.targetMonthlyIncome;
+
+  if (!reaches(maxScale)) return null;
+
+  const scale = bisect(reaches, 0, maxScale, YIELD_TOLERANCE / baseYield);
+  return { value: baseYield * scale, scale, results: calculateDCAScenario(scaleYield(params, scale)) };
+}
+
+/**
+ * Solve a goal for one scenario
+ * @param {Object} params - calculateDCAScenario parameters
+ * @param {Object} goal - { variable: 'monthlyDCA' | 'years' | 'yield', targetMonthlyIncome,
+ *   net (after dividend tax), real (in today's money) }
+ * @returns {Object|null} { value, results }, or null if out of reach
+ */
+export function solveGoal(params, goal) {
+  switch (goal.variable) {
+    case 'monthlyDCA':
+      return solveMonthlyDCA(params, goal);
+    case 'years':
+      return solveYears(params, goal);
+    case 'yield':
+      return solveYield(params, goal);
+    default:
+      throw new Error(`Unknown goal variable: ${goal.variable}`);
+  }
+}
+
+/**
+ * Solved value for a grid of target incomes and CAGR shifts
+ * @param {Object} params - Scenario parameters the grid is centred on
+ * @param {Object} goal - See solveGoal
+ * @param {Object} options - { incomeFactors, cagrShifts, onCell(solvedCells) } (called after each cell)
+ * @returns {Object} { incomes, cagrShifts, values[cagrIndex][incomeIndex] } (null cells are out of reach)
+ */
+export function buildSensitivityTable(params, goal, options = {}) {
+  const {
+    incomeFactors = INCOME_FACTORS,
+    cagrShifts = CAGR_SHIFTS,
+    onCell = () => {}
+  } = options;
+
+  const incomes = incomeFactors.map(factor => goal.targetMonthlyIncome * factor);
+  let solved = 0;
+
+  const values = cagrShifts.map(shift => {
+    const shifted = shiftCagr(params, shift);
+    return incomes.map(targetMonthlyIncome => {
+      const value = solveGoal(shifted, { ...goal, targetMonthlyIncome })?.value ?? null;
+      onCell(++solved);
+      return value;
+    });
+  });
+
+  return { incomes, cagrShifts, values };
+}
+
+/**
+ * Solve a goal for every scenario, plus the sensitivity table around one of them
+ * @param {Object} request - { scenarios: [{ key, name, params }], sensitivityParams, goal }
+ * @param {Function} onProgress - Called with the finished share (0-1) after each solve
+ * @returns {Object} { solved: [{ key, name, solution }], table } (see solveGoal, buildSensitivityTable)
+ */
+export function planGoal({ scenarios, sensitivityParams, goal }, onProgress = () => {}) {
+  // Each scenario counts like one table cell
+  const steps = scenarios.length + INCOME_FACTORS.length * CAGR_SHIFTS.length;
+  const solved = scenarios.map(({ key, name, params }, i) => {
+    const solution = solveGoal(params, goal);
+    onProgress((i + 1) / steps);
+    return { key, name, solution };
+  });
+
+  const table = buildSensitivityTable(sensitivityParams, goal, {
+    onCell: cell => onProgress((scenarios.length + cell) / steps)
+  });
+  return { solved, table };
+}
@@ -0,0 +1,13 @@
+// 🎯 Goal Planner Worker - Solves goals off the main thread
+// Messages in: planGoal request; out: { type: 'progress' | 'result' | 'error' }
+
+import { planGoal } from './goalPlanner.js';
+
+self.onmessage = (e) => {
+  try {
+    const result = planGoal(e.data, progress => self.postMessage({ type: 'progress', progress }));
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,167 @@
+// 💼 Holdings - Share counts, cost basis and position metrics
+// Combines quote data with the positions configured in config.js
+
+/**
+ * Normalize a configured holding into shares, average cost and lots
+ * @param {Object} holding - { shares, avgCost } and/or { lots: [{ date, shares, price }] }
+ * @returns {Object} Normalized holding
+ */
+export function normalizeHolding(holding = {}) {
+  const lots = (holding.lots || [])
+    .map(lot => ({
+      date: lot.date || null,
+      shares: parseFloat(lot.shares) || 0,
+      price: parseFloat(lot.price) || 0
+    }))
+    .filter(lot => lot.shares > 0);
+
+  if (lots.length > 0) {
+    const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+    const costBasis = lots.reduce((sum, lot) => sum + lot.shares * lot.price, 0);
+
+    return {
+      shares,
+      avgCost: shares > 0 ? costBasis / shares : 0,
+      costBasis,
+      lots
+    };
+  }
+
+  const shares = parseFloat(holding.shares) || 0;
+  const avgCost = parseFloat(holding.avgCost) || 0;
+
+  return {
+    shares,
+    avgCost,
+    costBasis: shares * avgCost,
+    lots: []
+  };
+}
+
+/**
+ * Enrich stock quotes with position data
+ * @param {Object[]} stocks - Array of stock data (in base currency, see convertStocksToBase)
+ * @param {Object} holdings - Holdings keyed by ticker (portfolio.holdings), costs in trading currency
+ * @returns {Object[]} Stocks with shares, market value, gain/loss, yield on cost and income
+ */
+export function buildPositions(stocks, holdings = {}) {
+  return stocks.map(stock => {
+    const holding = normalizeHolding(holdings[stock.ticker]);
+    const { shares, lots } = holding;
+    // Cost is entered in the stock's trading currency - convert like the price
+    const fxRate = stock.fxRate || 1;
+    const avgCost = holding.avgCost * fxRate;
+    const costBasis = holding.costBasis * fxRate;
+    const marketValue = shares * stock.price;
+    const unrealizedGain = shares > 0 && costBasis > 0 ? marketValue - costBasis : 0;
+
+    return {
+      ...stock,
+      shares,
+      avgCost,
+      costBasis,
+      lots,
+      marketValue,
+      unrealizedGain,
+      unrealizedGainPercent: costBasis > 0 ? unrealizedGain / costBasis : 0,
+      yieldOnCost: avgCost > 0 ? (stock.dividend || 0) / avgCost : 0,
+      annualIncome: shares * (stock.dividend || 0)
+    };
+  });
+}
+
+/**
+ * Calculate portfolio weights for each stock
+ * @param {Object[]} stocks - Array of stock data (optionally from buildPositions)
+ * @param {string} mode - 'equal', 'value' (market value) or 'target' (targetWeights)
+ * @param {Object} targetWeights - Target weights keyed by ticker (any scale, normalized here)
+ * @returns {Object} { mode, weights } where weights is keyed by ticker and sums to 1
+ */
+export function calculateWeights(stocks, mode = 'equal', targetWeights = {}) {
+  let raw = {};
+
+  if (mode === 'value') {
+    stocks.forEach(s => { raw[s.ticker] = s.marketValue || 0; });
+  } else if (mode === 'target') {
+    stocks.forEach(s => { raw[s.ticker] = parseFloat(targetWeights[s.ticker]) || 0; });
+  }
+
+  let total = Object.values(raw).reduce((sum, w) => sum + w, 0);
+
+  // Nothing held / no targets configured - fall back to equal weights
+  if (mode !== 'equal' && total <= 0) {
+    console.warn(`⚠️ No ${mode} weights available, falling back to equal weights`);
+    mode = 'equal';
+  }
+
+  if (mode === 'equal') {
+    raw = {};
+    stocks.forEach(s => { raw[s.ticker] = 1; });
+    total = stocks.length;
+  }
+
+  const weights = {};
+  Object.entries(raw).forEach(([ticker, w]) => {
+    weights[ticker] = total > 0 ? w / total : 0;
+  });
+
+  return { mode, weights };
+}
+
+/**
+ * Calculate totals across all held positions
+ * @param {Object[]} positions - Output of buildPositions
+ * @returns {Object} Portfolio totals
+ */
+export function calculateHoldingsTotals(positions) {
+  const held = positions.filter(p => p.shares > 0);
+
+  const marketValue = held.reduce((sum, p) => sum + p.marketValue, 0);
+  const costBasis = held.reduce((sum, p) => sum + p.costBasis, 0);
+  const annualIncome = held.reduce((sum, p) => sum + p.annualIncome, 0);
+  const unrealizedGain = held.reduce((sum, p) => sum + p.unrealizedGain, 0);
+  // Net income is only known once taxes are applied (see tax.js)
+  const netAnnualIncome = held.reduce((sum, p) => sum + (p.netAnnualIncome ?? p.annualIncome), 0);
+
+  return {
+    positions: held.length,
+    marketValue,
+    costBasis,
+    annualIncome,
+    netAnnualIncome,
+    unrealizedGain,
+    yieldOnCost: costBasis > 0 ? annualIncome / costBasis : 0
+  };
+}
+
+/**
+ * Split a cash amount between assets
+ * 'target' splits by target weight, 'underweight' sends everything to the holding
+ * furthest below its target weight at current prices.
+ * @param {number} amount - Cash to invest
+ * @param {Object[]} assets - Assets with normalized `weight`
+ * @param {number[]} shares - Shares held per asset
+ * @param {number[]} prices - Current price per asset
+ * @param {string} allocation - 'target' or 'underweight'
+ * @returns {number[]} Amount per asset
+ */
+export function allocateContribution(amount, assets, shares, prices, allocation = 'target') {
+  if (allocation !== 'underweight' || assets.length === 1) {
+    return assets.map(asset => amount * asset.weight);
+  }
+
+  const values = assets.map((_, i) => shares[i] * prices[i]);
+  const total = values.reduce((sum, value) => sum + value, 0) + amount;
+  let target = 0;
+  let largestGap = -Infinity;
+
+  assets.forEach((asset, i) => {
+    const gap = asset.weight - values[i] / total;
+    if (gap > largestGap) {
+      largestGap = gap;
+      target = i;
+    }
+  });
+
+  return assets.map((_, i) => (i === target ? amount : 0));
+}
@@ -0,0 +1,201 @@
+// 🏦 Exchange Holidays - NYSE and TSX trading holidays and business-day shifting
+// Rules-based, so any year works without a hand-maintained date list
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Holiday calendar cache per exchange and year
+const holidayCache = {};
+
+/**
+ * UTC date helper
+ */
+function utc(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Format a UTC date as 'YYYY-MM-DD'
+ */
+function iso(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Nth weekday of a month (n = -1 for the last one)
+ * @param {number} weekday - 0 = Sunday ... 6 = Saturday
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = utc(year, month, 1);
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return utc(year, month, 1 + offset + (n - 1) * 7);
+  }
+
+  const last = utc(year, month + 1, 0);
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return utc(year, month, last.getUTCDate() - offset);
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utc(year, month - 1, day);
+}
+
+/**
+ * US observance: Saturday -> Friday, Sunday -> Monday
+ */
+function observedUS(date) {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) return new Date(date.getTime() - DAY);
+  if (weekday === 0) return new Date(date.getTime() + DAY);
+  return date;
+}
+
+/**
+ * Canadian observance: weekend -> following Monday
+ */
+function observedCA(date) {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) return new Date(date.getTime() + 2 * DAY);
+  if (weekday === 0) return new Date(date.getTime() + DAY);
+  return date;
+}
+
+/**
+ * NYSE holidays for a year
+ */
+function nyseHolidays(year) {
+  const holidays = [];
+  const goodFriday = new Date(easterSunday(year).getTime() - 2 * DAY);
+
+  // New Year's Day on a Saturday is not observed (the Friday is a trading day)
+  const newYear = utc(year, 0, 1);
+  if (newYear.getUTCDay() !== 6) holidays.push([observedUS(newYear), "New Year's Day"]);
+
+  holidays.push(
+    [nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day'],
+    [nthWeekday(year, 1, 1, 3), "Washington's Birthday"],
+    [goodFriday, 'Good Friday'],
+    [nthWeekday(year, 4, 1, -1), 'Memorial Day']
+  );
+
+  if (year >= 2022) holidays.push([observedUS(utc(year, 5, 19)), 'Juneteenth']);
+
+  holidays.push(
+    [observedUS(utc(year, 6, 4)), 'Independence Day'],
+    [nthWeekday(year, 8, 1, 1), 'Labor Day'],
+    [nthWeekday(year, 10, 4, 4), 'Thanksgiving Day'],
+    [observedUS(utc(year, 11, 25)), 'Christmas Day']
+  );
+
+  return holidays;
+}
+
+/**
+ * TSX holidays for a year
+ */
+function tsxHolidays(year) {
+  const goodFriday = new Date(easterSunday(year).getTime() - 2 * DAY);
+  // Victoria Day: the Monday before May 25
+  const victoriaDay = nthWeekday(year, 4, 1, -1).getUTCDate() >= 25
+    ? new Date(nthWeekday(year, 4, 1, -1).getTime() - 7 * DAY)
+    : nthWeekday(year, 4, 1, -1);
+
+  const holidays = [
+    [observedCA(utc(year, 0, 1)), "New Year's Day"],
+    [nthWeekday(year, 1, 1, 3), 'Family Day'],
+    [goodFriday, 'Good Friday'],
+    [victoriaDay, 'Victoria Day'],
+    [observedCA(utc(year, 6, 1)), 'Canada Day'],
+    [nthWeekday(year, 7, 1, 1), 'Civic Holiday'],
+    [nthWeekday(year, 8, 1, 1), 'Labour Day'],
+    [nthWeekday(year, 9, 1, 2), 'Thanksgiving Day']
+  ];
+
+  // Christmas and Boxing Day on weekends move to the next free weekdays
+  const taken = new Set();
+  [[utc(year, 11, 25), 'Christmas Day'], [utc(year, 11, 26), 'Boxing Day']].forEach(([date, name]) => {
+    let observed = date;
+    while (observed.getUTCDay() === 0 || observed.getUTCDay() === 6 || taken.has(iso(observed))) {
+      observed = new Date(observed.getTime() + DAY);
+    }
+    taken.add(iso(observed));
+    holidays.push([observed, name]);
+  });
+
+  return holidays;
+}
+
+const EXCHANGE_RULES = {
+  NYSE: nyseHolidays,
+  TSX: tsxHolidays
+};
+
+/**
+ * Get an exchange's holidays for a year
+ * @param {string} exchange - 'NYSE' or 'TSX'
+ * @param {number} year - Calendar year
+ * @param {string[]} extraHolidays - Additional closures ('YYYY-MM-DD'), e.g. national days of mourning
+ * @returns {Object} { 'YYYY-MM-DD': name }
+ */
+export function getExchangeHolidays(exchange, year, extraHolidays = []) {
+  const key = `${exchange}-${year}`;
+
+  if (!holidayCache[key]) {
+    const rules = EXCHANGE_RULES[exchange];
+    if (!rules) {
+      console.warn(`⚠️ No holiday calendar for ${exchange}, only weekends are skipped`);
+    }
+    holidayCache[key] = Object.fromEntries((rules ? rules(year) : []).map(([date, name]) => [iso(date), name]));
+  }
+
+  const holidays = { ...holidayCache[key] };
+  extraHolidays
+    .filter(date => date.startsWith(String(year)))
+    .forEach(date => { holidays[date] = holidays[date] || 'Market closed'; });
+
+  return holidays;
+}
+
+/**
+ * Check whether a date is a trading day
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {Object} holidays - Output of getExchangeHolidays (for the date's year)
+ */
+export function isBusinessDay(date, holidays = {}) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !holidays[date];
+}
+
+/**
+ * Move a date forward to the next trading day (unchanged if it already is one)
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} exchange - 'NYSE' or 'TSX'
+ * @param {string[]} extraHolidays - Additional closures
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function nextBusinessDay(date, exchange, extraHolidays = []) {
+  let current = date;
+
+  while (!isBusinessDay(current, getExchangeHolidays(exchange, Number(current.slice(0, 4)), extraHolidays))) {
+    current = iso(new Date(new Date(`${current}T00:00:00Z`).getTime() + DAY));
+  }
+
+  return current;
+}
@@ -0,0 +1,221 @@
+// 📆 iCalendar Export - Projected dividend payments as an .ics file
+// One all-day event per payment (plus optional ex-dividend reminders) with stable UIDs,
+// so re-importing the file updates existing events instead of duplicating them
+
+import { MONTHS } from './paymentSchedule.js';
+import { formatCurrency } from './api/yahooFinance.js';
+
+const PRODID = '-//The Dividend Experiment//Dividend Dashboard//EN';
+const UID_DOMAIN = 'dividend-dashboard';
+
+/**
+ * Escape TEXT values (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, which counts towards their 75 octets
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = new TextEncoder().encode(char).length;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * 'YYYY-MM-DD' -> 'YYYYMMDD'
+ */
+function toICSDate(iso) {
+  return iso.replace(/-/g, '');
+}
+
+/**
+ * Day after an ISO date (exclusive DTEND of all-day events)
+ */
+function nextDay(iso) {
+  const date = new Date(`${iso}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Date of the next occurrence of a month/day grid cell on or after asOf
+ * Days past the end of the month (Feb 30) are moved to the month's last day.
+ */
+function nextOccurrence(monthIndex, day, asOf) {
+  const today = new Date(Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate()));
+
+  for (const year of [asOf.getFullYear(), asOf.getFullYear() + 1]) {
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    const date = new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay)));
+    if (date >= today) return date.toISOString().slice(0, 10);
+  }
+
+  return null;
+}
+
+/**
+ * Collect payment (and ex-date) events for the next 12 months
+ * Projected payments carry real dates and ex-dates; sheet-only grid cells are
+ * placed on their next occurrence and have no ex-date.
+ * @param {Object} schedule - { paymentData, projections } from loadPaymentSchedule
+ * @param {Object[]} stocksData - Positions (names, shares)
+ * @param {Object} perPayment - Expected cash per payment by ticker (calculatePaymentAmounts)
+ * @param {Object} options - { includeExDates, asOf }
+ * @returns {Object[]} [{ uid, date, summary, description, alarm }]
+ */
+export function buildPaymentEvents(schedule, stocksData = [], perPayment = {}, { includeExDates = false, asOf = new Date() } = {}) {
+  const stocks = Object.fromEntries(stocksData.map(stock => [stock.ticker, stock]));
+  const projectedTickers = new Set((schedule.projections || []).map(p => p.ticker));
+  const payments = [];
+
+  const start = new Date(Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate()));
+  const end = new Date(start);
+  end.setUTCFullYear(end.getUTCFullYear() + 1);
+  const inWindow = iso => iso >= start.toISOString().slice(0, 10) && iso < end.toISOString().slice(0, 10);
+
+  (schedule.projections || [])
+    .filter(p => inWindow(p.payDate))
+    .forEach(p => payments.push({ ticker: p.ticker, payDate: p.payDate, exDate: p.exDate }));
+
+  (schedule.paymentData || []).forEach(dayData => {
+    Object.entries(dayData.months).forEach(([month, tickers]) => {
+      const monthIndex = MONTHS.indexOf(month);
+      if (monthIndex === -1) return;
+
+      tickers
+        .filter(ticker => !projectedTickers.has(ticker))
+        .forEach(ticker => {
+          const payDate = nextOccurrence(monthIndex, dayData.day, asOf);
+          if (payDate) payments.push({ ticker, payDate, exDate: null });
+        });
+    });
+  });
+
+  const events = [];
+  const keyCounts = {};
+  payments.forEach(({ ticker, payDate, exDate }) => {
+    const stock = stocks[ticker];
+    const label = stock?.name ? `${stock.name} (${ticker})` : ticker;
+    const amount = perPayment[ticker];
+    // Keyed by ticker and pay month, so a moved date updates the same event
+    let key = `${ticker}-${payDate.slice(0, 7)}`;
+    keyCounts[key] = (keyCounts[key] || 0) + 1;
+    if (keyCounts[key] > 1) key += `-${keyCounts[key]}`;
+
+    events.push({
+      uid: `${key}-pay@${UID_DOMAIN}`,
+      date: payDate,
+      summary: amount ? `${ticker} dividend ${formatCurrency(amount)}` : `${ticker} dividend`,
+      description: [
+        `${label} dividend payment`,
+        amount ? `Expected ${formatCurrency(amount)} from ${stock.shares} shares` : null,
+        exDate ? `Ex-dividend date ${exDate}` : null
+      ].filter(Boolean).join('\n')
+    });
+
+    // Ex-dates already passed are of no use as reminders
+    if (includeExDates && exDate && inWindow(exDate)) {
+      events.push({
+        uid: `${key}-ex@${UID_DOMAIN}`,
+        date: exDate,
+        summary: `${ticker} ex-dividend`,
+        description: `Own ${label} before today to receive the ${payDate} payment`,
+        alarm: 'Ex-dividend tomorrow'
+      });
+    }
+  });
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.uid.localeCompare(b.uid));
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Object[]} events - Output of buildPaymentEvents
+ * @param {Date} now - DTSTAMP time
+ * @returns {string} .ics content (CRLF line endings)
+ */
+export function buildICS(events, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Dividend Payments'
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toICSDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toICSDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'TRANSP:TRANSPARENT'
+    );
+
+    if (event.alarm) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.alarm)}`,
+        'TRIGGER:-P1D',
+        'END:VALARM'
+      );
+    }
+
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download an .ics file
+ * @param {string} content - Output of buildICS
+ * @param {string} filename - File name
+ */
+export function downloadICS(content, filename = 'dividend-payments.ics') {
+  const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
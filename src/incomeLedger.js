@@ -0,0 +1,440 @@
+// 🧾 Income Ledger - Received dividends vs projections
+// Manual entry and broker CSV import, monthly received vs projected, YoY growth and cumulative income
+
+import { portfolio } from '../config.js';
+import { formatCurrency, formatPercent } from './api/yahooFinance.js';
+import { loadFxRates, convertAmount } from './api/fxRates.js';
+import {
+  createLedgerEntry,
+  getLedgerEntries,
+  saveLedgerEntries,
+  deleteLedgerEntry,
+  summarizeLedger
+} from './ledger.js';
+import { parseDividendExport } from './brokerImport.js';
+import { loadPaymentSchedule, calculatePaymentAmounts } from './paymentMatrix.js';
+import { getPaymentDates } from './paymentCalendar.js';
+import { MONTHS } from './paymentSchedule.js';
+import { DATE_FORMATS, toLocalISODate } from './dates.js';
+
+// Tab state
+let ledgerStocks = [];
+let fxTable = null;
+
+/**
+ * Convert an entry amount into the base currency
+ */
+function toBase(amount, currency) {
+  return fxTable ? convertAmount(amount, currency, portfolio.settings.currency, fxTable) : amount;
+}
+
+/**
+ * Render the ledger form and result containers
+ */
+function renderLedgerLayout() {
+  const container = document.getElementById('ledger-container');
+  const accounts = Object.keys(portfolio.tax?.accounts || { taxable: {} });
+  const defaultAccount = portfolio.tax?.defaultAccount || accounts[0];
+  const accountOptions = accounts
+    .map(name => `<option value="${name}" ${name === defaultAccount ? 'selected' : ''}>${name}</option>`)
+    .join('');
+  const today = toLocalISODate();
+
+  container.innerHTML = `
+    <div class="ledger-summary" id="ledger-summary">
+      <!-- Populated by JavaScript -->
+    </div>
+
+    <div class="calculator-form">
+      <div class="form-section">
+        <h3>Record a Payment</h3>
+        <div class="form-grid">
+          <div class="form-field">
+            <label>Pay Date</label>
+            <input type="date" id="ledger-date" value="${today}">
+          </div>
+          <div class="form-field">
+            <label>Ticker</label>
+            <input type="text" id="ledger-ticker" list="ledger-tickers" placeholder="JNJ">
+            <datalist id="ledger-tickers">
+              ${portfolio.tickers.map(ticker => `<option value="${ticker}">`).join('')}
+            </datalist>
+          </div>
+          <div class="form-field">
+            <label>Gross</label>
+            <input type="number" id="ledger-gross" min="0" step="0.01">
+          </div>
+          <div class="form-field">
+            <label>Withholding</label>
+            <input type="number" id="ledger-withholding" value="0" min="0" step="0.01">
+          </div>
+          <div class="form-field">
+            <label>Net (blank = gross - withholding)</label>
+            <input type="number" id="ledger-net" min="0" step="0.01">
+          </div>
+          <div class="form-field">
+            <label>Currency</label>
+            <input type="text" id="ledger-currency" value="${portfolio.settings.currency || 'USD'}" maxlength="3">
+          </div>
+          <div class="form-field">
+            <label>Account</label>
+            <select id="ledger-account">${accountOptions}</select>
+          </div>
+        </div>
+        <button class="btn-secondary" id="ledger-add-btn">
+          <span class="material-symbols-outlined">add</span>
+          Add Payment
+        </button>
+      </div>
+
+      <div class="form-section">
+        <h3>Import Broker CSV</h3>
+        <p class="form-hint">Trading 212 and Interactive Brokers exports are read like Broker Transactions (currencies converted). Other files: dividend rows are matched by column names like Date/Time, Ticker/Symbol, Gross, Withholding tax, Net/Total and Currency. Re-importing the same file does not create duplicates.</p>
+        <div class="form-grid">
+          <div class="form-field">
+            <label>CSV File</label>
+            <input type="file" id="ledger-file" accept=".csv,text/csv">
+          </div>
+          <div class="form-field">
+            <label>Account</label>
+            <select id="ledger-import-account">${accountOptions}</select>
+          </div>
+          <div class="form-field">
+            <label>Date Format</label>
+            <select id="ledger-date-format">
+              ${Object.entries(DATE_FORMATS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="ledger-status" id="ledger-status"></div>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('ledger-add-btn').addEventListener('click', addManualEntry);
+  document.getElementById('ledger-file').addEventListener('change', importFile);
+}
+
+/**
+ * Show a status message under the import form
+ */
+function setStatus(message, isError = false) {
+  const status = document.getElementById('ledger-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Add an entry from the form
+ */
+async function addManualEntry() {
+  const value = id => document.getElementById(id).value;
+  const entry = createLedgerEntry({
+    date: value('ledger-date'),
+    ticker: value('ledger-ticker'),
+    gross: value('ledger-gross') || undefined,
+    withholding: value('ledger-withholding'),
+    net: value('ledger-net') || undefined,
+    currency: value('ledger-currency'),
+    account: value('ledger-account')
+  });
+
+  if (!entry) {
+    setStatus('Enter a date, ticker and gross or net amount.', true);
+    return;
+  }
+
+  try {
+    await saveLedgerEntries([entry]);
+    setStatus(`Added ${entry.ticker} payment on ${entry.date}.`);
+    document.getElementById('ledger-gross').value = '';
+    document.getElementById('ledger-net').value = '';
+    await refreshLedger();
+  } catch (error) {
+    setStatus(`Could not save entry: ${error.message}`, true);
+  }
+}
+
+/**
+ * Import dividend entries from the selected CSV file
+ */
+async function importFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    const { entries, skipped } = parseDividendExport(await file.text(), {
+      account: document.getElementById('ledger-import-account').value,
+      currency: portfolio.settings.currency,
+      dateFormat: document.getElementById('ledger-date-format').value
+    });
+
+    await saveLedgerEntries(entries);
+    console.log(`🧾 Imported ${entries.length} ledger entries from ${file.name}`);
+    setStatus(`Imported ${entries.length} payments from ${file.name}${skipped > 0 ? ` (${skipped} rows skipped)` : ''}.`);
+    await refreshLedger();
+  } catch (error) {
+    setStatus(`Import failed: ${error.message}`, true);
+  } finally {
+    e.target.value = '';
+  }
+}
+
+/**
+ * Projected gross income per month of a year from the payment schedule
+ */
+async function getProjectedByMonth(year) {
+  const projected = MONTHS.map(() => 0);
+
+  try {
+    const { paymentData } = await loadPaymentSchedule();
+    const { perPayment } = calculatePaymentAmounts(paymentData, ledgerStocks);
+
+    getPaymentDates(paymentData, year, ledgerStocks).forEach(payment => {
+      projected[Number(payment.date.slice(5, 7)) - 1] += perPayment[payment.ticker] || 0;
+    });
+  } catch (error) {
+    console.warn('⚠️ Projected income unavailable:', error.message);
+  }
+
+  return projected;
+}
+
+/**
+ * Reload entries from IndexedDB and redraw everything
+ */
+async function refreshLedger() {
+  const entries = await getLedgerEntries();
+  const today = new Date();
+  const summary = summarizeLedger(entries, toBase, today);
+  const year = today.getFullYear();
+
+  renderSummary(summary, year, today);
+  renderYoYTable(summary);
+  renderEntriesTable(entries);
+  renderCumulativeChart(summary);
+  renderReceivedVsProjected(summary, year, await getProjectedByMonth(year));
+}
+
+/**
+ * Summary strip: this year, last year, YoY growth, all time
+ * YoY compares Jan 1 - today with the same days of last year, not last year's full total.
+ */
+function renderSummary(summary, year, today) {
+  const thisYear = summary.annual[year]?.net || 0;
+  const lastYear = summary.annual[year - 1]?.net || 0;
+  const lastYearToDate = summary.yearToDate[year - 1]?.net || 0;
+  const growth = lastYearToDate > 0 ? (summary.yearToDate[year]?.net || 0) / lastYearToDate - 1 : null;
+  const period = `Jan 1 - ${MONTHS[today.getMonth()]} ${today.getDate()}`;
+
+  document.getElementById('ledger-summary').innerHTML = `
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">${year} Received (net)</span>
+      <span class="ledger-stat-value">${formatCurrency(thisYear)}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">${year - 1} Received (net)</span>
+      <span class="ledger-stat-value">${formatCurrency(lastYear)}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">YoY (${period} vs ${year - 1})</span>
+      <span class="ledger-stat-value ${growth !== null && growth < 0 ? 'gain-negative' : 'gain-positive'}">${growth === null ? 'N/A' : formatPercent(growth, 1)}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">All Time (net)</span>
+      <span class="ledger-stat-value">${formatCurrency(summary.total.net)}</span>
+    </div>
+    <div class="ledger-stat">
+      <span class="ledger-stat-label">Tax Withheld</span>
+      <span class="ledger-stat-value">${formatCurrency(summary.total.withholding)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Year-over-year table
+ */
+function renderYoYTable(summary) {
+  const container = document.getElementById('ledger-yoy');
+
+  if (summary.yoy.length === 0) {
+    container.innerHTML = '<p class="drawer-empty">No payments recorded yet.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table>
+      <thead>
+        <tr><th>Year</th><th>Gross</th><th>Withheld</th><th>Net</th><th>Payments</th><th>Growth</th></tr>
+      </thead>
+      <tbody>
+        ${[...summary.yoy].reverse().map(row => {
+          const annual = summary.annual[row.year];
+          return `
+            <tr>
+              <td>${row.year}</td>
+              <td>${formatCurrency(annual.gross)}</td>
+              <td>${formatCurrency(annual.withholding)}</td>
+              <td>${formatCurrency(annual.net)}</td>
+              <td>${annual.count}</td>
+              <td>${row.growth === null ? '—' : `<span class="${row.growth >= 0 ? 'gain-positive' : 'gain-negative'}">${formatPercent(row.growth, 1)}</span>`}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Entries table (newest first) with delete buttons
+ */
+function renderEntriesTable(entries) {
+  const tbody = document.getElementById('ledger-tbody');
+
+  tbody.innerHTML = [...entries].reverse().map(entry => `
+    <tr>
+      <td>${entry.date}</td>
+      <td><span class="ticker-symbol">${entry.ticker}</span></td>
+      <td>${formatCurrency(entry.gross, entry.currency)}</td>
+      <td>${formatCurrency(entry.withholding, entry.currency)}</td>
+      <td>${formatCurrency(entry.net, entry.currency)}</td>
+      <td>${entry.currency}</td>
+      <td>${entry.account}</td>
+      <td>
+        <button class="btn-icon ledger-delete" data-id="${entry.id}" title="Delete entry">
+          <span class="material-symbols-outlined">delete</span>
+        </button>
+      </td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('.ledger-delete').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await deleteLedgerEntry(btn.getAttribute('data-id'));
+      await refreshLedger();
+    });
+  });
+}
+
+/**
+ * Chart.js axis colors for the current theme
+ */
+function themeColors() {
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  return {
+    text: isDark ? '#ffffff' : '#1e1e1e',
+    tick: isDark ? '#b0b0b0' : '#4a4a4a',
+    grid: isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+  };
+}
+
+/**
+ * Received (gross) vs projected (gross) per month of the current year
+ */
+function renderReceivedVsProjected(summary, year, projected) {
+  const ctx = document.getElementById('ledger-monthly-chart').getContext('2d');
+  const colors = themeColors();
+  const received = MONTHS.map((_, i) => summary.monthly[`${year}-${String(i + 1).padStart(2, '0')}`]?.gross || 0);
+
+  if (window.ledgerMonthlyChart) {
+    window.ledgerMonthlyChart.destroy();
+  }
+
+  document.getElementById('ledger-monthly-title').textContent = `Received vs Projected (${year}, gross)`;
+
+  window.ledgerMonthlyChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: MONTHS,
+      datasets: [
+        { label: 'Received', data: received, backgroundColor: '#10b981' },
+        { label: 'Projected', data: projected, backgroundColor: portfolio.settings.chartColors[0] }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: { labels: { color: colors.text } },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { color: colors.tick }, grid: { color: colors.grid } },
+        y: {
+          beginAtZero: true,
+          ticks: { color: colors.tick, callback: (value) => formatCurrency(value) },
+          grid: { color: colors.grid }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Cumulative net income since the first recorded payment
+ */
+function renderCumulativeChart(summary) {
+  const ctx = document.getElementById('ledger-cumulative-chart').getContext('2d');
+  const colors = themeColors();
+
+  if (window.ledgerCumulativeChart) {
+    window.ledgerCumulativeChart.destroy();
+  }
+
+  window.ledgerCumulativeChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: summary.cumulative.map(point => point.month),
+      datasets: [{
+        label: 'Cumulative Net Income',
+        data: summary.cumulative.map(point => point.net),
+        borderColor: portfolio.settings.chartColors[0],
+        backgroundColor: 'rgba(0, 180, 216, 0.15)',
+        fill: true,
+        pointRadius: 0,
+        tension: 0.2
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => formatCurrency(context.parsed.y)
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { color: colors.tick, maxTicksLimit: 12 }, grid: { color: colors.grid } },
+        y: {
+          beginAtZero: true,
+          ticks: { color: colors.tick, callback: (value) => formatCurrency(value) },
+          grid: { color: colors.grid }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Initialize income ledger tab
+ * @param {Object[]} stocksData - Portfolio positions (for projected income)
+ */
+export async function initIncomeLedger(stocksData = []) {
+  ledgerStocks = stocksData;
+  renderLedgerLayout();
+
+  try {
+    fxTable = await loadFxRates(portfolio.fxRates);
+    await refreshLedger();
+  } catch (error) {
+    setStatus(`Ledger unavailable: ${error.message}`, true);
+  }
+}
@@ -0,0 +1,245 @@
+// 🧾 Dividend Ledger - Record of dividends actually received
+// Entries live in IndexedDB and can be imported from broker CSV exports
+
+import { parseCSVRows, findHeaderRow, rowsToObjects } from './csv.js';
+import { parseNumber, resolveLocale } from './numbers.js';
+import { parseDate, resolveDateFormat } from './dates.js';
+import { getAllRecords, putRecord, deleteRecord } from './db.js';
+
+const STORE = 'dividendLedger';
+
+// Column names recognized in broker dividend exports (first match wins)
+const COLUMN_ALIASES = {
+  date: ['Pay Date', 'Payment Date', 'Date', 'Time', 'Date/Time', 'Settle Date'],
+  ticker: ['Ticker', 'Symbol', 'Instrument'],
+  gross: ['Gross', 'Gross Amount', 'Gross Dividend', 'Dividend'],
+  withholding: ['Withholding', 'Withholding Tax', 'Withholding tax', 'Tax Withheld', 'Tax'],
+  net: ['Net', 'Net Amount', 'Net Dividend', 'Total', 'Amount'],
+  currency: ['Currency', 'Currency (Total)'],
+  account: ['Account'],
+  type: ['Action', 'Type', 'Activity', 'Transaction Type']
+};
+
+/**
+ * Create a normalized ledger entry
+ * Missing gross or net is derived from the other and the withholding.
+ * The id is the date, ticker, account and `occurrence` - which of that day's payments of
+ * the ticker the entry is in its source file (see numberOccurrences), so importing the
+ * same export twice replaces entries instead of duplicating them. Without an occurrence
+ * (manual entries) the id is new every time.
+ * @param {Object} fields - { date, ticker, gross, withholding, net, currency, account, source, occurrence }
+ * @param {string} locale - Number format of the amounts ('auto' or a BCP 47 locale)
+ * @param {string} dateFormat - Day/month order of numeric dates ('auto', 'DMY' or 'MDY')
+ * @returns {Object|null} Entry or null if date, ticker or amounts are missing
+ */
+export function createLedgerEntry(fields, locale = 'auto', dateFormat = 'auto') {
+  const date = parseDate(fields.date, dateFormat);
+  const ticker = String(fields.ticker || '').trim().toUpperCase();
+  const withholding = Math.abs(parseNumber(fields.withholding, locale)) || 0;
+  let gross = parseNumber(fields.gross, locale);
+  let net = parseNumber(fields.net, locale);
+
+  if (isNaN(gross) && !isNaN(net)) gross = net + withholding;
+  if (isNaN(net) && !isNaN(gross)) net = gross - withholding;
+
+  if (!date || !ticker || isNaN(gross) || isNaN(net)) return null;
+
+  const account = fields.account || 'taxable';
+  const currency = String(fields.currency || 'USD').trim().toUpperCase();
+
+  return {
+    id: `${date}|${ticker}|${account}|${fields.occurrence ?? `manual-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`}`,
+    date,
+    ticker,
+    gross,
+    withholding,
+    net,
+    currency,
+    account,
+    source: fields.source || 'manual'
+  };
+}
+
+/**
+ * Give imported entries ids numbered per date, ticker and account in file order
+ * Two real payments on one day (two lots, a special dividend next to the regular one)
+ * stay apart, and re-importing the file gives each payment its id again whatever the
+ * rounding of its amounts.
+ * @param {Object[]} entries - Entries of one import, in file order
+ * @returns {Object[]} The entries with their ids
+ */
+export function numberOccurrences(entries) {
+  const counts = {};
+  return entries.map(entry => {
+    const key = `${entry.date}|${entry.ticker}|${entry.account}`;
+    counts[key] = (counts[key] || 0) + 1;
+    return { ...entry, id: `${key}|${counts[key]}` };
+  });
+}
+
+/**
+ * Find the first header in a row that matches one of the aliases
+ */
+function findColumn(headers, aliases) {
+  const lower = headers.map(h => h.toLowerCase());
+  const index = aliases.map(alias => lower.indexOf(alias.toLowerCase())).find(i => i !== -1);
+  return index === undefined ? null : headers[index];
+}
+
+/**
+ * Parse a broker CSV export of dividend payments into ledger entries
+ * Columns are matched by common names (Date/Time, Ticker/Symbol, Gross, Withholding tax,
+ * Net/Total, Currency). If there is an action/type column, only dividend rows are kept.
+ * @param {string} csvText - CSV content
+ * @param {Object} options - { account, currency, columns, locale, dateFormat } (columns overrides detected names)
+ * @returns {Object} { entries, skipped, columns }
+ */
+export function parseDividendCSV(csvText, options = {}) {
+  const rows = parseCSVRows(csvText);
+  const headerIndex = findHeaderRow(rows, values => COLUMN_ALIASES.ticker.some(alias => values.includes(alias)));
+
+  if (headerIndex === -1) {
+    throw new Error('Could not find a header row with a Ticker or Symbol column');
+  }
+
+  const headers = rows[headerIndex].map(h => h.trim());
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    columns[field] = options.columns?.[field] || findColumn(headers, aliases);
+  });
+
+  if (!columns.date || (!columns.gross && !columns.net)) {
+    throw new Error('CSV needs a date column and a gross or net amount column');
+  }
+
+  const records = rowsToObjects(rows, headerIndex);
+  // One number format per export: a lone "1,234" is read like the file's other amounts
+  const locale = resolveLocale(
+    records.flatMap(row => ['gross', 'withholding', 'net'].filter(field => columns[field]).map(field => row[columns[field]])),
+    options.locale
+  );
+  const dateFormat = resolveDateFormat(records.map(row => row[columns.date]), options.dateFormat);
+
+  const entries = [];
+  let skipped = 0;
+
+  records.forEach(row => {
+    if (columns.type && !/dividend/i.test(row[columns.type] || '')) return;
+
+    const entry = createLedgerEntry({
+      date: row[columns.date],
+      ticker: row[columns.ticker],
+      gross: columns.gross ? row[columns.gross] : undefined,
+      withholding: columns.withholding ? row[columns.withholding] : 0,
+      net: columns.net ? row[columns.net] : undefined,
+      currency: (columns.currency && row[columns.currency]) || options.currency,
+      account: (columns.account && row[columns.account]) || options.account,
+      source: 'import'
+    }, locale, dateFormat);
+
+    if (entry) {
+      entries.push(entry);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { entries: numberOccurrences(entries), skipped, columns };
+}
+
+/**
+ * Get every ledger entry, sorted by date
+ * @returns {Promise<Object[]>} Entries
+ */
+export async function getLedgerEntries() {
+  const entries = await getAllRecords(STORE);
+  return entries.sort((a, b) => a.date.localeCompare(b.date) || a.ticker.localeCompare(b.ticker));
+}
+
+/**
+ * Save entries (existing ids are replaced)
+ * Imports also replace what an earlier version stored under the gross amount's id.
+ * @param {Object[]} entries - Output of createLedgerEntry / parseDividendCSV
+ * @returns {Promise<number>} Number of entries saved
+ */
+export async function saveLedgerEntries(entries) {
+  for (const entry of entries) {
+    if (entry.source !== 'manual') {
+      await deleteRecord(STORE, `${entry.date}|${entry.ticker}|${entry.account}|${entry.gross.toFixed(4)}`);
+    }
+    await putRecord(STORE, entry);
+  }
+  return entries.length;
+}
+
+/**
+ * Delete an entry by id
+ */
+export function deleteLedgerEntry(id) {
+  return deleteRecord(STORE, id);
+}
+
+/**
+ * Summarize entries per month and year
+ * @param {Object[]} entries - Ledger entries
+ * @param {Function} toBase - (amount, currency) => amount in the base currency
+ * @param {Date} asOf - Local day the year-to-date totals run to (Jan 1 - asOf of every year)
+ * @returns {Object} { monthly: {'YYYY-MM': {gross, withholding, net, count}},
+ *   annual: {YYYY: {...}}, yearToDate: {YYYY: {...}}, yoy: [{ year, net, growth }],
+ *   cumulative: [{ month, net }], total }
+ */
+export function summarizeLedger(entries, toBase = amount => amount, asOf = new Date()) {
+  const empty = () => ({ gross: 0, withholding: 0, net: 0, count: 0 });
+  const monthly = {};
+  const annual = {};
+  const yearToDate = {};
+  const total = empty();
+  const cutoff = `${String(asOf.getMonth() + 1).padStart(2, '0')}-${String(asOf.getDate()).padStart(2, '0')}`;
+
+  entries.forEach(entry => {
+    const month = entry.date.slice(0, 7);
+    const year = entry.date.slice(0, 4);
+    const buckets = [monthly[month] = monthly[month] || empty(), annual[year] = annual[year] || empty(), total];
+
+    if (entry.date.slice(5) <= cutoff) {
+      buckets.push(yearToDate[year] = yearToDate[year] || empty());
+    }
+
+    buckets.forEach(bucket => {
+      bucket.gross += toBase(entry.gross, entry.currency);
+      bucket.withholding += toBase(entry.withholding, entry.currency);
+      bucket.net += toBase(entry.net, entry.currency);
+      bucket.count++;
+    });
+  });
+
+  const years = Object.keys(annual).sort();
+  const yoy = years.map((year, i) => {
+    const previous = i > 0 ? annual[years[i - 1]].net : 0;
+    return {
+      year: Number(year),
+      net: annual[year].net,
+      growth: previous > 0 ? annual[year].net / previous - 1 : null
+    };
+  });
+
+  // Running total per month, including months without payments
+  const cumulative = [];
+  const months = Object.keys(monthly).sort();
+  if (months.length > 0) {
+    let [year, month] = months[0].split('-').map(Number);
+    const last = months[months.length - 1];
+    let running = 0;
+
+    for (;;) {
+      const key = `${year}-${String(month).padStart(2, '0')}`;
+      running += monthly[key]?.net || 0;
+      cumulative.push({ month: key, net: running });
+      if (key === last) break;
+      month = month === 12 ? 1 : month + 1;
+      if (month === 1) year++;
+    }
+  }
+
+  return { monthly, annual, yearToDate, yoy, cumulative, total };
+}
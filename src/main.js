@@ -7,23 +7,41 @@ import {
   formatCurrency,
   formatPercent,
   getTimeUntilNextUpdate,
+  getDataIssues,
   clearCache
 } from './api/yahooFinance.js';
+import { loadFxRates, convertStocksToBase } from './api/fxRates.js';
+import { buildPositions, calculateHoldingsTotals } from './holdings.js';
+import { applyTaxes } from './tax.js';
+import { loadDividendHistories, calculateDividendMetrics } from './api/dividendHistory.js';
 import { initPaymentMatrix } from './paymentMatrix.js';
 import { initDCACalculator } from './dcaCalculator.js';
+import { initIncomeLedger } from './incomeLedger.js';
+import { initTickerDetail, syncTickerDetail } from './tickerDetail.js';
+import { loadEffectiveHoldings } from './brokerImport.js';
+import { initTransactionImport } from './transactionImport.js';
 
 // Global state
 let stocksData = [];
 let sortColumn = 'yield';
 let sortDirection = 'desc';
 let currentTheme = portfolio.settings.defaultTheme;
+let currentWeighting = portfolio.settings.weighting || 'equal';
 let isUpdating = false;
 let timerInterval = null;
+let missingFxCurrencies = [];
+let untrackedImports = [];
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
   initializeTheme();
   setupEventListeners();
+  initTickerDetail();
+  initTransactionImport(() => {
+    // The ledger picks up imported dividends the next time its tab opens
+    window.incomeLedgerLoaded = false;
+    loadPortfolioData();
+  });
   loadPortfolioData();
   startCacheTimer();
 });
@@ -57,6 +75,14 @@ function setupEventListeners() {
     }
   });
 
+  // Summary weighting toggle
+  document.querySelectorAll('.weighting-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      currentWeighting = btn.getAttribute('data-weighting');
+      updateDashboard();
+    });
+  });
+
   // Tab switching
   document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -83,6 +109,20 @@ function setupEventListeners() {
       handleSort(column);
     });
   });
+
+  // Ticker detail drawer (row click sets #ticker/XXX)
+  document.getElementById('stocks-tbody').addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-ticker]');
+    if (row) {
+      location.hash = `ticker/${encodeURIComponent(row.getAttribute('data-ticker'))}`;
+    }
+  });
+
+  window.addEventListener('hashchange', () => {
+    if (stocksData.length > 0) {
+      syncTickerDetail(stocksData);
+    }
+  });
 }
 
 /**
@@ -117,8 +157,11 @@ function switchTab(tabName) {
   if (tabName === 'payments' && !window.paymentMatrixLoaded) {
     initPaymentMatrix(stocksData);
     window.paymentMatrixLoaded = true;
+  } else if (tabName === 'ledger' && !window.incomeLedgerLoaded) {
+    initIncomeLedger(stocksData);
+    window.incomeLedgerLoaded = true;
   } else if (tabName === 'calculator' && !window.dcaCalculatorLoaded) {
-    initDCACalculator();
+    initDCACalculator(stocksData);
     window.dcaCalculatorLoaded = true;
   }
 }
@@ -137,17 +180,36 @@ async function loadPortfolioData() {
       throw new Error('No data received from API');
     }
 
-    stocksData = data;
+    // Convert prices and dividends into the base currency
+    const fx = await loadFxRates(portfolio.fxRates);
+    const { stocks, missingCurrencies } = convertStocksToBase(
+      data, fx, portfolio.settings.currency, portfolio.currencies
+    );
+    missingFxCurrencies = missingCurrencies;
+
+    // Attach share counts, cost basis and net-of-tax income from config.js
+    // (or rebuilt from imported broker transactions)
+    const { holdings, imported } = await loadEffectiveHoldings(portfolio.holdings);
+    untrackedImports = imported.filter(ticker => holdings[ticker].shares > 0 && !portfolio.tickers.includes(ticker));
+    const positions = buildPositions(stocks, holdings);
+    stocksData = applyTaxes(positions, holdings, portfolio.tax);
+
+    // Dividend history metrics (optional - dashboard works without them)
+    stocksData = await attachDividendMetrics(stocksData);
 
     // Update UI
     updateDashboard();
     updateTable();
     updateCharts();
+    updateDataIssues();
 
     showMainContent();
     showCacheControls();
     updateCacheTimer();
 
+    // Open the drawer for a deep link like #ticker/JNJ
+    syncTickerDetail(stocksData);
+
   } catch (error) {
     console.error('Error loading portfolio:', error);
     showError(error.message || 'Failed to load portfolio data. Please check your API key and internet connection.');
@@ -156,6 +218,33 @@ async function loadPortfolioData() {
   }
 }
 
+/**
+ * Attach dividend history metrics (TTM, CAGR, streaks, cuts) to stocks
+ * The 5-year dividend CAGR fills in dividendGrowth when the quote source has none.
+ */
+async function attachDividendMetrics(stocks) {
+  if (!portfolio.dividendHistory?.source) return stocks;
+
+  try {
+    const histories = await loadDividendHistories(stocks.map(s => s.ticker));
+
+    return stocks.map(stock => {
+      const records = histories[stock.ticker] || [];
+      if (records.length === 0) return stock;
+
+      const dividendMetrics = calculateDividendMetrics(records);
+      return {
+        ...stock,
+        dividendMetrics,
+        dividendGrowth: stock.dividendGrowth ?? dividendMetrics.cagr[5] ?? dividendMetrics.cagr[3]
+      };
+    });
+  } catch (error) {
+    console.warn('⚠️ Dividend history unavailable:', error.message);
+    return stocks;
+  }
+}
+
 /**
  * Start cache countdown timer
  */
@@ -213,23 +302,126 @@ function showCacheControls() {
  * Update dashboard summary cards
  */
 function updateDashboard() {
-  const stats = calculatePortfolioStats(stocksData);
+  const topN = portfolio.settings.concentrationTopN || 5;
+  const stats = calculatePortfolioStats(stocksData, {
+    weighting: currentWeighting,
+    targetWeights: portfolio.targetWeights,
+    topN
+  });
+  const weightingLabels = { equal: 'Equal-weighted', value: 'Value-weighted', target: 'Target-weighted' };
 
-  // Average Yield
-  document.getElementById('avg-yield').textContent = formatPercent(stats.avgYield);
+  // Highlight the weighting actually used (may fall back to equal)
+  document.querySelectorAll('.weighting-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.getAttribute('data-weighting') === stats.weighting);
+  });
+
+  // Portfolio Yield
+  document.getElementById('avg-yield').textContent = formatPercent(stats.weightedYield);
+  document.getElementById('avg-yield-subtitle').textContent = `${weightingLabels[stats.weighting]} Dividend Yield`;
 
   // Total Stocks
   document.getElementById('total-stocks').textContent = stats.totalStocks;
 
-  // Annual Income (per $10k invested)
-  const annualIncome = stats.avgYield * portfolio.settings.projectionAmount;
-  document.getElementById('annual-income').textContent = formatCurrency(annualIncome);
+  // Annual Income - real income from holdings in value view, otherwise per $10k invested
+  const totals = calculateHoldingsTotals(stocksData);
+  let grossIncome, netIncome;
+  if (stats.weighting === 'value' && totals.positions > 0) {
+    grossIncome = totals.annualIncome;
+    netIncome = totals.netAnnualIncome;
+    document.getElementById('annual-income-subtitle').textContent = `Gross, from ${totals.positions} held positions`;
+  } else {
+    grossIncome = stats.weightedYield * portfolio.settings.projectionAmount;
+    netIncome = stats.weightedNetYield * portfolio.settings.projectionAmount;
+    document.getElementById('annual-income-subtitle').textContent =
+      `Gross, projected per ${formatCurrency(portfolio.settings.projectionAmount)} invested`;
+  }
+  document.getElementById('annual-income').textContent = formatCurrency(grossIncome);
+
+  // Net Income (after withholding and income tax)
+  const taxShare = grossIncome > 0 ? 1 - netIncome / grossIncome : 0;
+  document.getElementById('net-income').textContent = formatCurrency(netIncome);
+  document.getElementById('net-income-subtitle').textContent = `After ${formatPercent(taxShare, 1)} withholding and taxes`;
 
   // Top Yielder
   if (stats.topYielder) {
     document.getElementById('top-yielder').textContent =
       `${stats.topYielder.ticker} (${formatPercent(stats.topYielder.dividendYield)})`;
   }
+
+  // Weighted Dividend Growth
+  document.getElementById('div-growth').textContent =
+    stats.weightedDividendGrowth === null ? 'N/A' : formatPercent(stats.weightedDividendGrowth);
+
+  // Concentration
+  document.getElementById('concentration').textContent = formatPercent(stats.topNWeight, 1);
+  document.getElementById('concentration-subtitle').textContent =
+    `Top ${topN} Weight · HHI ${stats.herfindahl.toFixed(3)}`;
+}
+
+/**
+ * Update data issues panel (unresolved tickers, unparseable rows, failed sources)
+ */
+function updateDataIssues() {
+  const issues = getDataIssues();
+  const panel = document.getElementById('data-issues');
+  const items = [];
+
+  if (issues.missingTickers.length > 0) {
+    items.push({
+      title: `${issues.missingTickers.length} configured ticker(s) not found in ${issues.source || 'data source'}`,
+      tickers: issues.missingTickers
+    });
+  }
+
+  if (issues.unexpectedTickers.length > 0) {
+    items.push({
+      title: `${issues.unexpectedTickers.length} ticker(s) in ${issues.source || 'data source'} but not in config.js`,
+      tickers: issues.unexpectedTickers
+    });
+  }
+
+  issues.rejectedRows.forEach(rejected => {
+    items.push({
+      title: `Row ${rejected.row} (${rejected.ticker}) skipped - ${rejected.problems.join(', ')}`,
+      tickers: []
+    });
+  });
+
+  if (missingFxCurrencies.length > 0) {
+    items.push({
+      title: `No FX rate for ${missingFxCurrencies.join(', ')} - values shown unconverted (add to fxRates in config.js)`,
+      tickers: stocksData.filter(s => missingFxCurrencies.includes(s.nativeCurrency)).map(s => s.ticker)
+    });
+  }
+
+  issues.sourceErrors.forEach(error => {
+    items.push({ title: `Fallback used - ${error}`, tickers: [] });
+  });
+
+  if (untrackedImports.length > 0) {
+    items.push({
+      title: `${untrackedImports.length} imported position(s) not in config.js tickers - add them to see quotes`,
+      tickers: untrackedImports
+    });
+  }
+
+  if (items.length === 0) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  document.getElementById('data-issues-list').innerHTML = items.map(item => `
+    <div class="issue-item">
+      <div class="issue-title">${item.title}</div>
+      ${item.tickers.length > 0 ? `
+        <div class="issue-tickers">
+          ${item.tickers.map(ticker => `<span class="ticker-symbol">${ticker}</span>`).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+
+  panel.style.display = 'block';
 }
 
 /**
@@ -267,6 +459,34 @@ function updateTable() {
         aVal = a.sector;
         bVal = b.sector;
         break;
+      case 'shares':
+        aVal = a.shares || 0;
+        bVal = b.shares || 0;
+        break;
+      case 'value':
+        aVal = a.marketValue || 0;
+        bVal = b.marketValue || 0;
+        break;
+      case 'gain':
+        aVal = a.unrealizedGain || 0;
+        bVal = b.unrealizedGain || 0;
+        break;
+      case 'yoc':
+        aVal = a.yieldOnCost || 0;
+        bVal = b.yieldOnCost || 0;
+        break;
+      case 'income':
+        aVal = a.annualIncome || 0;
+        bVal = b.annualIncome || 0;
+        break;
+      case 'tax':
+        aVal = a.totalTaxRate || 0;
+        bVal = b.totalTaxRate || 0;
+        break;
+      case 'net':
+        aVal = a.netAnnualIncome || 0;
+        bVal = b.netAnnualIncome || 0;
+        break;
       default:
         aVal = a.dividendYield || 0;
         bVal = b.dividendYield || 0;
@@ -281,15 +501,29 @@ function updateTable() {
 
   sortedStocks.forEach(stock => {
     const row = document.createElement('tr');
+    row.setAttribute('data-ticker', stock.ticker);
+    row.classList.add('clickable-row');
 
     const yieldClass = getYieldClass(stock.dividendYield || 0);
+    const isHeld = stock.shares > 0;
+    const gainClass = stock.unrealizedGain >= 0 ? 'gain-positive' : 'gain-negative';
 
     row.innerHTML = `
       <td><span class="stock-name">${stock.name}</span></td>
       <td><span class="ticker-symbol">${stock.ticker}</span></td>
-      <td><span class="price-value">${formatCurrency(stock.price, stock.currency)}</span></td>
+      <td>
+        <span class="price-value">${formatCurrency(stock.price, stock.currency)}</span>
+        ${stock.nativeCurrency !== stock.currency ? `<span class="native-price">${formatCurrency(stock.nativePrice, stock.nativeCurrency)}</span>` : ''}
+      </td>
       <td><span class="yield-value ${yieldClass}">${formatPercent(stock.dividendYield || 0)}</span></td>
       <td>${formatCurrency(stock.dividend || 0, stock.currency)}</td>
+      <td>${isHeld ? formatShares(stock.shares) : '<span class="not-held">—</span>'}</td>
+      <td>${isHeld ? formatCurrency(stock.marketValue, stock.currency) : '<span class="not-held">—</span>'}</td>
+      <td>${isHeld && stock.costBasis > 0 ? `<span class="${gainClass}">${formatCurrency(stock.unrealizedGain, stock.currency)} (${formatPercent(stock.unrealizedGainPercent)})</span>` : '<span class="not-held">—</span>'}</td>
+      <td>${isHeld && stock.avgCost > 0 ? formatPercent(stock.yieldOnCost) : '<span class="not-held">—</span>'}</td>
+      <td>${isHeld ? formatCurrency(stock.annualIncome, stock.currency) : '<span class="not-held">—</span>'}</td>
+      <td title="${stock.taxCountry} · ${stock.account} · withholding ${formatPercent(stock.withholdingRate || 0, 1)}">${formatPercent(stock.totalTaxRate || 0, 1)}</td>
+      <td>${isHeld ? formatCurrency(stock.netAnnualIncome, stock.currency) : '<span class="not-held">—</span>'}</td>
       <td><span class="sector-tag">${stock.sector}</span></td>
     `;
 
@@ -299,6 +533,13 @@ function updateTable() {
   updateSortIndicators();
 }
 
+/**
+ * Format share count (up to 4 decimals for fractional shares)
+ */
+function formatShares(shares) {
+  return shares.toLocaleString('en-US', { maximumFractionDigits: 4 });
+}
+
 /**
  * Get yield CSS class based on value
  */
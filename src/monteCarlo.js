@@ -0,0 +1,147 @@
+// 🎲 Monte Carlo - Stochastic DCA simulation with random returns and dividend shocks
+// Pure functions so it can run inside a Web Worker (see monteCarloWorker.js)
+
+/**
+ * Seeded random number generator (mulberry32) so a run can be repeated
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function normal(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Value at a percentile of a sorted array (linear interpolation)
+ * @param {Float64Array|number[]} sorted - Ascending values
+ * @param {number} p - Percentile (0-1)
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Run a Monte Carlo DCA simulation
+ * Monthly price returns are log-normal with a median growth of `cagr` per year.
+ * As in calculateDCAScenario, the dividend per share is price × yield × a growth factor;
+ * the factor grows once a year by a normally distributed rate and drops by `cutSize`
+ * with probability `cutProbability` per year. Dividends are reinvested with the same
+ * threshold logic.
+ * @param {Object} params - Simulation parameters
+ * @param {Function} onProgress - Called with the share of paths done (0-1)
+ * @returns {Object} { years, value: {p10, p50, p90}, income: {p10, p50, p90}, probability, probabilityByYear, medianYearReached, paths }
+ */
+export function runMonteCarlo(params, onProgress = () => {}) {
+  const {
+    paths = 1000,
+    years = 10,
+    startingValue = 0,
+    initialInvestment = 0,
+    monthlyDCA = 0,
+    dividendYield = 0.03,
+    cagr = 0.08,
+    dividendGrowth = 0.05,
+    returnVolatility = 0.15, // Annual standard deviation of price returns
+    dividendVolatility = 0.03, // Standard deviation of yearly dividend growth
+    cutProbability = 0, // Chance of a dividend cut per year
+    cutSize = 0.25, // Share of the dividend lost in a cut
+    reinvestThreshold = 50,
+    dividendTaxRate = 0,
+    targetMonthlyIncome = 0, // Net monthly income goal
+    seed
+  } = params;
+
+  const random = createRandom(seed);
+  const monthlyDrift = Math.log(1 + cagr) / 12;
+  const monthlyVolatility = returnVolatility / Math.sqrt(12);
+
+  // values[year][path] and income[year][path] (net monthly run-rate at year end)
+  const values = Array.from({ length: years }, () => new Float64Array(paths));
+  const income = Array.from({ length: years }, () => new Float64Array(paths));
+  const reachedYear = new Int32Array(paths).fill(-1);
+
+  for (let path = 0; path < paths; path++) {
+    let price = 1;
+    let dividendFactor = 1;
+    let shares = startingValue + initialInvestment;
+    let cashBuffer = 0;
+
+    for (let year = 1; year <= years; year++) {
+      for (let month = 1; month <= 12; month++) {
+        price *= Math.exp(monthlyDrift + monthlyVolatility * normal(random));
+
+        if (monthlyDCA > 0) {
+          shares += monthlyDCA / price;
+        }
+
+        cashBuffer += (shares * price * dividendYield * dividendFactor / 12) * (1 - dividendTaxRate);
+
+        if (cashBuffer >= reinvestThreshold) {
+          shares += cashBuffer / price;
+          cashBuffer = 0;
+        }
+      }
+
+      // Dividend changes take effect for the next year
+      dividendFactor *= Math.max(0, 1 + dividendGrowth + dividendVolatility * normal(random));
+      if (cutProbability > 0 && random() < cutProbability) {
+        dividendFactor *= 1 - cutSize;
+      }
+
+      const monthlyIncome = shares * price * dividendYield * dividendFactor * (1 - dividendTaxRate) / 12;
+      values[year - 1][path] = shares * price + cashBuffer;
+      income[year - 1][path] = monthlyIncome;
+
+      if (reachedYear[path] === -1 && targetMonthlyIncome > 0 && monthlyIncome >= targetMonthlyIncome) {
+        reachedYear[path] = year;
+      }
+    }
+
+    if ((path + 1) % 250 === 0) onProgress((path + 1) / paths);
+  }
+
+  const bands = series => {
+    const result = { p10: [], p50: [], p90: [] };
+    series.forEach(yearValues => {
+      const sorted = Float64Array.from(yearValues).sort();
+      result.p10.push(percentile(sorted, 0.1));
+      result.p50.push(percentile(sorted, 0.5));
+      result.p90.push(percentile(sorted, 0.9));
+    });
+    return result;
+  };
+
+  const probabilityByYear = Array.from({ length: years }, (_, i) =>
+    reachedYear.filter(year => year !== -1 && year <= i + 1).length / paths);
+  const reached = Int32Array.from(reachedYear.filter(year => year !== -1)).sort();
+
+  return {
+    years,
+    paths,
+    value: bands(values),
+    income: bands(income),
+    probability: targetMonthlyIncome > 0 ? probabilityByYear[years - 1] : null,
+    probabilityByYear,
+    // Year by which half of all paths reached the target (null if fewer than half ever do)
+    medianYearReached: reached.length >= paths / 2 ? reached[Math.ceil(paths / 2) - 1] : null
+  };
+}
@@ -0,0 +1,13 @@
+// 🎲 Monte Carlo Worker - Runs simulations off the main thread
+// Messages in: simulation params; out: { type: 'progress' | 'result' | 'error' }
+
+import { runMonteCarlo } from './monteCarlo.js';
+
+self.onmessage = (e) => {
+  try {
+    const result = runMonteCarlo(e.data, progress => self.postMessage({ type: 'progress', progress }));
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,190 @@
+// 🔢 Number Parsing - Locale-aware numbers, percents and currency values
+// Sheet cells arrive as text like "1,234.50", "1.234,50", "3,5 %" or "C$146.50"
+
+// Currency symbols/prefixes recognized in cells (longest first)
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['A$', 'AUD'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['CHF', 'CHF']
+];
+
+const CURRENCY_CODE = /\b(USD|CAD|EUR|GBP|JPY|CHF|AUD)\b/i;
+
+// Separator cache per locale
+const separatorCache = {};
+
+/**
+ * Get decimal and group separators for a locale
+ * @param {string} locale - 'auto' or a BCP 47 locale (e.g. 'en-US', 'de-DE')
+ * @returns {Object|null} { decimal, group } or null for 'auto'
+ */
+export function getSeparators(locale = 'auto') {
+  if (!locale || locale === 'auto') return null;
+
+  if (!separatorCache[locale]) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    separatorCache[locale] = {
+      decimal: parts.find(p => p.type === 'decimal')?.value || '.',
+      group: parts.find(p => p.type === 'group')?.value || ','
+    };
+  }
+
+  return separatorCache[locale];
+}
+
+/**
+ * Decimal separator a cleaned numeric string settles on its own, or null
+ * "1.234,50" / "3,5" / "0,125" -> ',' | "1,234.50" / "1.02" / "1,234,567" -> '.' | "1,234" / "3.187" -> null
+ */
+function provenDecimal(text) {
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    return lastDot > lastComma ? '.' : ',';
+  }
+
+  if (lastDot === -1 && lastComma === -1) return null;
+
+  const separator = lastComma !== -1 ? ',' : '.';
+  const last = Math.max(lastDot, lastComma);
+
+  // A repeated separator can only be grouping: "1,234,567"
+  if (text.indexOf(separator) !== last) {
+    return separator === ',' ? '.' : ',';
+  }
+
+  // Grouping needs 1-3 leading digits (not a lone 0) and exactly three after it
+  return /^[+-]?[1-9]\d{0,2}[.,]\d{3}$/.test(text) ? null : separator;
+}
+
+/**
+ * Guess the decimal separator of a cleaned numeric string
+ * "3.187" reads as a decimal point (as in the sheet exports); a lone "1,234" could be
+ * 1234 or 1.234, so it is left undecided (null) rather than guessed.
+ */
+function guessDecimal(text) {
+  const proven = provenDecimal(text);
+  if (proven) return proven;
+  return text.includes(',') ? null : '.';
+}
+
+/**
+ * Keep only the characters that matter for the separators ("C$1.234,50" -> "1.234,50")
+ */
+function numericCore(value) {
+  return String(value ?? '').replace(/[^\d.,+-]/g, '');
+}
+
+/**
+ * Resolve 'auto' for a column from the values that settle their own format
+ * If every such value agrees ("1.02", "5.58%" or "3,5", "1.234,50"), ambiguous cells
+ * like "1,234" are read the same way; mixed or no evidence stays 'auto'.
+ * @param {Array} values - Raw cells of one column (or one file)
+ * @param {string} locale - Configured locale
+ * @returns {string} The configured locale, 'en-US' / 'de-DE' decided by the column, or 'auto'
+ */
+export function resolveLocale(values, locale = 'auto') {
+  if (locale && locale !== 'auto') return locale;
+
+  const decimals = new Set();
+  values.forEach(value => {
+    const text = numericCore(typeof value === 'string' ? value : '');
+    if (!/\d/.test(text)) return;
+    const decimal = provenDecimal(text);
+    if (decimal) decimals.add(decimal);
+  });
+
+  if (decimals.size !== 1) return 'auto';
+  return decimals.has(',') ? 'de-DE' : 'en-US';
+}
+
+/**
+ * Check whether a cell can't be parsed in 'auto' only because its separator is ambiguous
+ * @param {string|number} value - Raw cell value
+ * @param {string} locale - Locale the cell was parsed with
+ * @returns {boolean} True for cells like "1,234" in 'auto'
+ */
+export function isAmbiguousNumber(value, locale = 'auto') {
+  if (typeof value === 'number' || (locale && locale !== 'auto')) return false;
+  const text = numericCore(value);
+  return /\d/.test(text) && guessDecimal(text) === null;
+}
+
+/**
+ * Parse a locale-formatted number
+ * @param {string|number} value - Raw cell value
+ * @param {string} locale - 'auto' (guess) or a BCP 47 locale
+ * @returns {number} Parsed number or NaN if the value is not a number
+ */
+export function parseNumber(value, locale = 'auto') {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return NaN;
+
+  let text = String(value)
+    .replace(/[\s\u00A0\u202F]/g, '') // spaces, incl. non-breaking
+    .replace(/^\((.*)\)$/, '-$1') // accounting negatives: (12.50)
+    .replace(/\u2212/g, '-'); // unicode minus
+
+  if (!text) return NaN;
+
+  const separators = getSeparators(locale);
+  const decimal = separators ? separators.decimal : guessDecimal(text);
+  // Refuse to guess "1,234" - see resolveLocale
+  if (!decimal) return NaN;
+
+  const group = separators ? separators.group : (decimal === '.' ? ',' : '.');
+
+  // Whitespace groups (fr-FR etc.) were already stripped above
+  text = text.split(group).join('');
+  if (decimal !== '.') text = text.replace(decimal, '.');
+
+  // Whole string must be a number
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) return NaN;
+
+  return parseFloat(text);
+}
+
+/**
+ * Parse a percentage into a decimal (0.05 = 5%)
+ * @param {string|number} value - Raw cell value ("5.58%", "3,5 %", 0.0558)
+ * @param {string} locale - 'auto' or a BCP 47 locale
+ * @param {boolean} percentValues - Treat bare numbers as percent (5.58 -> 0.0558)
+ * @returns {number} Decimal value or NaN
+ */
+export function parsePercent(value, locale = 'auto', percentValues = true) {
+  const text = String(value ?? '');
+  const hasSign = text.includes('%');
+  const number = parseNumber(text.replace('%', ''), locale);
+
+  if (isNaN(number)) return NaN;
+  return hasSign || percentValues ? number / 100 : number;
+}
+
+/**
+ * Parse a currency value, stripping symbols and codes
+ * @param {string|number} value - Raw cell value ("$57.98", "C$ 146,50", "12.30 EUR")
+ * @param {string} locale - 'auto' or a BCP 47 locale
+ * @returns {Object} { value, currency } - currency is null if none found
+ */
+export function parseCurrency(value, locale = 'auto') {
+  if (typeof value === 'number') return { value, currency: null };
+
+  let text = String(value ?? '').trim();
+  let currency = null;
+
+  const code = text.match(CURRENCY_CODE);
+  if (code) {
+    currency = code[1].toUpperCase();
+    text = text.replace(CURRENCY_CODE, '');
+  }
+
+  for (const [symbol, symbolCurrency] of CURRENCY_SYMBOLS) {
+    if (text.includes(symbol)) {
+      currency = currency || symbolCurrency;
+      text = text.replace(symbol, '');
+      break;
+    }
+  }
+
+  return { value: parseNumber(text, locale), currency };
+}
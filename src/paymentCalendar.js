@@ -0,0 +1,213 @@
+// 🗓️ Payment Calendar - Year-aware month grids and an upcoming payments agenda
+// Payments due on weekends or exchange holidays move to the next business day
+
+import { portfolio } from '../config.js';
+import { MONTHS } from './paymentSchedule.js';
+import { getExchangeHolidays, nextBusinessDay } from './holidays.js';
+import { formatCurrency } from './api/yahooFinance.js';
+import { toLocalISODate } from './dates.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the exchange whose holidays apply to a ticker
+ * Per-ticker override > exchange of the trading currency > default exchange.
+ * @param {Object} stock - Position (nativeCurrency) or { ticker }
+ * @returns {string} 'NYSE' or 'TSX'
+ */
+export function getTickerExchange(stock) {
+  const calendar = portfolio.calendar || {};
+  return calendar.exchanges?.[stock.ticker] ||
+    calendar.currencyExchanges?.[stock.nativeCurrency || stock.currency] ||
+    calendar.defaultExchange ||
+    'NYSE';
+}
+
+/**
+ * Place the payment grid on real dates for a year
+ * Days past the end of a month (Feb 30) fall on the month's last day, then
+ * weekends and holidays move to the next business day - which can roll a
+ * December payment into the next year, so the previous December is checked too.
+ * @param {Object[]} paymentData - Days × months grid
+ * @param {number} year - Calendar year
+ * @param {Object[]} stocksData - Positions (for each ticker's exchange)
+ * @returns {Object[]} [{ ticker, date, scheduled, shifted, exchange }] sorted by date
+ */
+export function getPaymentDates(paymentData, year, stocksData = []) {
+  const stocks = Object.fromEntries(stocksData.map(stock => [stock.ticker, stock]));
+  const extraHolidays = portfolio.calendar?.extraHolidays || {};
+  const payments = [];
+
+  [year - 1, year].forEach(gridYear => {
+    paymentData.forEach(dayData => {
+      Object.entries(dayData.months).forEach(([month, tickers]) => {
+        const monthIndex = MONTHS.indexOf(month);
+        if (monthIndex === -1 || (gridYear < year && monthIndex !== 11)) return;
+
+        const lastDay = new Date(Date.UTC(gridYear, monthIndex + 1, 0)).getUTCDate();
+        const scheduled = new Date(Date.UTC(gridYear, monthIndex, Math.min(dayData.day, lastDay)))
+          .toISOString().slice(0, 10);
+
+        tickers.forEach(ticker => {
+          const exchange = getTickerExchange(stocks[ticker] || { ticker });
+          const date = nextBusinessDay(scheduled, exchange, extraHolidays[exchange]);
+
+          if (date.startsWith(String(year))) {
+            payments.push({ ticker, date, scheduled, shifted: date !== scheduled, exchange });
+          }
+        });
+      });
+    });
+  });
+
+  return payments.sort((a, b) => a.date.localeCompare(b.date) || a.ticker.localeCompare(b.ticker));
+}
+
+/**
+ * Get payments in the next N days
+ * @param {Object[]} paymentData - Days × months grid
+ * @param {number} days - Window length (30, 60, 90)
+ * @param {Object[]} stocksData - Positions
+ * @param {Date} asOf - Start of the window
+ * @returns {Object[]} Payment dates (see getPaymentDates) within the window
+ */
+export function getUpcomingPayments(paymentData, days, stocksData = [], asOf = new Date()) {
+  const from = toLocalISODate(asOf);
+  const start = new Date(`${from}T00:00:00Z`);
+  const end = new Date(start.getTime() + days * DAY);
+  const to = end.toISOString().slice(0, 10);
+
+  const years = [...new Set([start.getUTCFullYear(), end.getUTCFullYear()])];
+  return years
+    .flatMap(year => getPaymentDates(paymentData, year, stocksData))
+    .filter(p => p.date >= from && p.date <= to);
+}
+
+/**
+ * Payment badge with amount and shift details
+ */
+function renderBadge(payment, tickerMap, perPayment) {
+  const name = tickerMap[payment.ticker] || payment.ticker;
+  const amount = perPayment[payment.ticker];
+  const details = [
+    `${name} (${payment.ticker})`,
+    amount ? formatCurrency(amount) : null,
+    payment.shifted ? `scheduled ${payment.scheduled}, moved to next ${payment.exchange} business day` : null
+  ].filter(Boolean).join(' - ');
+
+  return `<span class="payment-badge ${payment.shifted ? 'shifted' : ''}" data-ticker="${payment.ticker}" data-company="${name}" title="${details}">${payment.ticker}${amount ? `<span class="badge-amount">${formatCurrency(amount)}</span>` : ''}</span>`;
+}
+
+/**
+ * Render twelve month grids for a year
+ * @param {Object[]} paymentData - Days × months grid
+ * @param {number} year - Calendar year
+ * @param {Object[]} stocksData - Positions
+ * @param {Object} perPayment - Expected cash per payment by ticker
+ * @returns {string} HTML
+ */
+export function renderYearCalendar(paymentData, year, stocksData = [], perPayment = {}) {
+  const tickerMap = Object.fromEntries(stocksData.map(stock => [stock.ticker, stock.name]));
+  const exchange = portfolio.calendar?.defaultExchange || 'NYSE';
+  const holidays = getExchangeHolidays(exchange, year, portfolio.calendar?.extraHolidays?.[exchange]);
+  const today = toLocalISODate();
+
+  const byDate = {};
+  getPaymentDates(paymentData, year, stocksData).forEach(payment => {
+    (byDate[payment.date] = byDate[payment.date] || []).push(payment);
+  });
+
+  return `
+    <div class="year-calendar">
+      ${MONTHS.map((month, monthIndex) => {
+        const firstWeekday = new Date(Date.UTC(year, monthIndex, 1)).getUTCDay();
+        const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+        const monthTotal = Object.entries(byDate)
+          .filter(([date]) => Number(date.slice(5, 7)) === monthIndex + 1)
+          .flatMap(([, payments]) => payments)
+          .reduce((sum, p) => sum + (perPayment[p.ticker] || 0), 0);
+
+        return `
+          <div class="month-grid">
+            <div class="month-grid-header">
+              <span>${month} ${year}</span>
+              ${monthTotal > 0 ? `<span class="month-grid-total">${formatCurrency(monthTotal)}</span>` : ''}
+            </div>
+            <div class="month-grid-days">
+              ${WEEKDAYS.map(day => `<div class="weekday-header">${day}</div>`).join('')}
+              ${Array.from({ length: firstWeekday }, () => '<div class="date-cell empty"></div>').join('')}
+              ${Array.from({ length: daysInMonth }, (_, i) => {
+                const date = `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(i + 1).padStart(2, '0')}`;
+                const weekday = (firstWeekday + i) % 7;
+                const classes = [
+                  'date-cell',
+                  weekday === 0 || weekday === 6 ? 'weekend' : '',
+                  holidays[date] ? 'holiday' : '',
+                  date === today ? 'today' : ''
+                ].filter(Boolean).join(' ');
+
+                return `
+                  <div class="${classes}" ${holidays[date] ? `title="${holidays[date]} (${exchange})"` : ''}>
+                    <span class="date-number">${i + 1}</span>
+                    ${(byDate[date] || []).map(p => renderBadge(p, tickerMap, perPayment)).join('')}
+                  </div>
+                `;
+              }).join('')}
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render the upcoming payments agenda
+ * @param {Object[]} paymentData - Days × months grid
+ * @param {number} days - Window length (30, 60, 90)
+ * @param {Object[]} stocksData - Positions
+ * @param {Object} perPayment - Expected cash per payment by ticker
+ * @returns {string} HTML
+ */
+export function renderAgenda(paymentData, days, stocksData = [], perPayment = {}) {
+  const tickerMap = Object.fromEntries(stocksData.map(stock => [stock.ticker, stock.name]));
+  const upcoming = getUpcomingPayments(paymentData, days, stocksData);
+  const total = upcoming.reduce((sum, p) => sum + (perPayment[p.ticker] || 0), 0);
+  const today = new Date(`${toLocalISODate()}T00:00:00Z`);
+
+  if (upcoming.length === 0) {
+    return `<p class="agenda-empty">No payments expected in the next ${days} days.</p>`;
+  }
+
+  return `
+    <div class="agenda">
+      <div class="agenda-summary">
+        ${upcoming.length} payments in the next ${days} days${total > 0 ? ` · <strong>${formatCurrency(total)}</strong> expected` : ''}
+      </div>
+      ${upcoming.map(payment => {
+        const date = new Date(`${payment.date}T00:00:00Z`);
+        const inDays = Math.round((date - today) / DAY);
+        const amount = perPayment[payment.ticker];
+
+        return `
+          <div class="agenda-item">
+            <div class="agenda-date">
+              <span class="agenda-weekday">${WEEKDAYS[date.getUTCDay()]}</span>
+              <span>${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}</span>
+            </div>
+            <div class="agenda-details">
+              <span class="ticker-symbol">${payment.ticker}</span>
+              <span class="agenda-name">${tickerMap[payment.ticker] || ''}</span>
+              ${payment.shifted ? `<span class="agenda-shifted" title="Scheduled ${payment.scheduled}">moved from ${payment.scheduled}</span>` : ''}
+            </div>
+            <div class="agenda-amount">
+              ${amount ? formatCurrency(amount) : ''}
+              <span class="agenda-in">${inDays === 0 ? 'today' : `in ${inDays} days`}</span>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
@@ -1,32 +1,18 @@
 // 📅 Payment Matrix - Monthly Dividend Calendar
-// Fetches and displays dividend payment schedule from Google Sheets
+// Projects the payment schedule from dividend history and/or the Google Sheets grid
 
-const PAYMENT_CSV_URL = 'https://docs.google.com/spreadsheets/d/1CbvYPrHJnY73xLZU-ZNsnU5QNY_cy9kCKL1Cy3smA1k/export?format=csv&gid=1310176428';
+import { portfolio } from '../config.js';
+import { parseCSVRows, findHeaderRow, isEmptyRow } from './csv.js';
+import { formatCurrency } from './api/yahooFinance.js';
+import { loadDividendHistories } from './api/dividendHistory.js';
+import { projectPayments, buildPaymentGrid, comparePaymentGrids, mergePaymentGrids } from './paymentSchedule.js';
+import { buildPaymentEvents, buildICS, downloadICS } from './icsExport.js';
+import { renderYearCalendar, renderAgenda } from './paymentCalendar.js';
 
-/**
- * Parse a CSV line respecting quoted fields
- */
-function parseCSVLine(line) {
-  const values = [];
-  let currentValue = '';
-  let insideQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      insideQuotes = !insideQuotes;
-    } else if (char === ',' && !insideQuotes) {
-      values.push(currentValue.trim());
-      currentValue = '';
-    } else {
-      currentValue += char;
-    }
-  }
+const PAYMENT_CSV_URL = 'https://docs.google.com/spreadsheets/d/1CbvYPrHJnY73xLZU-ZNsnU5QNY_cy9kCKL1Cy3smA1k/export?format=csv&gid=1310176428';
 
-  values.push(currentValue.trim());
-  return values;
-}
+// Shared schedule request (payment tab and ticker detail drawer)
+let schedulePromise = null;
 
 /**
  * Fetch and parse payment schedule CSV
@@ -42,35 +28,32 @@ export async function fetchPaymentSchedule() {
     }
 
     const csvText = await response.text();
-    const lines = csvText.trim().split('\n');
+    const rows = parseCSVRows(csvText);
 
     // Find header row (contains month names)
-    let headerIndex = -1;
-    for (let i = 0; i < Math.min(5, lines.length); i++) {
-      const line = lines[i];
-      if (line.includes('Jan') || line.includes('Feb') || line.includes('Mar')) {
-        headerIndex = i;
-        console.log(`✅ Found header row at line ${i + 1}`);
-        break;
-      }
-    }
+    const headerIndex = findHeaderRow(
+      rows,
+      values => values.includes('Jan') || values.includes('Feb') || values.includes('Mar'),
+      5
+    );
 
     if (headerIndex === -1) {
       throw new Error('Could not find payment schedule header row');
     }
 
-    const headers = parseCSVLine(lines[headerIndex]);
+    console.log(`✅ Found header row at line ${headerIndex + 1}`);
+
+    const headers = rows[headerIndex];
     console.log('📋 Payment Schedule Headers:', headers);
 
     // Parse payment data
     const paymentData = [];
 
-    for (let i = headerIndex + 1; i < lines.length; i++) {
-      const values = parseCSVLine(lines[i]);
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+      const values = rows[i];
 
       // Skip empty rows
-      if (values.filter(v => v).length === 0) continue;
-      if (values.every(v => !v)) continue;
+      if (isEmptyRow(values)) continue;
 
       const dayNumber = parseInt(values[0]);
 
@@ -102,10 +85,161 @@ export async function fetchPaymentSchedule() {
   }
 }
 
+/**
+ * Build the payment schedule according to portfolio.paymentSchedule.mode
+ * - sheet:   the hand-maintained Google Sheets grid only
+ * - derived: projected from dividend history only
+ * - auto:    projected where history exists, sheet grid for the rest,
+ *            with mismatches flagged when both are available
+ * @returns {Promise<Object>} { paymentData, source, projections, mismatches, sheetError }
+ */
+async function buildSchedule() {
+  const { mode = 'auto', horizonMonths = 12, dayTolerance = 5 } = portfolio.paymentSchedule || {};
+  const useHistory = mode !== 'sheet' && portfolio.dividendHistory?.source;
+
+  let projections = [];
+  if (useHistory) {
+    try {
+      const histories = await loadDividendHistories(portfolio.tickers);
+      projections = projectPayments(histories, { horizonMonths: Math.max(12, horizonMonths) });
+      console.log(`🗓️ Projected ${projections.length} payments from dividend history`);
+    } catch (error) {
+      console.warn('⚠️ Could not project payments from dividend history:', error.message);
+    }
+  }
+
+  if (projections.length === 0) {
+    if (mode === 'derived') {
+      throw new Error('No dividend history to project payments from (configure dividendHistory in config.js)');
+    }
+    return { paymentData: await fetchPaymentSchedule(), source: 'sheet', projections: [], mismatches: [] };
+  }
+
+  const derived = buildPaymentGrid(projections);
+  if (mode === 'derived') {
+    return { paymentData: derived, source: 'derived', projections, mismatches: [] };
+  }
+
+  // auto - the sheet fills in tickers without history and is checked against projections
+  try {
+    const sheet = await fetchPaymentSchedule();
+    return {
+      paymentData: mergePaymentGrids(derived, sheet),
+      source: 'auto',
+      projections,
+      mismatches: comparePaymentGrids(derived, sheet, dayTolerance)
+    };
+  } catch (error) {
+    return { paymentData: derived, source: 'derived', projections, mismatches: [], sheetError: error.message };
+  }
+}
+
+/**
+ * Get the payment schedule, building it only once per page load
+ * @returns {Promise<Object>} { paymentData, source, projections, mismatches, sheetError }
+ */
+export function loadPaymentSchedule() {
+  if (!schedulePromise) {
+    schedulePromise = buildSchedule();
+    // Allow retrying after a failed fetch
+    schedulePromise.catch(() => { schedulePromise = null; });
+  }
+  return schedulePromise;
+}
+
+/**
+ * Get the payment grid (days × months)
+ * @returns {Promise<Object[]>} Payment data in the fetchPaymentSchedule shape
+ */
+export async function getPaymentSchedule() {
+  return (await loadPaymentSchedule()).paymentData;
+}
+
+/**
+ * Find the months (and days) a ticker pays in
+ * @param {Object[]} paymentData - Payment data from fetchPaymentSchedule
+ * @param {string} ticker - Stock ticker
+ * @returns {Object[]} [{ month, day }] in calendar order
+ */
+export function getPaymentMonths(paymentData, ticker) {
+  if (!paymentData || paymentData.length === 0) return [];
+
+  const payments = [];
+  Object.keys(paymentData[0].months).forEach(month => {
+    paymentData.forEach(dayData => {
+      if ((dayData.months[month] || []).includes(ticker)) {
+        payments.push({ month, day: dayData.day });
+      }
+    });
+  });
+
+  return payments;
+}
+
+/**
+ * Calculate the expected cash of each payment and each month
+ * A payment is the holding's annual income (shares × annual dividend) split over the
+ * payments the schedule lists for it, so the months add up to the annual income. Tickers
+ * missing from the schedule fall back to their dividend history frequency. When history
+ * and schedule disagree on the number of payments, the ticker is reported.
+ * @param {Object[]} paymentData - Payment data from fetchPaymentSchedule
+ * @param {Object[]} stocksData - Positions (shares, annualIncome, dividendMetrics)
+ * @returns {Object} { perPayment: {ticker: amount}, monthlyIncome: {month: amount}, annualIncome,
+ *                     frequencyMismatches: [{ ticker, frequency, scheduled }] }
+ */
+export function calculatePaymentAmounts(paymentData, stocksData = []) {
+  const months = paymentData.length > 0 ? Object.keys(paymentData[0].months) : [];
+
+  // Payments per ticker in the schedule
+  const scheduleCounts = {};
+  paymentData.forEach(dayData => {
+    months.forEach(month => {
+      (dayData.months[month] || []).forEach(ticker => {
+        scheduleCounts[ticker] = (scheduleCounts[ticker] || 0) + 1;
+      });
+    });
+  });
+
+  const perPayment = {};
+  const frequencyMismatches = [];
+  stocksData.forEach(stock => {
+    const frequency = stock.dividendMetrics?.frequency;
+    const scheduled = scheduleCounts[stock.ticker];
+    if (frequency && scheduled && frequency !== scheduled) {
+      frequencyMismatches.push({ ticker: stock.ticker, frequency, scheduled });
+    }
+
+    const payments = scheduled || frequency;
+    if (stock.annualIncome > 0 && payments) {
+      perPayment[stock.ticker] = stock.annualIncome / payments;
+    }
+  });
+
+  const monthlyIncome = {};
+  months.forEach(month => {
+    monthlyIncome[month] = 0;
+    paymentData.forEach(dayData => {
+      (dayData.months[month] || []).forEach(ticker => {
+        monthlyIncome[month] += perPayment[ticker] || 0;
+      });
+    });
+  });
+
+  return {
+    perPayment,
+    monthlyIncome,
+    annualIncome: Object.values(monthlyIncome).reduce((sum, amount) => sum + amount, 0),
+    frequencyMismatches
+  };
+}
+
 /**
  * Render payment matrix calendar
+ * @param {Object[]} paymentData - Days × months grid
+ * @param {Object[]} stocksData - Positions (names and amounts)
+ * @param {Object} schedule - { source, projections, mismatches, sheetError } from loadPaymentSchedule
  */
-export function renderPaymentMatrix(paymentData, stocksData = []) {
+export function renderPaymentMatrix(paymentData, stocksData = [], schedule = {}) {
   const container = document.getElementById('payment-matrix');
 
   if (!paymentData || paymentData.length === 0) {
@@ -131,56 +265,107 @@ export function renderPaymentMatrix(paymentData, stocksData = []) {
     });
   });
 
+  // Expected cash per payment and per month (only for held positions)
+  const { perPayment, monthlyIncome, annualIncome, frequencyMismatches } = calculatePaymentAmounts(paymentData, stocksData);
+  const hasIncome = annualIncome > 0;
+
   // Build HTML
   let html = `
     <div class="payment-summary">
       <div class="payment-header">
         <h3>Monthly Payment Summary</h3>
-        <div class="search-box">
-          <span class="material-symbols-outlined search-icon">search</span>
-          <input type="text" id="payment-search" placeholder="Search by ticker or company...">
+        <div class="payment-actions">
+          <label class="ics-option" title="Adds an event with a reminder on each projected ex-dividend date">
+            <input type="checkbox" id="ics-ex-dates"> Ex-date reminders
+          </label>
+          <button id="ics-export-btn" class="btn-secondary" title="Download payments for your calendar app">
+            <span class="material-symbols-outlined">event</span>
+            Export .ics
+          </button>
+          <div class="search-box">
+            <span class="material-symbols-outlined search-icon">search</span>
+            <input type="text" id="payment-search" placeholder="Search by ticker or company...">
+          </div>
         </div>
       </div>
       <div class="monthly-totals">
         ${months.map(month => `
           <div class="month-total">
             <div class="month-name">${month}</div>
-            <div class="payment-count">${monthlyTotals[month]} payments</div>
+            ${hasIncome ? `
+              <div class="payment-count">${formatCurrency(monthlyIncome[month])}</div>
+              <div class="payment-subcount">${monthlyTotals[month]} payments</div>
+            ` : `
+              <div class="payment-count">${monthlyTotals[month]} payments</div>
+            `}
           </div>
         `).join('')}
       </div>
+      ${hasIncome ? `
+        <div class="payment-income-chart">
+          <canvas id="payment-income-chart"></canvas>
+        </div>
+      ` : ''}
     </div>
 
-    <div class="payment-calendar">
-      <div class="calendar-header">
-        <div class="day-header">Day</div>
-        ${months.map(month => `<div class="month-header">${month}</div>`).join('')}
+    <div class="view-controls">
+      <div class="view-toggle">
+        <button class="view-btn active" data-view="matrix">Matrix</button>
+        <button class="view-btn" data-view="calendar">Calendar</button>
+        <button class="view-btn" data-view="agenda">Agenda</button>
       </div>
+      <select id="calendar-year" class="view-select" data-for="calendar" style="display: none;">
+        ${[0, 1, 2].map(offset => {
+          const year = new Date().getFullYear() - 1 + offset;
+          return `<option value="${year}" ${offset === 1 ? 'selected' : ''}>${year}</option>`;
+        }).join('')}
+      </select>
+      <select id="agenda-days" class="view-select" data-for="agenda" style="display: none;">
+        <option value="30">Next 30 days</option>
+        <option value="60">Next 60 days</option>
+        <option value="90">Next 90 days</option>
+      </select>
+    </div>
 
-      <div class="calendar-body">
-        ${paymentData.map(dayData => `
-          <div class="calendar-row" data-day="${dayData.day}">
-            <div class="day-cell">${dayData.day}</div>
-            ${months.map(month => {
-              const payments = dayData.months[month] || [];
-              return `
-                <div class="payment-cell ${payments.length > 0 ? 'has-payments' : ''}" data-month="${month}">
-                  ${payments.length > 0 ? `
-                    <div class="payment-badges">
-                      ${payments.map(ticker => {
-                        const companyName = tickerMap[ticker] || ticker;
-                        return `<span class="payment-badge" data-ticker="${ticker}" data-company="${companyName}" title="${companyName} (${ticker})">${ticker}</span>`;
-                      }).join('')}
-                    </div>
-                  ` : ''}
-                </div>
-              `;
-            }).join('')}
-          </div>
-        `).join('')}
+    <div class="payment-view" id="payment-view-matrix">
+      <div class="payment-calendar">
+        <div class="calendar-header">
+          <div class="day-header">Day</div>
+          ${months.map(month => `<div class="month-header">${month}</div>`).join('')}
+        </div>
+
+        <div class="calendar-body">
+          ${paymentData.map(dayData => `
+            <div class="calendar-row" data-day="${dayData.day}">
+              <div class="day-cell">${dayData.day}</div>
+              ${months.map(month => {
+                const payments = dayData.months[month] || [];
+                return `
+                  <div class="payment-cell ${payments.length > 0 ? 'has-payments' : ''}" data-month="${month}">
+                    ${payments.length > 0 ? `
+                      <div class="payment-badges">
+                        ${payments.map(ticker => {
+                          const companyName = tickerMap[ticker] || ticker;
+                          const amount = perPayment[ticker];
+                          const title = amount ? `${companyName} (${ticker}) - ${formatCurrency(amount)}` : `${companyName} (${ticker})`;
+                          return `<span class="payment-badge" data-ticker="${ticker}" data-company="${companyName}" title="${title}">${ticker}${amount ? `<span class="badge-amount">${formatCurrency(amount)}</span>` : ''}</span>`;
+                        }).join('')}
+                      </div>
+                    ` : ''}
+                  </div>
+                `;
+              }).join('')}
+            </div>
+          `).join('')}
+        </div>
       </div>
     </div>
 
+    <div class="payment-view" id="payment-view-calendar" style="display: none;"></div>
+    <div class="payment-view" id="payment-view-agenda" style="display: none;"></div>
+
+    ${renderScheduleSource(schedule, frequencyMismatches)}
+
     <div class="payment-note">
       <span class="material-symbols-outlined">info</span>
       <p><strong>Note:</strong> These are not likely to be the actual dates you get paid! Each year the payment dates vary, however this is a rough estimate of when the companies will pay out. It might be that you get paid multiple dividends on the same day. It's also the case that there are delays between brokers receiving the dividend and paying it to you.</p>
@@ -189,8 +374,200 @@ export function renderPaymentMatrix(paymentData, stocksData = []) {
 
   container.innerHTML = html;
 
+  if (hasIncome) {
+    renderIncomeChart(months, monthlyIncome);
+  }
+
   // Setup search filter
   setupPaymentSearch();
+
+  // Setup calendar export
+  setupICSExport({ ...schedule, paymentData }, stocksData, perPayment);
+
+  // Setup matrix / calendar / agenda views
+  setupViewToggle(paymentData, stocksData, perPayment);
+}
+
+/**
+ * Setup switching between the day × month matrix, the year calendar and the agenda
+ * Calendar and agenda are rendered when shown (and re-rendered on year/range change).
+ */
+function setupViewToggle(paymentData, stocksData, perPayment) {
+  const yearSelect = document.getElementById('calendar-year');
+  const daysSelect = document.getElementById('agenda-days');
+  let currentView = 'matrix';
+
+  const render = () => {
+    if (currentView === 'calendar') {
+      document.getElementById('payment-view-calendar').innerHTML =
+        renderYearCalendar(paymentData, parseInt(yearSelect.value), stocksData, perPayment);
+    } else if (currentView === 'agenda') {
+      document.getElementById('payment-view-agenda').innerHTML =
+        renderAgenda(paymentData, parseInt(daysSelect.value), stocksData, perPayment);
+    }
+
+    // Keep the search filter applied to newly rendered badges
+    document.getElementById('payment-search')?.dispatchEvent(new Event('input'));
+  };
+
+  document.querySelectorAll('.view-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      currentView = btn.getAttribute('data-view');
+
+      document.querySelectorAll('.view-btn').forEach(b => b.classList.toggle('active', b === btn));
+      document.querySelectorAll('.payment-view').forEach(view => {
+        view.style.display = view.id === `payment-view-${currentView}` ? '' : 'none';
+      });
+      document.querySelectorAll('.view-select').forEach(select => {
+        select.style.display = select.getAttribute('data-for') === currentView ? '' : 'none';
+      });
+
+      render();
+    });
+  });
+
+  yearSelect.addEventListener('change', render);
+  daysSelect.addEventListener('change', render);
+}
+
+/**
+ * Setup .ics export of the next 12 months of payments
+ */
+function setupICSExport(schedule, stocksData, perPayment) {
+  const button = document.getElementById('ics-export-btn');
+  if (!button) return;
+
+  button.addEventListener('click', () => {
+    const includeExDates = document.getElementById('ics-ex-dates').checked;
+    const events = buildPaymentEvents(schedule, stocksData, perPayment, { includeExDates });
+
+    if (events.length === 0) {
+      alert('No upcoming payments to export.');
+      return;
+    }
+
+    downloadICS(buildICS(events));
+    console.log(`📆 Exported ${events.length} calendar events`);
+  });
+}
+
+/**
+ * Render where the schedule came from, any sheet/projection mismatches and
+ * tickers whose schedule lists a different number of payments than their history
+ */
+function renderScheduleSource(schedule, frequencyMismatches = []) {
+  const mismatches = schedule.mismatches || [];
+  const showSource = schedule.source && schedule.source !== 'sheet';
+  if (!showSource && frequencyMismatches.length === 0) return '';
+
+  const projectedTickers = new Set((schedule.projections || []).map(p => p.ticker)).size;
+  const labels = {
+    missing: 'projected but not in sheet',
+    extra: 'in sheet but not projected',
+    day: 'different day'
+  };
+  const count = mismatches.length + frequencyMismatches.length;
+
+  return `
+    <div class="schedule-source">
+      ${showSource ? `
+        <p>
+          <span class="material-symbols-outlined">auto_awesome</span>
+          Projected from dividend history for ${projectedTickers} tickers${schedule.source === 'auto' ? ', sheet grid for the rest' : ''}.
+          ${schedule.sheetError ? `Sheet unavailable (${schedule.sheetError}).` : ''}
+        </p>
+      ` : ''}
+      ${count > 0 ? `
+        <div class="issues-card schedule-mismatches">
+          <div class="issues-header">
+            <span class="material-symbols-outlined">warning</span>
+            <h3>${count} schedule difference(s)</h3>
+          </div>
+          ${mismatches.map(m => `
+            <div class="issue-item">
+              <div class="issue-title">
+                <span class="ticker-symbol">${m.ticker}</span> ${m.month} - ${labels[m.type]}
+                (sheet: ${m.sheetDays.join(', ') || '—'}, projected: ${m.derivedDays.join(', ') || '—'})
+              </div>
+            </div>
+          `).join('')}
+          ${frequencyMismatches.map(m => `
+            <div class="issue-item">
+              <div class="issue-title">
+                <span class="ticker-symbol">${m.ticker}</span> - ${m.scheduled} payment(s) scheduled, ${m.frequency} per year in dividend history
+                (annual income split over the ${m.scheduled} scheduled)
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render monthly income bar chart (months below average highlighted)
+ */
+function renderIncomeChart(months, monthlyIncome) {
+  const ctx = document.getElementById('payment-income-chart').getContext('2d');
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const data = months.map(month => monthlyIncome[month]);
+  const average = data.reduce((sum, amount) => sum + amount, 0) / data.length;
+
+  // Destroy existing chart if it exists
+  if (window.paymentIncomeChart) {
+    window.paymentIncomeChart.destroy();
+  }
+
+  window.paymentIncomeChart = new Chart(ctx, {
+    data: {
+      labels: months,
+      datasets: [
+        {
+          type: 'bar',
+          label: 'Expected Income',
+          data,
+          backgroundColor: data.map(amount => (amount < average ? '#f59e0b' : portfolio.settings.chartColors[0]))
+        },
+        {
+          type: 'line',
+          label: 'Monthly Average',
+          data: months.map(() => average),
+          borderColor: isDark ? '#b0b0b0' : '#4a4a4a',
+          borderDash: [6, 4],
+          pointRadius: 0
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          labels: { color: isDark ? '#ffffff' : '#1e1e1e' }
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { color: isDark ? '#b0b0b0' : '#4a4a4a' },
+          grid: { color: isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)' }
+        },
+        y: {
+          beginAtZero: true,
+          ticks: {
+            color: isDark ? '#b0b0b0' : '#4a4a4a',
+            callback: (value) => formatCurrency(value)
+          },
+          grid: { color: isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)' }
+        }
+      }
+    }
+  });
 }
 
 /**
@@ -205,6 +582,11 @@ function setupPaymentSearch() {
     const badges = document.querySelectorAll('.payment-badge');
     const rows = document.querySelectorAll('.calendar-row');
 
+    // Agenda entries match on their ticker and company text
+    document.querySelectorAll('.agenda-item').forEach(item => {
+      item.style.display = !query || item.textContent.toLowerCase().includes(query) ? '' : 'none';
+    });
+
     if (!query) {
       // Show all - reset everything
       badges.forEach(badge => {
@@ -254,8 +636,8 @@ function setupPaymentSearch() {
  */
 export async function initPaymentMatrix(stocksData = []) {
   try {
-    const paymentData = await fetchPaymentSchedule();
-    renderPaymentMatrix(paymentData, stocksData);
+    const schedule = await loadPaymentSchedule();
+    renderPaymentMatrix(schedule.paymentData, stocksData, schedule);
   } catch (error) {
     const container = document.getElementById('payment-matrix');
     container.innerHTML = `
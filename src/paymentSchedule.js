@@ -0,0 +1,215 @@
+// 🗓️ Payment Schedule - Projected payments from dividend history
+// Replaces the hand-maintained sheet grid where history is available
+
+import { calculateDividendMetrics } from './api/dividendHistory.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_PAY_LAG_DAYS = 14; // ex-date -> pay date when history has no pay dates
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Parse 'YYYY-MM-DD' as a UTC date
+ */
+function parseDate(iso) {
+  return new Date(`${iso}T00:00:00Z`);
+}
+
+/**
+ * Format a UTC date as 'YYYY-MM-DD'
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole months, clamping the day to the end of shorter months (Jan 31 -> Feb 28)
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Median days between ex-date and pay date in the records
+ */
+function medianPayLag(records) {
+  const lags = records
+    .filter(r => r.exDate && r.payDate)
+    .map(r => (parseDate(r.payDate) - parseDate(r.exDate)) / DAY)
+    .sort((a, b) => a - b);
+
+  return lags.length > 0 ? lags[Math.floor(lags.length / 2)] : DEFAULT_PAY_LAG_DAYS;
+}
+
+/**
+ * Project a ticker's upcoming payments from its history
+ * The last year of payments (one per payment period) is rolled forward a year at a
+ * time, so irregular patterns like Mar/Jun/Sep/Dec on varying days are kept.
+ * @param {Object[]} records - Payment records sorted by ex-date
+ * @param {Object} options - { asOf, horizonMonths }
+ * @returns {Object[]} [{ ticker, exDate, payDate, amount, frequency }] sorted by pay date
+ */
+export function projectTickerPayments(records, { asOf = new Date(), horizonMonths = 12 } = {}) {
+  if (records.length === 0) return [];
+
+  const metrics = calculateDividendMetrics(records, asOf);
+  const frequency = metrics.frequency;
+
+  // Nothing to project without a frequency, or while the dividend is suspended
+  if (!frequency || metrics.suspensions.some(s => s.to === null)) return [];
+
+  const lag = medianPayLag(records);
+  const start = new Date(Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate()));
+  const end = addMonths(start, horizonMonths);
+  const amount = records[records.length - 1].amount;
+
+  const anchors = records.slice(-frequency).map(r => {
+    const exDate = r.exDate ? parseDate(r.exDate) : null;
+    const payDate = r.payDate ? parseDate(r.payDate) : new Date(exDate.getTime() + lag * DAY);
+    return { exDate, payDate };
+  });
+
+  const projected = [];
+  anchors.forEach(anchor => {
+    for (let years = 0; ; years++) {
+      const payDate = addMonths(anchor.payDate, years * 12);
+      if (payDate >= end) break;
+      if (payDate < start) continue;
+
+      projected.push({
+        ticker: records[0].ticker,
+        exDate: anchor.exDate ? formatDate(addMonths(anchor.exDate, years * 12)) : null,
+        payDate: formatDate(payDate),
+        amount,
+        frequency
+      });
+    }
+  });
+
+  return projected.sort((a, b) => a.payDate.localeCompare(b.payDate));
+}
+
+/**
+ * Project upcoming payments for every ticker with history
+ * @param {Object} histories - Records grouped by ticker (loadDividendHistories)
+ * @param {Object} options - { asOf, horizonMonths }
+ * @returns {Object[]} Projected payments sorted by pay date
+ */
+export function projectPayments(histories, options = {}) {
+  return Object.values(histories)
+    .flatMap(records => projectTickerPayments(records, options))
+    .sort((a, b) => a.payDate.localeCompare(b.payDate) || a.ticker.localeCompare(b.ticker));
+}
+
+/**
+ * Build the payment matrix grid (days 1-31 × Jan-Dec) from projected payments
+ * Only the first 12 months are used so each month column appears once.
+ * @param {Object[]} projections - Output of projectPayments
+ * @param {Date} asOf - Start of the 12-month window
+ * @returns {Object[]} Payment data in the same shape as fetchPaymentSchedule
+ */
+export function buildPaymentGrid(projections, asOf = new Date()) {
+  const start = formatDate(new Date(Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate())));
+  const end = formatDate(addMonths(parseDate(start), 12));
+
+  const grid = Array.from({ length: 31 }, (_, i) => ({
+    day: i + 1,
+    months: Object.fromEntries(MONTHS.map(month => [month, []]))
+  }));
+
+  projections
+    .filter(p => p.payDate >= start && p.payDate < end)
+    .forEach(p => {
+      const date = parseDate(p.payDate);
+      const tickers = grid[date.getUTCDate() - 1].months[MONTHS[date.getUTCMonth()]];
+      if (!tickers.includes(p.ticker)) tickers.push(p.ticker);
+    });
+
+  return grid;
+}
+
+/**
+ * Collect { month: [days] } per ticker from a payment grid
+ */
+function indexGrid(paymentData) {
+  const index = {};
+  paymentData.forEach(dayData => {
+    Object.entries(dayData.months).forEach(([month, tickers]) => {
+      tickers.forEach(ticker => {
+        index[ticker] = index[ticker] || {};
+        (index[ticker][month] = index[ticker][month] || []).push(dayData.day);
+      });
+    });
+  });
+  return index;
+}
+
+/**
+ * Compare the derived grid with the sheet grid for tickers present in the derived grid
+ * @param {Object[]} derived - Grid from buildPaymentGrid
+ * @param {Object[]} sheet - Grid from fetchPaymentSchedule
+ * @param {number} dayTolerance - Allowed difference in days within the same month
+ * @returns {Object[]} [{ ticker, month, type: 'missing'|'extra'|'day', sheetDays, derivedDays }]
+ *   missing - projected but not in the sheet, extra - in the sheet but not projected
+ */
+export function comparePaymentGrids(derived, sheet, dayTolerance = 5) {
+  const derivedIndex = indexGrid(derived);
+  const sheetIndex = indexGrid(sheet);
+  const mismatches = [];
+
+  Object.entries(derivedIndex).forEach(([ticker, derivedMonths]) => {
+    const sheetMonths = sheetIndex[ticker] || {};
+
+    MONTHS.forEach(month => {
+      const derivedDays = derivedMonths[month] || [];
+      const sheetDays = sheetMonths[month] || [];
+
+      if (derivedDays.length === 0 && sheetDays.length === 0) return;
+
+      let type = null;
+      if (sheetDays.length === 0) {
+        type = 'missing';
+      } else if (derivedDays.length === 0) {
+        type = 'extra';
+      } else if (derivedDays.some(d => !sheetDays.some(s => Math.abs(s - d) <= dayTolerance))) {
+        type = 'day';
+      }
+
+      if (type) {
+        mismatches.push({ ticker, month, type, sheetDays, derivedDays });
+      }
+    });
+  });
+
+  return mismatches;
+}
+
+/**
+ * Merge sheet rows for tickers the derived grid does not cover
+ * @param {Object[]} derived - Grid from buildPaymentGrid
+ * @param {Object[]} sheet - Grid from fetchPaymentSchedule
+ * @returns {Object[]} Combined grid
+ */
+export function mergePaymentGrids(derived, sheet) {
+  const covered = new Set(Object.keys(indexGrid(derived)));
+  const merged = derived.map(dayData => ({
+    day: dayData.day,
+    months: Object.fromEntries(Object.entries(dayData.months).map(([month, tickers]) => [month, [...tickers]]))
+  }));
+
+  sheet.forEach(dayData => {
+    const target = merged[dayData.day - 1];
+    if (!target) return;
+
+    Object.entries(dayData.months).forEach(([month, tickers]) => {
+      if (!target.months[month]) return;
+      tickers
+        .filter(ticker => !covered.has(ticker) && !target.months[month].includes(ticker))
+        .forEach(ticker => target.months[month].push(ticker));
+    });
+  });
+
+  return merged;
+}
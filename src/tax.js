@@ -0,0 +1,127 @@
+// 🧾 Tax Model - Withholding and account-aware net dividend income
+// Rates and accounts are configured in config.js (portfolio.tax)
+
+// Payer country guessed from the trading currency when not configured
+const CURRENCY_COUNTRIES = {
+  USD: 'US',
+  CAD: 'CA',
+  GBP: 'GB',
+  EUR: 'EU',
+  CHF: 'CH',
+  AUD: 'AU',
+  JPY: 'JP'
+};
+
+/**
+ * Get the payer country of a stock
+ * @param {Object} stock - Stock data (nativeCurrency from convertStocksToBase)
+ * @param {Object} taxConfig - portfolio.tax
+ * @returns {string} Country code
+ */
+export function getPayerCountry(stock, taxConfig = {}) {
+  return taxConfig.countries?.[stock.ticker] ||
+    CURRENCY_COUNTRIES[stock.nativeCurrency || stock.currency] ||
+    'US';
+}
+
+/**
+ * Get the account a holding is held in
+ * @param {string} accountName - Account key from the holding (or undefined)
+ * @param {Object} taxConfig - portfolio.tax
+ * @returns {Object} { name, type, incomeTaxRate, treatyExempt, foreignTaxCredit }
+ */
+export function getAccount(accountName, taxConfig = {}) {
+  const name = accountName || taxConfig.defaultAccount || 'taxable';
+  const account = taxConfig.accounts?.[name] || { type: 'taxable' };
+
+  return {
+    name,
+    type: account.type || 'taxable',
+    incomeTaxRate: account.incomeTaxRate || 0,
+    treatyExempt: account.treatyExempt || [],
+    foreignTaxCredit: account.foreignTaxCredit !== false
+  };
+}
+
+/**
+ * Calculate tax rates on a stock's dividends
+ * Withholding: none for domestic payers or treaty-exempt accounts, otherwise
+ * per-ticker override > treaty rate > statutory rate.
+ * Income tax: only in taxable accounts, reduced by withholding if foreign tax credit applies.
+ * @param {Object} stock - Stock data
+ * @param {string} accountName - Account key
+ * @param {Object} taxConfig - portfolio.tax
+ * @returns {Object} { country, account, withholdingRate, incomeTaxRate, totalTaxRate, netRate }
+ */
+export function getTaxRates(stock, accountName, taxConfig = {}) {
+  const country = getPayerCountry(stock, taxConfig);
+  const account = getAccount(accountName, taxConfig);
+
+  let withholdingRate = 0;
+  if (country !== taxConfig.residence && !account.treatyExempt.includes(country)) {
+    withholdingRate = taxConfig.tickerWithholding?.[stock.ticker] ??
+      taxConfig.treaty?.[country] ??
+      taxConfig.withholding?.[country] ??
+      0;
+  }
+
+  let incomeTaxRate = 0;
+  if (account.type === 'taxable') {
+    incomeTaxRate = account.foreignTaxCredit
+      ? Math.max(0, account.incomeTaxRate - withholdingRate)
+      : account.incomeTaxRate;
+  }
+
+  const totalTaxRate = Math.min(1, withholdingRate + incomeTaxRate);
+
+  return {
+    country,
+    account: account.name,
+    withholdingRate,
+    incomeTaxRate,
+    totalTaxRate,
+    netRate: 1 - totalTaxRate
+  };
+}
+
+/**
+ * Add net dividend figures to positions
+ * @param {Object[]} positions - Output of buildPositions
+ * @param {Object} holdings - portfolio.holdings (for each holding's account)
+ * @param {Object} taxConfig - portfolio.tax
+ * @returns {Object[]} Positions with tax rates, netDividend, netDividendYield and netAnnualIncome
+ */
+export function applyTaxes(positions, holdings = {}, taxConfig = {}) {
+  return positions.map(position => {
+    const rates = getTaxRates(position, holdings[position.ticker]?.account, taxConfig);
+
+    return {
+      ...position,
+      taxCountry: rates.country,
+      account: rates.account,
+      withholdingRate: rates.withholdingRate,
+      incomeTaxRate: rates.incomeTaxRate,
+      totalTaxRate: rates.totalTaxRate,
+      netDividend: (position.dividend || 0) * rates.netRate,
+      netDividendYield: (position.dividendYield || 0) * rates.netRate,
+      netAnnualIncome: (position.annualIncome || 0) * rates.netRate
+    };
+  });
+}
+
+/**
+ * Calculate the effective tax rate on portfolio dividends
+ * Weighted by annual income of held positions, or by yield if nothing is held.
+ * @param {Object[]} positions - Output of applyTaxes
+ * @returns {number} Effective tax rate (0.15 = 15%)
+ */
+export function calculateEffectiveTaxRate(positions) {
+  const held = positions.filter(p => p.annualIncome > 0);
+  const pool = held.length > 0 ? held : positions;
+  const weightOf = p => (held.length > 0 ? p.annualIncome : p.dividendYield || 0);
+
+  const totalWeight = pool.reduce((sum, p) => sum + weightOf(p), 0);
+  if (totalWeight <= 0) return 0;
+
+  return pool.reduce((sum, p) => sum + weightOf(p) * (p.totalTaxRate || 0), 0) / totalWeight;
+}
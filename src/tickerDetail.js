@@ -0,0 +1,364 @@
+// 🔎 Ticker Detail - Per-holding drawer with dividend history and yield band
+// Opened by clicking a table row, deep-linkable via #ticker/JNJ
+
+import { portfolio } from '../config.js';
+import { fetchDividendHistory, formatCurrency, formatPercent } from './api/yahooFinance.js';
+import { calculateHoldingsTotals } from './holdings.js';
+import { getPaymentSchedule, getPaymentMonths } from './paymentMatrix.js';
+
+const HASH_PREFIX = '#ticker/';
+
+// Ticker currently shown (guards against late async renders)
+let currentTicker = null;
+
+/**
+ * Get the ticker from a #ticker/XXX hash
+ * @returns {string|null} Ticker or null if the hash is not a ticker link
+ */
+export function getHashTicker() {
+  if (!location.hash.startsWith(HASH_PREFIX)) return null;
+  return decodeURIComponent(location.hash.slice(HASH_PREFIX.length)).toUpperCase() || null;
+}
+
+/**
+ * Calculate the historical yield range from payment records with prices
+ * Each payment is annualized (amount × payments per year) and divided by the ex-date price.
+ * @param {Object[]} records - Payment records (need price)
+ * @param {number} currentYield - Current dividend yield
+ * @param {number} frequency - Payments per year when a record has none
+ * @returns {Object|null} { min, max, avg, current, position, samples } or null with fewer than 2 samples
+ */
+export function calculateYieldBand(records, currentYield, frequency) {
+  const yields = records
+    .filter(r => r.price > 0 && (r.frequency || frequency))
+    .map(r => (r.amount * (r.frequency || frequency)) / r.price);
+
+  if (yields.length < 2) return null;
+
+  const min = Math.min(...yields);
+  const max = Math.max(...yields);
+  const avg = yields.reduce((sum, y) => sum + y, 0) / yields.length;
+
+  return {
+    min,
+    max,
+    avg,
+    current: currentYield,
+    // 0 = at the historical low, 1 = at the high (clamped for the marker)
+    position: max > min ? Math.min(1, Math.max(0, (currentYield - min) / (max - min))) : 0.5,
+    samples: yields.length
+  };
+}
+
+/**
+ * Setup drawer close handlers
+ */
+export function initTickerDetail() {
+  document.getElementById('drawer-close').addEventListener('click', closeTickerDetail);
+  document.getElementById('ticker-drawer-overlay').addEventListener('click', closeTickerDetail);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && currentTicker) {
+      closeTickerDetail();
+    }
+  });
+}
+
+/**
+ * Open or close the drawer to match the URL hash
+ * @param {Object[]} stocksData - Loaded positions
+ */
+export function syncTickerDetail(stocksData) {
+  const ticker = getHashTicker();
+
+  if (!ticker) {
+    if (currentTicker) hideDrawer();
+    return;
+  }
+
+  const stock = stocksData.find(s => s.ticker === ticker);
+  if (!stock) {
+    console.warn(`⚠️ Ticker ${ticker} from URL is not in the portfolio`);
+    closeTickerDetail();
+    return;
+  }
+
+  openTickerDetail(stock, stocksData);
+}
+
+/**
+ * Close the drawer and drop the #ticker hash
+ */
+export function closeTickerDetail() {
+  if (location.hash.startsWith(HASH_PREFIX)) {
+    history.replaceState(null, '', location.pathname + location.search);
+  }
+  hideDrawer();
+}
+
+/**
+ * Hide the drawer and release its chart
+ */
+function hideDrawer() {
+  currentTicker = null;
+  document.getElementById('ticker-drawer').classList.remove('open');
+  document.getElementById('ticker-drawer').setAttribute('aria-hidden', 'true');
+  document.getElementById('ticker-drawer-overlay').classList.remove('open');
+
+  if (window.tickerHistoryChart) {
+    window.tickerHistoryChart.destroy();
+    window.tickerHistoryChart = null;
+  }
+}
+
+/**
+ * Open the detail drawer for a stock
+ * @param {Object} stock - Position from stocksData
+ * @param {Object[]} stocksData - All positions (for income share)
+ */
+export async function openTickerDetail(stock, stocksData) {
+  currentTicker = stock.ticker;
+
+  const totals = calculateHoldingsTotals(stocksData);
+  const incomeShare = totals.annualIncome > 0 ? (stock.annualIncome || 0) / totals.annualIncome : 0;
+  const metrics = stock.dividendMetrics;
+
+  document.getElementById('drawer-ticker').textContent = stock.ticker;
+  document.getElementById('drawer-name').textContent = stock.name;
+
+  document.getElementById('ticker-drawer-body').innerHTML = `
+    <div class="drawer-stats">
+      <div class="drawer-stat">
+        <span class="drawer-stat-label">Sector</span>
+        <span class="sector-tag">${stock.sector}</span>
+      </div>
+      <div class="drawer-stat">
+        <span class="drawer-stat-label">Price</span>
+        <span class="drawer-stat-value">${formatCurrency(stock.price, stock.currency)}</span>
+      </div>
+      <div class="drawer-stat">
+        <span class="drawer-stat-label">Yield</span>
+        <span class="drawer-stat-value">${formatPercent(stock.dividendYield || 0)}</span>
+      </div>
+      <div class="drawer-stat">
+        <span class="drawer-stat-label">Annual Dividend</span>
+        <span class="drawer-stat-value">${formatCurrency(stock.dividend || 0, stock.currency)}</span>
+      </div>
+      <div class="drawer-stat">
+        <span class="drawer-stat-label">Share of Income</span>
+        <span class="drawer-stat-value">${stock.shares > 0 ? formatPercent(incomeShare, 1) : '<span class="not-held">Not held</span>'}</span>
+      </div>
+      <div class="drawer-stat">
+        <span class="drawer-stat-label">Annual Income</span>
+        <span class="drawer-stat-value">${stock.shares > 0 ? formatCurrency(stock.annualIncome, stock.currency) : '<span class="not-held">—</span>'}</span>
+      </div>
+    </div>
+
+    ${metrics ? `
+      <div class="drawer-metrics">
+        <span>5Y CAGR: <strong>${metrics.cagr[5] === null ? 'N/A' : formatPercent(metrics.cagr[5], 1)}</strong></span>
+        <span>Increases: <strong>${metrics.consecutiveIncreases} yrs</strong></span>
+        <span>Cuts: <strong>${metrics.cuts.length}</strong></span>
+      </div>
+    ` : ''}
+
+    <div class="drawer-section">
+      <h3>Dividend History</h3>
+      <div id="drawer-history">
+        <p class="drawer-empty">Loading dividend history...</p>
+      </div>
+    </div>
+
+    <div class="drawer-section">
+      <h3>Yield Band</h3>
+      <div id="drawer-yield-band">
+        <p class="drawer-empty">Loading...</p>
+      </div>
+    </div>
+
+    <div class="drawer-section">
+      <h3>Payment Months</h3>
+      <div id="drawer-payments">
+        <p class="drawer-empty">Loading payment schedule...</p>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('ticker-drawer').classList.add('open');
+  document.getElementById('ticker-drawer').setAttribute('aria-hidden', 'false');
+  document.getElementById('ticker-drawer-overlay').classList.add('open');
+
+  await Promise.all([
+    renderHistory(stock),
+    renderPaymentMonths(stock)
+  ]);
+}
+
+/**
+ * Render the dividend/price history chart and yield band
+ */
+async function renderHistory(stock) {
+  let records = [];
+
+  if (portfolio.dividendHistory?.source) {
+    try {
+      records = await fetchDividendHistory(stock.ticker);
+    } catch (error) {
+      console.warn(`⚠️ Dividend history unavailable for ${stock.ticker}:`, error.message);
+    }
+  }
+
+  if (currentTicker !== stock.ticker) return;
+
+  const historyEl = document.getElementById('drawer-history');
+  const bandEl = document.getElementById('drawer-yield-band');
+
+  if (records.length === 0) {
+    historyEl.innerHTML = '<p class="drawer-empty">No dividend history available (configure dividendHistory in config.js).</p>';
+    bandEl.innerHTML = '<p class="drawer-empty">Needs dividend history with prices.</p>';
+    return;
+  }
+
+  historyEl.innerHTML = '<canvas id="ticker-history-chart"></canvas>';
+  renderHistoryChart(records, stock);
+
+  const band = calculateYieldBand(records, stock.dividendYield || 0, stock.dividendMetrics?.frequency);
+  if (!band) {
+    bandEl.innerHTML = '<p class="drawer-empty">Needs a Price column in the dividend history to compare yields.</p>';
+    return;
+  }
+
+  bandEl.innerHTML = `
+    <div class="yield-band">
+      <div class="yield-band-track">
+        <div class="yield-band-marker" style="left: ${(band.position * 100).toFixed(1)}%" title="Current ${formatPercent(band.current)}"></div>
+      </div>
+      <div class="yield-band-labels">
+        <span>Low ${formatPercent(band.min)}</span>
+        <span>Avg ${formatPercent(band.avg)}</span>
+        <span>High ${formatPercent(band.max)}</span>
+      </div>
+      <p class="yield-band-note">
+        Current yield ${formatPercent(band.current)} vs ${band.samples} historical payments
+        ${band.current > band.avg ? '(above average)' : '(below average)'}
+      </p>
+    </div>
+  `;
+}
+
+/**
+ * Render dividends per share (bars) and ex-date prices (line) in the native currency
+ */
+function renderHistoryChart(records, stock) {
+  const ctx = document.getElementById('ticker-history-chart').getContext('2d');
+  const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+  const tickColor = isDark ? '#b0b0b0' : '#4a4a4a';
+  const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+  const currency = stock.nativeCurrency || stock.currency;
+  const hasPrices = records.some(r => r.price > 0);
+
+  if (window.tickerHistoryChart) {
+    window.tickerHistoryChart.destroy();
+  }
+
+  const datasets = [{
+    type: 'bar',
+    label: 'Dividend per Share',
+    data: records.map(r => r.amount),
+    backgroundColor: portfolio.settings.chartColors[0],
+    yAxisID: 'y'
+  }];
+
+  if (hasPrices) {
+    datasets.push({
+      type: 'line',
+      label: 'Price',
+      data: records.map(r => r.price),
+      borderColor: portfolio.settings.chartColors[3],
+      backgroundColor: 'transparent',
+      pointRadius: 0,
+      spanGaps: true,
+      yAxisID: 'y1'
+    });
+  }
+
+  window.tickerHistoryChart = new Chart(ctx, {
+    data: {
+      labels: records.map(r => r.exDate || r.payDate),
+      datasets
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: {
+          display: hasPrices,
+          labels: { color: tickColor }
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, currency)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { color: tickColor, maxTicksLimit: 8 },
+          grid: { color: gridColor }
+        },
+        y: {
+          beginAtZero: true,
+          ticks: { color: tickColor },
+          grid: { color: gridColor }
+        },
+        y1: {
+          display: hasPrices,
+          position: 'right',
+          ticks: { color: tickColor },
+          grid: { display: false }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Render the months the ticker pays in, from the payment matrix sheet
+ */
+async function renderPaymentMonths(stock) {
+  let paymentData;
+
+  try {
+    paymentData = await getPaymentSchedule();
+  } catch (error) {
+    if (currentTicker === stock.ticker) {
+      document.getElementById('drawer-payments').innerHTML =
+        `<p class="drawer-empty">Payment schedule unavailable: ${error.message}</p>`;
+    }
+    return;
+  }
+
+  if (currentTicker !== stock.ticker) return;
+
+  const months = paymentData.length > 0 ? Object.keys(paymentData[0].months) : [];
+  const payments = getPaymentMonths(paymentData, stock.ticker);
+
+  if (payments.length === 0) {
+    document.getElementById('drawer-payments').innerHTML =
+      `<p class="drawer-empty">${stock.ticker} is not in the payment schedule.</p>`;
+    return;
+  }
+
+  document.getElementById('drawer-payments').innerHTML = `
+    <div class="drawer-months">
+      ${months.map(month => {
+        const days = payments.filter(p => p.month === month).map(p => p.day);
+        return `
+          <span class="drawer-month ${days.length > 0 ? 'paid' : ''}" title="${days.length > 0 ? `Day ${days.join(', ')}` : 'No payment'}">
+            ${month}
+          </span>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
@@ -0,0 +1,244 @@
+// 🏦 Transaction Import - Broker export upload, column mapping and rebuilt positions
+// Imported transactions replace config.js shares and cost basis for the tickers they cover
+
+import { portfolio } from '../config.js';
+import { parseCSVRows, isEmptyRow } from './csv.js';
+import { formatCurrency } from './api/yahooFinance.js';
+import { saveLedgerEntries } from './ledger.js';
+import { DATE_FORMATS } from './dates.js';
+import {
+  BROKER_PROFILES,
+  TRANSACTION_FIELDS,
+  detectProfile,
+  getHeaders,
+  guessColumns,
+  parseTransactions,
+  rebuildPositions,
+  toLedgerEntries,
+  getTransactions,
+  saveTransactions,
+  clearTransactions
+} from './brokerImport.js';
+
+// Panel state
+let pendingFile = null;
+let onImported = () => {};
+
+/**
+ * Render the import panel
+ * @param {Function} callback - Called after transactions change (reloads the portfolio)
+ */
+export function initTransactionImport(callback) {
+  const container = document.getElementById('broker-import-container');
+  if (!container) return;
+
+  onImported = callback || onImported;
+
+  const accounts = Object.keys(portfolio.tax?.accounts || { taxable: {} });
+  const defaultAccount = portfolio.tax?.defaultAccount || accounts[0];
+
+  container.innerHTML = `
+    <p class="form-hint">Buys, sells, splits and fees rebuild shares and average cost for every ticker in the export (these override holdings in config.js). Dividends go to the Income Ledger. Re-importing the same file does not create duplicates.</p>
+    <div class="form-grid">
+      <div class="form-field">
+        <label>Broker</label>
+        <select id="broker-profile">
+          <option value="auto">Detect automatically</option>
+          ${Object.entries(BROKER_PROFILES).map(([key, profile]) => `<option value="${key}">${profile.name}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-field">
+        <label>Ledger Account (dividends)</label>
+        <select id="broker-account">
+          ${accounts.map(name => `<option value="${name}" ${name === defaultAccount ? 'selected' : ''}>${name}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-field">
+        <label>Date Format</label>
+        <select id="broker-date-format">
+          ${Object.entries(DATE_FORMATS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="form-field">
+        <label>Transactions CSV</label>
+        <input type="file" id="broker-file" accept=".csv,text/csv">
+      </div>
+    </div>
+    <div class="column-mapping" id="broker-mapping" style="display: none;"></div>
+    <div class="ledger-status" id="broker-status"></div>
+    <div id="broker-summary"></div>
+  `;
+
+  document.getElementById('broker-file').addEventListener('change', handleFile);
+  renderImportedSummary();
+}
+
+/**
+ * Show a status message under the form
+ */
+function setStatus(message, isError = false) {
+  const status = document.getElementById('broker-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Read the selected file; known brokers import straight away, others get a mapping form
+ */
+async function handleFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const text = await file.text();
+  const rows = parseCSVRows(text).filter(values => !isEmptyRow(values));
+  const selected = document.getElementById('broker-profile').value;
+  const profile = selected === 'auto' ? detectProfile(rows) : selected;
+
+  if (profile === 'generic') {
+    pendingFile = { name: file.name, text };
+    renderColumnMapping(getHeaders(rows).headers);
+    setStatus(`No built-in profile matched ${file.name} - map its columns below.`);
+  } else {
+    await importText(text, profile, null, file.name);
+  }
+
+  e.target.value = '';
+}
+
+/**
+ * Column mapping form for the generic profile
+ */
+function renderColumnMapping(headers) {
+  const mapping = document.getElementById('broker-mapping');
+  const guessed = guessColumns(headers);
+
+  mapping.innerHTML = `
+    <h3>Map Columns</h3>
+    <p class="form-hint">Without a type column, positive quantities are buys and negative ones sells. Type values are matched by keywords (buy, sell, dividend, withholding, fee, split).</p>
+    <div class="form-grid">
+      ${Object.entries(TRANSACTION_FIELDS).map(([field, label]) => `
+        <div class="form-field">
+          <label>${label}</label>
+          <select data-field="${field}">
+            <option value="">(none)</option>
+            ${headers.filter(Boolean).map(header => `<option value="${header}" ${header === guessed[field] ? 'selected' : ''}>${header}</option>`).join('')}
+          </select>
+        </div>
+      `).join('')}
+    </div>
+    <button class="btn-secondary" id="broker-mapping-import">
+      <span class="material-symbols-outlined">upload</span>
+      Import with this mapping
+    </button>
+  `;
+  mapping.style.display = 'block';
+
+  document.getElementById('broker-mapping-import').addEventListener('click', async () => {
+    const columns = {};
+    mapping.querySelectorAll('select[data-field]').forEach(select => {
+      columns[select.getAttribute('data-field')] = select.value || null;
+    });
+
+    if (pendingFile) {
+      await importText(pendingFile.text, 'generic', columns, pendingFile.name);
+    }
+  });
+}
+
+/**
+ * Parse, store and apply transactions
+ */
+async function importText(text, profile, columns, fileName) {
+  try {
+    const dateFormat = document.getElementById('broker-date-format').value;
+    const { transactions, skipped } = parseTransactions(text, profile, columns, dateFormat);
+
+    if (transactions.length === 0) {
+      setStatus(`No transactions found in ${fileName}.`, true);
+      return;
+    }
+
+    await saveTransactions(transactions);
+    const dividends = await saveLedgerEntries(toLedgerEntries(transactions, document.getElementById('broker-account').value));
+
+    console.log(`🏦 Imported ${transactions.length} ${BROKER_PROFILES[profile].name} transactions from ${fileName}`);
+    setStatus(`Imported ${transactions.length} transactions from ${fileName} (${BROKER_PROFILES[profile].name})${dividends > 0 ? `, ${dividends} dividends added to the ledger` : ''}${skipped > 0 ? ` - ${skipped} rows skipped` : ''}.`);
+
+    pendingFile = null;
+    document.getElementById('broker-mapping').style.display = 'none';
+    await renderImportedSummary();
+    onImported();
+  } catch (error) {
+    setStatus(`Import failed: ${error.message}`, true);
+  }
+}
+
+/**
+ * Table of rebuilt positions with a clear button
+ */
+async function renderImportedSummary() {
+  const summary = document.getElementById('broker-summary');
+  let transactions = [];
+
+  try {
+    transactions = await getTransactions();
+  } catch (error) {
+    summary.innerHTML = `<p class="form-hint">Transaction storage unavailable: ${error.message}</p>`;
+    return;
+  }
+
+  if (transactions.length === 0) {
+    summary.innerHTML = '';
+    return;
+  }
+
+  const { positions, fees } = rebuildPositions(transactions);
+  const rows = Object.entries(positions).sort(([a], [b]) => a.localeCompare(b));
+
+  summary.innerHTML = `
+    <div class="table-container">
+      <table class="broker-positions">
+        <thead>
+          <tr>
+            <th>Ticker</th>
+            <th>Shares</th>
+            <th>Avg Cost</th>
+            <th>Cost Basis</th>
+            <th>Realized Gain</th>
+            <th>Dividends</th>
+            <th>Fees</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(([ticker, p]) => `
+            <tr class="${p.shares === 0 ? 'closed-position' : ''}">
+              <td><span class="ticker-symbol">${ticker}</span>${portfolio.tickers.includes(ticker) ? '' : ' <span class="form-hint">not in config.js</span>'}</td>
+              <td>${p.shares.toLocaleString(undefined, { maximumFractionDigits: 6 })}</td>
+              <td>${p.shares > 0 ? formatCurrency(p.cost / p.shares, p.currency || undefined) : '--'}</td>
+              <td>${formatCurrency(p.cost, p.currency || undefined)}</td>
+              <td><span class="${p.realizedGain >= 0 ? 'gain-positive' : 'gain-negative'}">${formatCurrency(p.realizedGain, p.currency || undefined)}</span></td>
+              <td>${formatCurrency(p.dividends, p.currency || undefined)}</td>
+              <td>${formatCurrency(p.fees, p.currency || undefined)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="broker-footer">
+      <span class="form-hint">${transactions.length} transactions stored · amounts in each position's trading currency${fees > 0 ? ` · ${formatCurrency(fees)} account fees` : ''}</span>
+      <button class="btn-secondary" id="broker-clear">
+        <span class="material-symbols-outlined">delete</span>
+        Clear Imported Transactions
+      </button>
+    </div>
+  `;
+
+  document.getElementById('broker-clear').addEventListener('click', async () => {
+    if (!confirm('Remove all imported transactions? Holdings fall back to config.js (ledger entries are kept).')) return;
+
+    await clearTransactions();
+    setStatus('Imported transactions cleared.');
+    await renderImportedSummary();
+    onImported();
+  });
+}
@@ -0,0 +1,65 @@
+// 🧪 Backtest tests - run with `node --test`
+// Replays of a small made-up history
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from '../src/backtest.js';
+import { calculateDCAScenario } from '../src/dcaSimulation.js';
+
+// Two years of a flat 100 close with a quarterly 1.00 dividend
+const months = Array.from({ length: 24 }, (_, m) => `${2020 + Math.floor(m / 12)}-${String(m % 12 + 1).padStart(2, '0')}`);
+const SERIES = {
+  KO: months.map((month, m) => ({ month, close: 100, dividend: m % 3 === 2 ? 1 : 0 }))
+};
+
+test('dividend cash below the threshold counts in the final value like in the yearly rows', () => {
+  const results = runBacktest(SERIES, {
+    assets: [{ ticker: 'KO' }],
+    startMonth: '2020-01',
+    years: 2,
+    initialInvestment: 1000,
+    reinvestThreshold: 1000
+  });
+  const last = results.yearlyData[results.yearlyData.length - 1];
+
+  // 10 shares x 8 payments, never reinvested
+  assert.equal(last.cashBuffer, '80.00');
+  assert.equal(results.finalValue, '1080.00');
+  assert.equal(last.portfolioValue, results.finalValue);
+  assert.equal(results.holdings[0].finalWeight, 1);
+});
+
+test('a flat history matches the projection, waiting dividend cash included', () => {
+  const params = { years: 2, initialInvestment: 1000, monthlyDCA: 100, reinvestThreshold: 1000000 };
+  const historical = runBacktest(SERIES, { ...params, assets: [{ ticker: 'KO' }], startMonth: '2020-01' });
+  const projected = calculateDCAScenario({
+    ...params,
+    currentPrice: 100,
+    currentDividendYield: 0.04,
+    cagr: 0,
+    dividendGrowth: 0,
+    paymentFrequency: 4,
+    exMonth: 3
+  });
+
+  assert.deepEqual(
+    historical.yearlyData.map(row => [row.portfolioValue, row.cashBuffer]),
+    projected.yearlyData.map(row => [row.portfolioValue, row.cashBuffer])
+  );
+  assert.equal(projected.finalValue, '3588.00');
+  assert.equal(historical.finalValue, projected.finalValue);
+});
+
+test('starts from existing holdings like the projection does', () => {
+  const params = { years: 2, monthlyDCA: 100, reinvestThreshold: 1000000 };
+  const historical = runBacktest(SERIES, { ...params, assets: [{ ticker: 'KO', startingValue: 1000 }], startMonth: '2020-01' });
+  const projected = calculateDCAScenario({
+    ...params,
+    assets: [{ ticker: 'KO', price: 100, shares: 10, dividendYield: 0.04, cagr: 0, dividendGrowth: 0, frequency: 4, exMonth: 3 }]
+  });
+
+  ['startingValue', 'totalInvested', 'totalShares', 'finalValue'].forEach(key => {
+    assert.equal(historical[key], projected[key], key);
+  });
+  assert.equal(historical.startingValue, '1000.00');
+});
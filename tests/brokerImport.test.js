@@ -0,0 +1,61 @@
+// 🧪 Broker Import tests - run with `node --test`
+// Broker exports to transactions, positions and ledger entries (IndexedDB is not touched)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTransactions, rebuildPositions, toLedgerEntries, parseDividendExport } from '../src/brokerImport.js';
+
+// Trading 212 export of a EUR account holding a USD stock
+const TRADING212_EUR = [
+  'Action,Time,ISIN,Ticker,Name,No. of shares,Price / share,Currency (Price / share),Exchange rate,Total,Currency (Total),Withholding tax,Currency (Withholding tax),Currency conversion fee,Currency (Currency conversion fee)',
+  'Market buy,2024-01-10 15:00:00,US1912161007,KO,Coca-Cola,10,60.00,USD,1.10,546.00,EUR,,,0.55,EUR',
+  'Dividend (Ordinary),2024-04-01 10:00:00,US1912161007,KO,Coca-Cola,10,0.485,USD,1.08,3.82,EUR,0.73,USD,,'
+].join('\n');
+
+const close = (actual, expected, digits = 3) => assert.equal(actual.toFixed(digits), expected.toFixed(digits));
+
+test('Trading 212 account-currency fees are added to cost in the price currency', () => {
+  const { transactions } = parseTransactions(TRADING212_EUR);
+  const buy = transactions.find(t => t.type === 'buy');
+  const { positions } = rebuildPositions(transactions);
+
+  // 600 USD bought for 545.45 EUR: 1.1 USD per EUR, so the 0.55 EUR fee is 0.605 USD
+  close(buy.fee, 0.605);
+  close(positions.KO.cost, 600.605);
+  assert.equal(positions.KO.currency, 'USD');
+});
+
+test('Trading 212 USD withholding is converted before it is added to a EUR net dividend', () => {
+  const { transactions } = parseTransactions(TRADING212_EUR);
+  const [entry] = toLedgerEntries(transactions, 'taxable');
+
+  // 4.85 USD gross - 0.73 USD withheld = 4.12 USD paid as 3.82 EUR
+  const rate = 4.12 / 3.82;
+  assert.equal(entry.currency, 'EUR');
+  close(entry.net, 3.82);
+  close(entry.withholding, 0.73 / rate);
+  close(entry.gross, 4.85 / rate);
+});
+
+test('single-currency Trading 212 rows are left as they are', () => {
+  const csv = [
+    'Action,Time,Ticker,No. of shares,Price / share,Currency (Price / share),Total,Currency (Total),Withholding tax,Currency (Withholding tax),Currency conversion fee,Currency (Currency conversion fee)',
+    'Market buy,2024-01-10 15:00:00,KO,10,60.00,USD,600.00,USD,,,,',
+    'Dividend (Ordinary),2024-04-01 10:00:00,KO,10,0.485,USD,4.12,USD,0.73,USD,,'
+  ].join('\n');
+  const { transactions } = parseTransactions(csv);
+  const [entry] = toLedgerEntries(transactions, 'taxable');
+
+  assert.equal(transactions.find(t => t.type === 'buy').fee, 0);
+  close(entry.gross, 4.85);
+  close(entry.withholding, 0.73);
+});
+
+test('the Income Ledger import reads broker exports like the transaction import', () => {
+  const { entries, profile } = parseDividendExport(TRADING212_EUR, { account: 'taxable' });
+  const { transactions } = parseTransactions(TRADING212_EUR);
+
+  assert.equal(profile, 'trading212');
+  assert.deepEqual(entries, toLedgerEntries(transactions, 'taxable'));
+  close(entries[0].gross, 4.85 / (4.12 / 3.82));
+});
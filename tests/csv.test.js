@@ -0,0 +1,144 @@
+// 🧪 CSV Parser tests - run with `node --test`
+// Parses the bundled sheet exports plus the edge cases the fetchers rely on
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  detectDelimiter,
+  createCSVParser,
+  parseCSVRows,
+  parseCSVStream,
+  findHeaderRow,
+  rowsToObjects,
+  buildCSV
+} from '../src/csv.js';
+
+const fixture = name => readFileSync(new URL(`../The Dividend Dashboard - ${name}.csv`, import.meta.url), 'utf-8');
+
+/**
+ * Parse text fed to push() in chunks of `size` characters
+ */
+function parseInChunks(text, size, options = {}) {
+  const rows = [];
+  const parser = createCSVParser({ ...options, onRow: row => rows.push(row) });
+
+  for (let i = 0; i < text.length; i += size) {
+    parser.push(text.slice(i, i + size));
+  }
+  parser.end();
+
+  return rows;
+}
+
+/**
+ * ReadableStream of UTF-8 bytes cut into chunks of `size` bytes
+ */
+function byteStream(text, size) {
+  const bytes = new TextEncoder().encode(text);
+
+  return new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += size) {
+        controller.enqueue(bytes.slice(i, i + size));
+      }
+      controller.close();
+    }
+  });
+}
+
+test('parses the Portfolio Details export', () => {
+  const rows = parseCSVRows(fixture('Portfolio Details'));
+  const headerIndex = findHeaderRow(rows, values => values.includes('Ticker'));
+  const records = rowsToObjects(rows, headerIndex);
+
+  assert.equal(headerIndex, 1);
+  assert.deepEqual(rows[headerIndex], ['Name', 'Ticker', 'Price', 'Dividend Payment', 'Dividend Yield', 'Sector']);
+  // Holdings first, then the sector summary block (no ticker) without a final newline
+  const holdings = records.filter(record => record.Ticker);
+  assert.ok(holdings.length > 10);
+  assert.ok(holdings.every(record => record.Price && record.Sector));
+  assert.deepEqual(rows[rows.length - 1], ['', '', '', '', 'Industrials', '5']);
+
+  // Quoted names keep their commas
+  const pepsi = records.find(record => record.Ticker === 'PEP');
+  assert.equal(pepsi.Name, 'PepsiCo, Inc.');
+  assert.equal(pepsi['Dividend Payment'], '5.555');
+  assert.equal(pepsi.Sector, 'Consumer Defensive');
+});
+
+test('parses the Projected Schedule export', () => {
+  const rows = parseCSVRows(fixture('Projected Schedule'));
+  const headerIndex = findHeaderRow(rows, values => values.includes('Jan') && values.includes('Dec'));
+
+  assert.equal(headerIndex, 1);
+  assert.deepEqual(rows[headerIndex].slice(1, 13), ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']);
+  assert.deepEqual(rows[2].slice(0, 4), ['1', 'ADP', 'BMY', 'AFL']);
+  // The quoted note keeps its commas and punctuation in one cell
+  assert.match(rows[2][14], /^NOTE: These are not likely to be the actual dates you get paid!/);
+  assert.ok(rows.every(row => row.length === rows[headerIndex].length));
+});
+
+test('fixtures parse the same when pushed one character at a time', () => {
+  ['Portfolio Details', 'Projected Schedule'].forEach(name => {
+    const text = fixture(name);
+    assert.deepEqual(parseInChunks(text, 1), parseCSVRows(text));
+  });
+});
+
+test('unescapes doubled quotes', () => {
+  assert.deepEqual(parseCSVRows('a,b\n"say ""hi""",x\n'), [['a', 'b'], ['say "hi"', 'x']]);
+  assert.deepEqual(parseCSVRows('""""\n'), [['"']]);
+});
+
+test('keeps newlines inside quoted cells', () => {
+  assert.deepEqual(
+    parseCSVRows('Ticker,Note\nO,"monthly\npayer"\nKO,"line one\r\nline two"\n'),
+    [['Ticker', 'Note'], ['O', 'monthly\npayer'], ['KO', 'line one\r\nline two']]
+  );
+});
+
+test('handles CRLF, LF and a missing final newline', () => {
+  const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+
+  assert.deepEqual(parseCSVRows('a,b\r\n1,2\r\n3,4\r\n'), expected);
+  assert.deepEqual(parseCSVRows('a,b\n1,2\n3,4'), expected);
+  assert.deepEqual(parseCSVRows('a,b\r1,2\r3,4'), expected);
+});
+
+test('strips a UTF-8 BOM', () => {
+  const rows = parseCSVRows('\uFEFFTicker,Shares\nO,10\n');
+  assert.deepEqual(rows[0], ['Ticker', 'Shares']);
+});
+
+test('detects semicolon and tab delimiters', () => {
+  assert.equal(detectDelimiter('Ticker;Price;Name\nO;57,98;"Realty, Inc."'), ';');
+  assert.equal(detectDelimiter('Ticker\tPrice\nO\t57.98'), '\t');
+  assert.equal(detectDelimiter('"a;b",c,d\n'), ',');
+
+  assert.deepEqual(parseCSVRows('Ticker;Price\nO;57,98\n"A;B";1\n'), [['Ticker', 'Price'], ['O', '57,98'], ['A;B', '1']]);
+  assert.deepEqual(parseCSVRows('Ticker\tName\nPEP\tPepsiCo, Inc.\n'), [['Ticker', 'Name'], ['PEP', 'PepsiCo, Inc.']]);
+});
+
+test('edge cases survive character-by-character push()', () => {
+  const text = '\uFEFFTicker;Note;Price\r\nO;"say ""hi""\r\nagain";57,98\r\nKO;"";60\r\n';
+  const expected = [['Ticker', 'Note', 'Price'], ['O', 'say "hi"\r\nagain', '57,98'], ['KO', '', '60']];
+
+  assert.deepEqual(parseCSVRows(text), expected);
+  assert.deepEqual(parseInChunks(text, 1), expected);
+  assert.deepEqual(parseInChunks(text, 3), expected);
+});
+
+test('parseCSVStream decodes multi-byte characters split across chunks', async () => {
+  const text = 'Ticker,Name\nNESN,"Nestlé, S.A."\nMC,Moët Hennessy\n';
+  const rows = await parseCSVStream(byteStream(text, 1));
+
+  assert.deepEqual(rows, [['Ticker', 'Name'], ['NESN', 'Nestlé, S.A.'], ['MC', 'Moët Hennessy']]);
+});
+
+test('buildCSV round-trips through the parser', () => {
+  const rows = [['Ticker', 'Note'], ['PEP', 'PepsiCo, Inc.'], ['O', 'say "hi"\nagain']];
+
+  assert.deepEqual(parseCSVRows(buildCSV(rows)), rows);
+  assert.deepEqual(parseCSVRows(buildCSV(rows, ';')), rows);
+});
@@ -0,0 +1,96 @@
+// 🧪 Date Parsing tests - run with `node --test`
+// Dates are built from the written parts, so they must not move with the time zone
+process.env.TZ = 'Asia/Tokyo';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, resolveDateFormat, toLocalISODate } from '../src/dates.js';
+import { createLedgerEntry, parseDividendCSV } from '../src/ledger.js';
+import { normalizeRecords, calculateDividendMetrics } from '../src/api/dividendHistory.js';
+import { parseTransactions } from '../src/brokerImport.js';
+import { parsePriceHistory } from '../src/api/priceHistory.js';
+
+test('keeps the written day east of UTC', () => {
+  assert.equal(parseDate('2024-03-05'), '2024-03-05');
+  assert.equal(parseDate('2024-03-05 00:30:00'), '2024-03-05');
+  assert.equal(parseDate('2024-03-05, 10:00:00'), '2024-03-05');
+  assert.equal(parseDate('20240305'), '2024-03-05');
+  assert.equal(parseDate('Mar 5, 2024'), '2024-03-05');
+  assert.equal(parseDate('5 March 2024'), '2024-03-05');
+  assert.equal(parseDate('05-Mar-2024'), '2024-03-05');
+});
+
+test('reads day/month order from the format, the date or the separator', () => {
+  assert.equal(parseDate('13/03/2024'), '2024-03-13');
+  assert.equal(parseDate('03/13/2024'), '2024-03-13');
+  assert.equal(parseDate('05/03/2024'), '2024-05-03');
+  assert.equal(parseDate('05.03.2024'), '2024-03-05');
+  assert.equal(parseDate('05/03/2024', 'DMY'), '2024-03-05');
+  assert.equal(parseDate('05/03/24', 'DMY'), '2024-03-05');
+  assert.equal(parseDate('03/13/2024', 'DMY'), null);
+});
+
+test('reads timestamps in Unix seconds or milliseconds', () => {
+  assert.equal(parseDate(1709596800), '2024-03-05');
+  assert.equal(parseDate(1709596800000), '2024-03-05');
+  assert.equal(parseDate(1709640000.5), '2024-03-05');
+  assert.equal(parseDate(NaN), null);
+});
+
+test('rejects days that do not exist', () => {
+  assert.equal(parseDate('2024-02-30'), null);
+  assert.equal(parseDate('2024-13-01'), null);
+  assert.equal(parseDate('not a date'), null);
+  assert.equal(parseDate(''), null);
+});
+
+test('resolveDateFormat settles a column from its unambiguous dates', () => {
+  assert.equal(resolveDateFormat(['05/03/2024', '28/02/2024']), 'DMY');
+  assert.equal(resolveDateFormat(['05/03/2024', '02/28/2024']), 'MDY');
+  assert.equal(resolveDateFormat(['13/03/2024', '03/13/2024']), 'auto');
+  assert.equal(resolveDateFormat(['05/03/2024', '2024-03-28']), 'auto');
+  assert.equal(resolveDateFormat(['13/03/2024'], 'MDY'), 'MDY');
+});
+
+test('toLocalISODate gives the local day', () => {
+  // 20:00 UTC on Mar 4 is already Mar 5 in Tokyo
+  assert.equal(toLocalISODate(new Date(Date.UTC(2024, 2, 4, 20))), '2024-03-05');
+});
+
+test('importers read DD/MM/YYYY files', () => {
+  const ledger = parseDividendCSV('Date,Ticker,Net\n05/03/2024,O,10\n28/03/2024,O,10\n');
+  assert.deepEqual(ledger.entries.map(entry => entry.date), ['2024-03-05', '2024-03-28']);
+  assert.equal(parseDividendCSV('Date,Ticker,Net\n05/03/2024,O,10\n', { dateFormat: 'DMY' }).entries[0].date, '2024-03-05');
+  assert.equal(createLedgerEntry({ date: '05/03/2024', ticker: 'O', net: 10 }, 'auto', 'DMY').date, '2024-03-05');
+
+  const csv = 'Date,Type,Ticker,Quantity,Price\n05/03/2024,Buy,KO,10,60\n';
+  const columns = { date: 'Date', type: 'Type', ticker: 'Ticker', shares: 'Quantity', price: 'Price' };
+  assert.equal(parseTransactions(csv, 'generic', columns).transactions[0].date, '2024-05-03');
+  assert.equal(parseTransactions(csv, 'generic', columns, 'DMY').transactions[0].date, '2024-03-05');
+
+  const records = normalizeRecords([
+    { Ticker: 'O', 'Ex-Date': '05/03/2024', 'Pay Date': '15/03/2024', Amount: '0.26' }
+  ]);
+  assert.equal(records[0].exDate, '2024-03-05');
+});
+
+test('dividend years follow the ex-date, not the local time zone', () => {
+  process.env.TZ = 'America/New_York';
+  const records = ['2023-01-01', '2023-04-01', '2024-01-01'].map(exDate => ({ ticker: 'KO', exDate, amount: 1 }));
+  const { annualTotals } = calculateDividendMetrics(records, new Date(2024, 5, 1));
+  process.env.TZ = 'Asia/Tokyo';
+
+  assert.deepEqual(annualTotals, { 2023: 2, 2024: 1 });
+});
+
+test('price histories keep rows with day/month dates', () => {
+  const csv = 'Ticker,Date,Close,Dividend\nKO,03/31/2020,50,0.41\nKO,04/30/2020,46,\nKO,2020-05,47,\n';
+  assert.deepEqual(parsePriceHistory(csv).KO.map(row => row.month), ['2020-03', '2020-04', '2020-05']);
+
+  const european = 'Ticker,Date,Close\nKO,31.03.2020,50\nKO,01/04/2020,46\nKO,30/04/2020,47\n';
+  assert.deepEqual(parsePriceHistory(european).KO, [
+    { month: '2020-03', close: 50, dividend: 0 },
+    { month: '2020-04', close: 47, dividend: 0 }
+  ]);
+  assert.equal(parsePriceHistory('Ticker,Date,Close\nKO,01/04/2020,46\n', 'csv', { dateFormat: 'DMY' }).KO[0].month, '2020-04');
+});
@@ -0,0 +1,79 @@
+// 🧪 DCA Simulation tests - run with `node --test`
+// Checks the engine's year-end snapshots against the inputs that should move them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDCAScenario } from '../src/dcaSimulation.js';
+import { getCrashFactors } from '../src/crashModel.js';
+
+const BASE = {
+  years: 5,
+  initialInvestment: 1000,
+  monthlyDCA: 500,
+  currentPrice: 100,
+  currentDividendYield: 0.03,
+  cagr: 0.08,
+  dividendGrowth: 0.05,
+  reinvestThreshold: 50
+};
+
+const value = (results, year) => parseFloat(results.yearlyData[year - 1].portfolioValue);
+
+test('a crash shows from its own year, not the year before', () => {
+  const calm = calculateDCAScenario(BASE);
+  const crashed = calculateDCAScenario({
+    ...BASE,
+    marketCrashes: [{ year: 3, month: 1, drop: 0.3, recoveryMonths: 24, shape: 'linear' }]
+  });
+
+  assert.equal(value(crashed, 1), value(calm, 1));
+  assert.equal(value(crashed, 2), value(calm, 2));
+  assert.ok(value(crashed, 3) < value(calm, 3));
+});
+
+test('a crash in the last month of a year shows at that year-end', () => {
+  const calm = calculateDCAScenario(BASE);
+  const crashed = calculateDCAScenario({
+    ...BASE,
+    marketCrashes: [{ year: 2, month: 12, drop: 0.3, recoveryMonths: 12, shape: 'linear' }]
+  });
+
+  assert.equal(value(crashed, 1), value(calm, 1));
+  assert.ok(value(crashed, 2) < value(calm, 2));
+});
+
+test('a crash that runs to the end of the simulation lowers the final value', () => {
+  const crashed = calculateDCAScenario({
+    ...BASE,
+    marketCrashes: [{ year: 5, month: 6, drop: 0.3, shape: 'l' }]
+  });
+
+  assert.ok(parseFloat(crashed.finalValue) < parseFloat(calculateDCAScenario(BASE).finalValue));
+});
+
+test('getCrashFactors can leave out a crash starting at the sampled month', () => {
+  const crashes = [{ year: 3, month: 1, drop: 0.3, dividendCut: 0.5, recoveryMonths: 12 }];
+
+  assert.deepEqual(getCrashFactors(crashes, 25), { price: 0.7, dividend: 0.5 });
+  assert.deepEqual(getCrashFactors(crashes, 25, false), { price: 1, dividend: 1 });
+  assert.deepEqual(getCrashFactors(crashes, 24, false), { price: 1, dividend: 1 });
+});
+
+test('dividend cash left unspent by whole shares counts towards the value', () => {
+  // Flat 300 price: contributions buy exact whole shares, only reinvested dividends leave cash
+  const results = calculateDCAScenario({
+    ...BASE,
+    initialInvestment: 900,
+    monthlyDCA: 600,
+    currentPrice: 300,
+    cagr: 0,
+    costs: { wholeShares: true }
+  });
+  const holdings = results.holdings.reduce((sum, holding) => sum + holding.finalValue, 0);
+  const last = results.yearlyData[results.yearlyData.length - 1];
+
+  assert.ok(parseFloat(results.uninvestedCash) > 0);
+  assert.equal((holdings + parseFloat(results.uninvestedCash) + parseFloat(results.cashBuffer)).toFixed(2), results.finalValue);
+  assert.equal(last.portfolioValue, results.finalValue);
+  assert.equal(last.uninvestedCash, results.uninvestedCash);
+});
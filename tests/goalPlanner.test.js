@@ -0,0 +1,43 @@
+// 🧪 Goal Planner tests - run with `node --test`
+// Solved inputs reach the goal, and planGoal reports its progress
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveGoal, planGoal } from '../src/goalPlanner.js';
+import { calculateDCAScenario } from '../src/dcaSimulation.js';
+
+const PARAMS = {
+  years: 10,
+  initialInvestment: 1000,
+  monthlyDCA: 500,
+  currentPrice: 100,
+  currentDividendYield: 0.04,
+  cagr: 0.06,
+  dividendGrowth: 0.05,
+  reinvestThreshold: 50
+};
+const GOAL = { variable: 'monthlyDCA', targetMonthlyIncome: 500, net: false, real: false };
+
+const income = monthlyDCA => parseFloat(calculateDCAScenario({ ...PARAMS, monthlyDCA }).finalMonthlyDividend);
+
+test('the solved monthly DCA is the smallest whole-cent amount that reaches the goal', () => {
+  const { value } = solveGoal(PARAMS, GOAL);
+
+  assert.ok(income(value) >= GOAL.targetMonthlyIncome);
+  assert.ok(income(value - 0.01) < GOAL.targetMonthlyIncome);
+});
+
+test('planGoal solves every scenario and the table, reporting progress up to 1', () => {
+  const progress = [];
+  const { solved, table } = planGoal({
+    scenarios: [{ key: 'realistic', name: 'Realistic', params: PARAMS }],
+    sensitivityParams: PARAMS,
+    goal: GOAL
+  }, share => progress.push(share));
+
+  assert.equal(solved[0].solution.value, solveGoal(PARAMS, GOAL).value);
+  assert.equal(table.values[2][2], solved[0].solution.value);
+  assert.equal(progress.length, 26);
+  assert.ok(progress.every((share, i) => i === 0 || share > progress[i - 1]));
+  assert.equal(progress[progress.length - 1], 1);
+});
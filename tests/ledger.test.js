@@ -0,0 +1,43 @@
+// 🧪 Dividend Ledger tests - run with `node --test`
+// Summaries of received dividends (IndexedDB is not touched)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLedgerEntry, summarizeLedger, parseDividendCSV } from '../src/ledger.js';
+
+const entry = (date, net) => createLedgerEntry({ date, ticker: 'O', net });
+
+test('year-to-date totals cover the same days of every year', () => {
+  const entries = [
+    entry('2024-02-15', 100),
+    entry('2024-09-15', 100),
+    entry('2024-12-15', 400),
+    entry('2025-02-15', 120),
+    entry('2025-09-15', 120)
+  ];
+  const summary = summarizeLedger(entries, undefined, new Date(2025, 8, 30));
+
+  assert.equal(summary.annual[2024].net, 600);
+  assert.equal(summary.yearToDate[2024].net, 200);
+  assert.equal(summary.yearToDate[2025].net, 240);
+  assert.equal(summary.total.net, 840);
+});
+
+test('the cut-off day itself is included', () => {
+  const summary = summarizeLedger([entry('2024-03-05', 50), entry('2024-03-06', 70)], undefined, new Date(2025, 2, 5));
+
+  assert.equal(summary.yearToDate[2024].net, 50);
+});
+
+test('payments of one ticker on one day keep their own ids, re-imports keep the same ids', () => {
+  const csv = 'Date,Ticker,Net\n2024-03-05,O,10\n2024-03-05,O,10\n2024-03-05,KO,4\n';
+  const first = parseDividendCSV(csv, { account: 'taxable' }).entries;
+  const rounded = parseDividendCSV(csv.replace(/,10\n/g, ',10.0001\n'), { account: 'taxable' }).entries;
+
+  assert.deepEqual(first.map(entry => entry.id), ['2024-03-05|O|taxable|1', '2024-03-05|O|taxable|2', '2024-03-05|KO|taxable|1']);
+  assert.deepEqual(rounded.map(entry => entry.id), first.map(entry => entry.id));
+});
+
+test('manual entries are never merged', () => {
+  assert.notEqual(entry('2024-03-05', 10).id, entry('2024-03-05', 10).id);
+});
@@ -0,0 +1,64 @@
+// 🧪 Monte Carlo tests - run with `node --test`
+// Seeded runs, so every assertion sees the same random paths
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMonteCarlo, percentile } from '../src/monteCarlo.js';
+
+const PARAMS = {
+  paths: 500,
+  years: 10,
+  initialInvestment: 1000,
+  monthlyDCA: 500,
+  dividendYield: 0.04,
+  cagr: 0.07,
+  dividendGrowth: 0.05,
+  returnVolatility: 0.18,
+  dividendVolatility: 0.03,
+  cutProbability: 0.05,
+  targetMonthlyIncome: 300,
+  seed: 42
+};
+
+test('the same seed gives the same outcomes', () => {
+  assert.deepEqual(runMonteCarlo(PARAMS), runMonteCarlo(PARAMS));
+  assert.notDeepEqual(runMonteCarlo({ ...PARAMS, seed: 43 }).value, runMonteCarlo(PARAMS).value);
+});
+
+test('P10 <= P50 <= P90 for value and income every year', () => {
+  const result = runMonteCarlo(PARAMS);
+
+  [result.value, result.income].forEach(bands => {
+    bands.p50.forEach((median, year) => {
+      assert.ok(bands.p10[year] <= median && median <= bands.p90[year], `year ${year + 1}`);
+    });
+  });
+  // Volatile returns spread the outcomes
+  assert.ok(result.value.p90[9] > result.value.p10[9] * 1.2);
+});
+
+test('success probability is a share of paths that never falls', () => {
+  const result = runMonteCarlo(PARAMS);
+
+  assert.ok(result.probability > 0 && result.probability < 1);
+  assert.equal(result.probability, result.probabilityByYear[9]);
+  assert.ok(result.probabilityByYear.every((p, i) => i === 0 || p >= result.probabilityByYear[i - 1]));
+  assert.ok(Number.isInteger(result.probability * PARAMS.paths));
+
+  assert.equal(runMonteCarlo({ ...PARAMS, targetMonthlyIncome: 1 }).probability, 1);
+  assert.equal(runMonteCarlo({ ...PARAMS, targetMonthlyIncome: 1000000 }).probability, 0);
+  assert.equal(runMonteCarlo({ ...PARAMS, targetMonthlyIncome: 0 }).probability, null);
+});
+
+test('without volatility every path is the same', () => {
+  const result = runMonteCarlo({ ...PARAMS, returnVolatility: 0, dividendVolatility: 0, cutProbability: 0 });
+
+  assert.ok(Math.abs(result.value.p10[9] - result.value.p90[9]) < 1e-6);
+  assert.ok([0, 1].includes(result.probability));
+});
+
+test('percentile interpolates between sorted values', () => {
+  assert.equal(percentile([1, 2, 3, 4, 5], 0.5), 3);
+  assert.equal(percentile([0, 10], 0.1), 1);
+  assert.equal(percentile([], 0.5), 0);
+});
@@ -0,0 +1,85 @@
+// 🧪 Number Parsing tests - run with `node --test`
+// Locale guessing, ambiguous separators and per-column resolution of sheet cells
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseNumber, parsePercent, parseCurrency, resolveLocale, isAmbiguousNumber } from '../src/numbers.js';
+import { mapRowsToStocks } from '../src/api/dataSources.js';
+import { parseCSVRows, findHeaderRow, rowsToObjects } from '../src/csv.js';
+
+test('guesses unambiguous separators', () => {
+  assert.equal(parseNumber('1,234.50'), 1234.5);
+  assert.equal(parseNumber('1.234,50'), 1234.5);
+  assert.equal(parseNumber('1,234,567'), 1234567);
+  assert.equal(parseNumber('1.234.567'), 1234567);
+  assert.equal(parseNumber('3,5'), 3.5);
+  assert.equal(parseNumber('3.187'), 3.187);
+  assert.equal(parseNumber('(12.50)'), -12.5);
+  assert.equal(parseNumber('1 234,5'), 1234.5);
+});
+
+test('a leading "0," is a decimal comma', () => {
+  assert.equal(parseNumber('0,125'), 0.125);
+  assert.equal(parseNumber('-0,125'), -0.125);
+});
+
+test('refuses to guess a lone "1,234"', () => {
+  assert.ok(isNaN(parseNumber('3,187')));
+  assert.ok(isAmbiguousNumber('3,187'));
+  assert.ok(isAmbiguousNumber('$1,234'));
+  assert.ok(!isAmbiguousNumber('3,187', 'de-DE'));
+  assert.ok(!isAmbiguousNumber('abc'));
+
+  assert.equal(parseNumber('3,187', 'de-DE'), 3.187);
+  assert.equal(parseNumber('3,187', 'en-US'), 3187);
+});
+
+test('resolveLocale settles a column from its unambiguous cells', () => {
+  assert.equal(resolveLocale(['1,02', '3,187', '5,555']), 'de-DE');
+  assert.equal(resolveLocale(['$1.02', '3.187', '1,234.50']), 'en-US');
+  assert.equal(resolveLocale(['0,38%', '5,58%']), 'de-DE');
+  assert.equal(resolveLocale(['3,187', '1,234']), 'auto');
+  assert.equal(resolveLocale(['1,5', '1.5']), 'auto');
+  assert.equal(resolveLocale(['Financial Services', '', 12]), 'auto');
+  assert.equal(resolveLocale(['1,5'], 'en-US'), 'en-US');
+});
+
+test('parses percents and currencies', () => {
+  assert.equal(parsePercent('5.58%'), 0.0558);
+  assert.equal(parsePercent('3,5 %'), 0.035);
+  assert.deepEqual(parseCurrency('CA$1,234.50'), { value: 1234.5, currency: 'CAD' });
+  assert.deepEqual(parseCurrency('C$146.50'), { value: 146.5, currency: 'CAD' });
+  assert.deepEqual(parseCurrency('12,30 EUR'), { value: 12.3, currency: 'EUR' });
+});
+
+test('maps the bundled Portfolio Details export without rejections', () => {
+  const text = readFileSync(new URL('../The Dividend Dashboard - Portfolio Details.csv', import.meta.url), 'utf-8');
+  const rows = parseCSVRows(text);
+  const { stocks, rejectedRows } = mapRowsToStocks(rowsToObjects(rows, findHeaderRow(rows, values => values.includes('Ticker'))));
+
+  assert.deepEqual(rejectedRows, []);
+  assert.equal(stocks.find(stock => stock.ticker === 'O').dividend, 3.187);
+  assert.equal(stocks.find(stock => stock.ticker === 'PEP').dividend, 5.555);
+});
+
+test('European sheet cells use the column format, ambiguous columns are rejected', () => {
+  const european = [
+    { Ticker: 'O', Price: '57,98', 'Dividend Payment': '3,187', 'Dividend Yield': '5,58%' },
+    { Ticker: 'AAPL', Price: '270,37', 'Dividend Payment': '1,02', 'Dividend Yield': '0,38%' },
+    { Ticker: 'KO', Price: '1.070,50', 'Dividend Payment': '0,125', 'Dividend Yield': '2,9%' }
+  ];
+  const { stocks } = mapRowsToStocks(european);
+  assert.deepEqual(stocks.map(stock => stock.dividend), [3.187, 1.02, 0.125]);
+  assert.equal(stocks[2].price, 1070.5);
+
+  // Nothing in the dividend column settles "3,187"
+  const ambiguous = [{ Ticker: 'O', Price: '57,98', 'Dividend Payment': '3,187', 'Dividend Yield': '5,58%' }];
+  const result = mapRowsToStocks(ambiguous);
+  assert.equal(result.stocks.length, 0);
+  assert.equal(result.rejectedRows[0].ticker, 'O');
+  assert.match(result.rejectedRows[0].problems[0], /columnLocales\.dividend/);
+
+  // ...unless the column's locale is configured
+  assert.equal(mapRowsToStocks(ambiguous, { columnLocales: { dividend: 'de-DE' } }).stocks[0].dividend, 3.187);
+});
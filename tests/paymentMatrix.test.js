@@ -0,0 +1,45 @@
+// 🧪 Payment Matrix tests - run with `node --test`
+// Expected cash per payment from a hand-written schedule grid
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePaymentAmounts } from '../src/paymentMatrix.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Grid with each ticker paying on the 15th of the given months
+ */
+function grid(payments) {
+  return Array.from({ length: 31 }, (_, i) => ({
+    day: i + 1,
+    months: Object.fromEntries(MONTHS.map(month => [
+      month,
+      i === 14 ? Object.keys(payments).filter(ticker => payments[ticker].includes(month)) : []
+    ]))
+  }));
+}
+
+test('splits annual income over the scheduled payments', () => {
+  const paymentData = grid({ KO: ['Apr', 'Jul', 'Oct'], O: MONTHS });
+  const { perPayment, annualIncome, frequencyMismatches } = calculatePaymentAmounts(paymentData, [
+    { ticker: 'KO', annualIncome: 120, dividendMetrics: { frequency: 4 } },
+    { ticker: 'O', annualIncome: 60, dividendMetrics: { frequency: 12 } }
+  ]);
+
+  // The schedule misses one KO payment - the months still add up to the annual income
+  assert.equal(perPayment.KO, 40);
+  assert.equal(perPayment.O, 5);
+  assert.equal(annualIncome, 180);
+  assert.deepEqual(frequencyMismatches, [{ ticker: 'KO', frequency: 4, scheduled: 3 }]);
+});
+
+test('falls back to the history frequency for tickers not in the schedule', () => {
+  const { perPayment, annualIncome, frequencyMismatches } = calculatePaymentAmounts(grid({}), [
+    { ticker: 'KO', annualIncome: 120, dividendMetrics: { frequency: 4 } }
+  ]);
+
+  assert.equal(perPayment.KO, 30);
+  assert.equal(annualIncome, 0);
+  assert.deepEqual(frequencyMismatches, []);
+});